@@ -0,0 +1,115 @@
+/**
+ * AI worker configuration
+ */
+
+const redisUrl = new URL(process.env.REDIS_URI || 'redis://redis:6379');
+
+const config = {
+  // MongoDB configuration
+  mongodb: {
+    uri: process.env.MONGODB_URI || 'mongodb://mongodb:27017/promptdesigner',
+    options: {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    }
+  },
+
+  // Redis configuration (Bull takes connection details rather than a URI)
+  redis: {
+    uri: redisUrl.toString(),
+    host: redisUrl.hostname,
+    port: parseInt(redisUrl.port || '6379', 10),
+    password: redisUrl.password ? decodeURIComponent(redisUrl.password) : undefined
+  },
+
+  // Prompt processing queue
+  queue: {
+    name: process.env.PROMPT_QUEUE_NAME || 'prompt-processing',
+    // Number of jobs processed in parallel; jobs for the same sketch are still serialized
+    concurrency: parseInt(process.env.PROMPT_QUEUE_CONCURRENCY || '5', 10),
+    // Per-sketch lock lifetime and how long a prompt waits for earlier prompts
+    sketchLockTtlMs: parseInt(process.env.SKETCH_LOCK_TTL_MS || '120000', 10),
+    sketchTurnTimeoutMs: parseInt(process.env.SKETCH_TURN_TIMEOUT_MS || '300000', 10),
+    // A prompt whose turn hasn't come is requeued with this delay
+    sketchRequeueDelayMs: parseInt(process.env.SKETCH_REQUEUE_DELAY_MS || '2000', 10)
+  },
+
+  // Thumbnail and preview rendering after each new version
+  thumbnails: {
+    enabled: process.env.THUMBNAILS_ENABLED !== 'false',
+    queueName: process.env.THUMBNAIL_QUEUE_NAME || 'thumbnail-generation',
+    // Rendering is CPU-bound; keep this low next to prompt processing
+    concurrency: parseInt(process.env.THUMBNAIL_QUEUE_CONCURRENCY || '1', 10),
+    maxWidth: parseInt(process.env.THUMBNAIL_MAX_WIDTH || '320', 10),
+    maxHeight: parseInt(process.env.THUMBNAIL_MAX_HEIGHT || '240', 10),
+    // Frames drawn per render; the last one becomes the thumbnail
+    frames: parseInt(process.env.THUMBNAIL_FRAMES || '60', 10),
+    // Frames sampled from the run for the animated preview
+    previewFrames: parseInt(process.env.THUMBNAIL_PREVIEW_FRAMES || '15', 10),
+    timeoutMs: parseInt(process.env.THUMBNAIL_TIMEOUT_MS || '20000', 10),
+    memoryLimitMb: parseInt(process.env.THUMBNAIL_MEMORY_LIMIT_MB || '256', 10),
+    // Sketches render in headless Chromium
+    browserPath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium-browser',
+    // Chromium's own sandbox; only turn it off where the container can't provide it
+    browserSandbox: process.env.THUMBNAIL_BROWSER_SANDBOX !== 'false',
+    // Installed p5 releases, as served by the backend; the first is the fallback
+    p5Packages: process.env.P5_PACKAGES
+      ? process.env.P5_PACKAGES.split(',')
+      : ['p5', 'p5-1.4']
+  },
+
+  // WebSocket service; live updates go through its room event queue in Redis
+  websocket: {
+    eventQueue: process.env.ROOM_EVENT_QUEUE || 'room-events'
+  },
+
+  // AI service
+  ai: {
+    service: process.env.AI_SERVICE || 'openai',
+    apiKey: process.env.AI_SERVICE_KEY,
+    defaultModel: process.env.AI_DEFAULT_MODEL || 'gpt-4',
+    fallbackModel: process.env.AI_FALLBACK_MODEL || 'gpt-3.5-turbo',
+    timeout: parseInt(process.env.AI_TIMEOUT || '30000', 10),
+    maxRetries: parseInt(process.env.AI_MAX_RETRIES || '3', 10)
+  },
+
+  // Prompt content moderation
+  contentModeration: {
+    enabled: process.env.CONTENT_MODERATION_ENABLED !== 'false',
+    // Same default as the backend; without an API key, or when the service is
+    // unavailable, the offline 'local' provider is used instead
+    service: process.env.CONTENT_MODERATION_SERVICE || 'openai',
+    apiKey: process.env.AI_SERVICE_KEY,
+    timeout: parseInt(process.env.CONTENT_MODERATION_TIMEOUT || '5000', 10),
+    // Optional JSON file of extra terms: { "<category>": { "<term>": <weight> } }
+    wordlistPath: process.env.CONTENT_MODERATION_WORDLIST,
+    thresholds: {
+      sexual: parseFloat(process.env.MODERATION_THRESHOLD_SEXUAL || '0.5'),
+      hate: parseFloat(process.env.MODERATION_THRESHOLD_HATE || '0.5'),
+      harassment: parseFloat(process.env.MODERATION_THRESHOLD_HARASSMENT || '0.5'),
+      violence: parseFloat(process.env.MODERATION_THRESHOLD_VIOLENCE || '0.6'),
+      selfHarm: parseFloat(process.env.MODERATION_THRESHOLD_SELFHARM || '0.6'),
+      toxicity: parseFloat(process.env.MODERATION_THRESHOLD_TOXICITY || '0.7')
+    }
+  },
+
+  // Generated code validation
+  codeValidation: {
+    // Matches the size limit on sketch code in the backend
+    maxSizeBytes: parseInt(process.env.CODE_MAX_SIZE_BYTES || String(100 * 1024), 10),
+    maxLines: parseInt(process.env.CODE_MAX_LINES || '2000', 10)
+  },
+
+  // GitHub integration
+  github: {
+    // Versions are only committed when a token is configured
+    enabled: process.env.GITHUB_COMMITS_ENABLED !== 'false' && Boolean(process.env.GITHUB_TOKEN),
+    token: process.env.GITHUB_TOKEN,
+    organization: process.env.GITHUB_ORGANIZATION,
+    username: process.env.GITHUB_USERNAME,
+    repoPrefix: process.env.GITHUB_REPO_PREFIX || 'sketch-',
+    maxRetries: parseInt(process.env.GITHUB_MAX_RETRIES || '3', 10)
+  }
+};
+
+module.exports = config;
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const config = require('./config');
+
+/**
+ * Connect to MongoDB database
+ */
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(config.mongodb.uri, config.mongodb.options);
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+    return conn;
+  } catch (error) {
+    console.error(`Error connecting to MongoDB: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+module.exports = {
+  connectDB
+};
@@ -0,0 +1,20 @@
+/**
+ * Error types shared across the AI worker
+ */
+
+/**
+ * Raised when a sketch changed between reading it and writing new code,
+ * i.e. the optimistic version check on the sketch failed
+ */
+class SketchConflictError extends Error {
+  constructor(sketchId, expectedVersion) {
+    super(`Sketch ${sketchId} is no longer at version ${expectedVersion}`);
+    this.name = 'SketchConflictError';
+    this.sketchId = sketchId;
+    this.expectedVersion = expectedVersion;
+  }
+}
+
+module.exports = {
+  SketchConflictError
+};
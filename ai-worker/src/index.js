@@ -7,13 +7,22 @@ const config = require('./config');
 const AIService = require('./services/aiService');
 const GitHubService = require('./services/githubService');
 const WebSocketService = require('./services/websocketService');
+const SketchSerializer = require('./services/sketchSerializer');
+const ContentModerator = require('./services/contentModerator');
+const CodeValidator = require('shared/codeValidator');
+const { countLineChanges } = require('shared/diffStats');
+const ThumbnailService = require('./services/thumbnailService');
+const Sketch = require('./models/Sketch');
+const Prompt = require('./models/Prompt');
+const Version = require('./models/Version');
+const { SketchConflictError } = require('./errors');
 const { connectDB } = require('./db');
 
 // Create Redis client
 const redisClient = createClient({ url: config.redis.uri });
 
 // Create Bull queue for processing prompts
-const promptQueue = new Queue('prompt-processing', {
+const promptQueue = new Queue(config.queue.name, {
   redis: {
     host: config.redis.host,
     port: config.redis.port,
@@ -30,10 +39,33 @@ const promptQueue = new Queue('prompt-processing', {
   }
 });
 
+// Create Bull queue for rendering thumbnails of new versions
+const thumbnailQueue = new Queue(config.thumbnails.queueName, {
+  redis: {
+    host: config.redis.host,
+    port: config.redis.port,
+    password: config.redis.password
+  },
+  defaultJobOptions: {
+    // Render failures are recorded, not thrown; retries only cover database errors
+    attempts: 2,
+    backoff: {
+      type: 'fixed',
+      delay: 10000
+    },
+    removeOnComplete: 100,
+    removeOnFail: 100
+  }
+});
+
 // Initialize services
-const aiService = new AIService(config.ai);
+const codeValidator = new CodeValidator(config.codeValidation);
+const aiService = new AIService(config.ai, codeValidator);
 const githubService = new GitHubService(config.github);
-const websocketService = new WebSocketService(config.websocket);
+const websocketService = new WebSocketService(redisClient, config.websocket);
+const sketchSerializer = new SketchSerializer(redisClient, config.queue);
+const contentModerator = new ContentModerator(config.contentModeration);
+const thumbnailService = new ThumbnailService(config.thumbnails);
 
 // Connect to MongoDB
 connectDB();
@@ -44,12 +76,35 @@ redisClient.connect().catch(err => {
   process.exit(1);
 });
 
-// Handle prompt processing queue
-promptQueue.process(async (job) => {
+// Handle prompt processing queue. Jobs run concurrently, but prompts for the
+// same sketch are applied one at a time in submission order; a prompt whose
+// turn hasn't come is requeued rather than holding one of the slots.
+promptQueue.process(config.queue.concurrency, async (job) => {
   const { promptId, sketchId } = job.data;
+  return sketchSerializer.run(job, () => processPrompt(promptId, sketchId));
+});
+
+// Handle thumbnail queue. Jobs come from here and from the backend (new
+// sketches and reverts); they run outside the per-sketch turn, so a slow
+// render never delays the sketch's next prompt.
+if (config.thumbnails.enabled) {
+  thumbnailQueue.process(config.thumbnails.concurrency, (job) => generateThumbnail(job.data));
+}
+
+/**
+ * Process a single prompt; called while holding the sketch's turn
+ */
+async function processPrompt(promptId, sketchId) {
   console.log(`Processing prompt ${promptId} for sketch ${sketchId}`);
   
   try {
+    // Retried jobs may find the prompt already finished
+    const prompt = await fetchPrompt(promptId);
+    if (Prompt.TERMINAL_STATUS_CODES.includes(prompt.status?.code)) {
+      console.log(`Prompt ${promptId} already ${prompt.status.code}, skipping`);
+      return { success: prompt.status.code === 'completed', reason: 'already processed' };
+    }
+    
     // Update prompt status to "processing"
     await updatePromptStatus(promptId, 'processing', 'Processing prompt with AI');
     
@@ -59,59 +114,64 @@ promptQueue.process(async (job) => {
       message: 'Processing prompt with AI'
     });
     
-    // Fetch sketch and prompt data from database
+    // Fetch sketch data from database
     const sketch = await fetchSketch(sketchId);
-    const prompt = await fetchPrompt(promptId);
     
     // Validate prompt content
-    const validationResult = await validatePrompt(prompt.text);
+    const validationResult = await validatePrompt(promptId, prompt.text);
     if (!validationResult.isValid) {
       await handleRejection(promptId, sketchId, validationResult.reason);
-      return { success: false, reason: validationResult.reason };
+      return { success: false, reason: validationResult.reason.code };
     }
     
     // Process prompt with AI service
     const aiResult = await aiService.processPrompt(prompt.text, sketch.currentCode);
     
     if (!aiResult.success) {
-      await handleRejection(promptId, sketchId, aiResult.error);
+      await handleRejection(promptId, sketchId, {
+        code: 'generation_failed',
+        message: aiResult.error
+      });
       return { success: false, reason: aiResult.error };
     }
     
-    // Validate generated code
-    const codeValidation = await validateGeneratedCode(aiResult.code);
+    // Record the validator's verdict on the generated code
+    const codeValidation = await checkGeneratedCode(promptId, aiResult.validation);
     if (!codeValidation.isValid) {
-      await handleRejection(promptId, sketchId, codeValidation.error);
-      return { success: false, reason: codeValidation.error };
+      await handleRejection(promptId, sketchId, codeValidation.reason);
+      return { success: false, reason: codeValidation.reason.code };
     }
     
     // Update sketch with new code
-    const previousCode = sketch.currentCode;
+    const expectedVersion = sketch.currentVersion;
     const newCode = aiResult.code;
     
-    // Commit to GitHub
-    const commitResult = await githubService.commitSketchChanges(
-      sketch, 
-      prompt, 
-      previousCode,
-      newCode
-    );
+    // Create new version on top of the sketch's current one
+    const version = await createNewVersion(sketch, prompt, newCode);
     
-    // Create new version
-    const version = await createNewVersion(sketch, prompt, newCode, commitResult);
+    // Update sketch with new code, failing if another write got there first
+    try {
+      await updateSketch(sketchId, newCode, promptId, expectedVersion);
+    } catch (error) {
+      await Version.deleteOne({ _id: version._id });
+      throw error;
+    }
     
-    // Update sketch with new code
-    await updateSketch(sketchId, newCode, promptId);
+    // Only now is the version certain to stay, so a conflict never leaves a
+    // stray commit behind
+    const commitResult = await commitVersion(sketch, prompt, version);
+    
+    // Keeps the gallery's "most contributors" order current; not worth failing the prompt over
+    await updateContributorCount(sketchId).catch(error => {
+      console.error(`Error updating contributor count for sketch ${sketchId}:`, error);
+    });
     
     // Update prompt status to completed
     await updatePromptStatus(
       promptId, 
       'completed',
       'Prompt successfully processed and applied',
-      {
-        commitSha: commitResult.sha,
-        commitUrl: commitResult.url
-      }
+      getCommitMetadata(commitResult)
     );
     
     // Broadcast update via WebSocket
@@ -125,13 +185,27 @@ promptQueue.process(async (job) => {
       timestamp: new Date()
     });
     
+    // Render the new version's thumbnail in the background
+    enqueueThumbnail(sketchId, version);
+    
     return { 
       success: true, 
       versionId: version.id,
-      commitSha: commitResult.sha
+      commitSha: commitResult && !commitResult.failed ? commitResult.sha : null
     };
     
   } catch (error) {
+    if (error instanceof SketchConflictError) {
+      // Put the prompt back in the queue; Bull retries it against the new code
+      console.warn(`Conflict applying prompt ${promptId}: ${error.message}`);
+      await updatePromptStatus(promptId, 'queued', 'Sketch changed during processing, retrying');
+      websocketService.broadcastPromptStatus(promptId, sketchId, {
+        code: 'queued',
+        message: 'Sketch changed during processing, retrying'
+      });
+      throw error;
+    }
+    
     console.error(`Error processing prompt ${promptId}:`, error);
     
     // Update prompt status to failed
@@ -145,21 +219,40 @@ promptQueue.process(async (job) => {
     
     return { success: false, reason: error.message };
   }
-});
+}
 
 // Handle prompt processing queue errors
-promptQueue.on('failed', (job, err) => {
+promptQueue.on('failed', async (job, err) => {
   console.error(`Job ${job.id} failed with error: ${err.message}`);
+  
+  // Once retries are exhausted, fail the prompt so later prompts for the sketch can proceed
+  if (job.attemptsMade >= (job.opts.attempts || 1)) {
+    const { promptId, sketchId } = job.data;
+    try {
+      await updatePromptStatus(promptId, 'failed', `Processing error: ${err.message}`);
+      websocketService.broadcastPromptStatus(promptId, sketchId, {
+        code: 'failed',
+        message: `Processing error: ${err.message}`
+      });
+    } catch (error) {
+      console.error(`Error marking prompt ${promptId} as failed:`, error);
+    }
+  }
 });
 
 promptQueue.on('completed', (job, result) => {
   console.log(`Job ${job.id} completed with result:`, result);
 });
 
+thumbnailQueue.on('failed', (job, err) => {
+  console.error(`Thumbnail job ${job.id} failed with error: ${err.message}`);
+});
+
 // Handle process termination
 process.on('SIGINT', async () => {
   console.log('Shutting down AI Worker...');
   await promptQueue.close();
+  await thumbnailQueue.close();
   await mongoose.connection.close();
   await redisClient.quit();
   process.exit(0);
@@ -178,97 +271,329 @@ console.log('AI Worker service started');
  * Fetch sketch from database
  */
 async function fetchSketch(sketchId) {
-  // Implementation would use Mongoose models
-  // This is a placeholder
-  console.log(`Fetching sketch ${sketchId}`);
-  return {
-    id: sketchId,
-    currentCode: '// Placeholder code',
-    // other sketch properties
-  };
+  const sketch = await Sketch.findById(sketchId);
+  if (!sketch) {
+    throw new Error(`Sketch ${sketchId} not found`);
+  }
+  return sketch;
 }
 
 /**
  * Fetch prompt from database
  */
 async function fetchPrompt(promptId) {
-  // Implementation would use Mongoose models
-  // This is a placeholder
-  console.log(`Fetching prompt ${promptId}`);
-  return {
-    id: promptId,
-    text: 'Placeholder prompt text',
-    contributor: {
-      nickname: 'Anonymous'
-    }
-    // other prompt properties
-  };
+  const prompt = await Prompt.findById(promptId);
+  if (!prompt) {
+    throw new Error(`Prompt ${promptId} not found`);
+  }
+  return prompt;
 }
 
 /**
  * Update prompt status
  */
 async function updatePromptStatus(promptId, statusCode, statusMessage, metadata = {}) {
-  // Implementation would use Mongoose models
-  // This is a placeholder
   console.log(`Updating prompt ${promptId} status to ${statusCode}: ${statusMessage}`);
+  
+  const status = { code: statusCode, message: statusMessage, timestamp: new Date() };
+  const update = {
+    $set: { status },
+    $push: { statusHistory: status }
+  };
+  
+  if (Prompt.TERMINAL_STATUS_CODES.includes(statusCode)) {
+    update.$set['timestamps.processed'] = status.timestamp;
+  }
+  
+  if (statusCode === 'completed') {
+    update.$set['timestamps.applied'] = status.timestamp;
+  }
+  
+  if (metadata.rejection) {
+    update.$set.rejection = metadata.rejection;
+  }
+  
+  if (metadata.commitSha) {
+    update.$set.commit = {
+      sha: metadata.commitSha,
+      url: metadata.commitUrl,
+      status: 'success'
+    };
+  } else if (metadata.commitFailed) {
+    update.$set.commit = { status: 'failed' };
+  }
+  
+  await Prompt.updateOne({ _id: promptId }, update);
 }
 
 /**
  * Update sketch with new code
+ *
+ * Only applies if the sketch is still at `expectedVersion`; otherwise throws
+ * a SketchConflictError so the prompt can be retried against the new code.
  */
-async function updateSketch(sketchId, newCode, promptId) {
-  // Implementation would use Mongoose models
-  // This is a placeholder
+async function updateSketch(sketchId, newCode, promptId, expectedVersion) {
   console.log(`Updating sketch ${sketchId} with new code from prompt ${promptId}`);
+  
+  const now = new Date();
+  const updated = await Sketch.findOneAndUpdate(
+    { _id: sketchId, currentVersion: expectedVersion },
+    {
+      $set: {
+        currentCode: newCode,
+        'lastModified.timestamp': now,
+        'lastModified.promptId': promptId,
+        'statistics.lastActivity': now
+      },
+      $inc: {
+        currentVersion: 1,
+        'statistics.promptCount': 1
+      }
+    },
+    { new: true }
+  );
+  
+  if (!updated) {
+    throw new SketchConflictError(sketchId, expectedVersion);
+  }
+  
+  return updated;
+}
+
+/**
+ * Recount the distinct contributors of a sketch's applied prompts
+ *
+ * Contributors are told apart by session, so people sharing an IP address
+ * count separately. Versions from before sessions fall back to the IP address.
+ */
+async function updateContributorCount(sketchId) {
+  const contributors = await Version.aggregate([
+    { $match: { sketchId: new mongoose.Types.ObjectId(sketchId), promptId: { $ne: null } } },
+    { $group: { _id: { $ifNull: ['$contributor.sessionId', '$contributor.ipAddress'] } } }
+  ]);
+  
+  await Sketch.updateOne(
+    { _id: sketchId },
+    { $set: { 'statistics.contributorCount': contributors.length } }
+  );
 }
 
 /**
  * Create new version
+ *
+ * The version gets the next sequence after the sketch's current version and
+ * links to that version as its parent. The unique (sketchId, sequence) index
+ * turns a concurrent write into a SketchConflictError.
  */
-async function createNewVersion(sketch, prompt, code, commitResult) {
-  // Implementation would use Mongoose models
-  // This is a placeholder
+async function createNewVersion(sketch, prompt, code) {
   console.log(`Creating new version for sketch ${sketch.id}`);
-  return {
-    id: 'version-' + Date.now(),
-    sequence: 1,
-    // other version properties
-  };
+  
+  const parent = await Version.findOne({
+    sketchId: sketch._id,
+    sequence: sketch.currentVersion
+  }).select('_id');
+  
+  try {
+    return await Version.create({
+      sketchId: sketch._id,
+      promptId: prompt._id,
+      parentVersionId: parent ? parent._id : null,
+      sequence: sketch.currentVersion + 1,
+      code,
+      contributor: prompt.contributor,
+      promptText: prompt.text,
+      diffStats: countLineChanges(sketch.currentCode, code)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new SketchConflictError(sketch.id, sketch.currentVersion);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Commit a new version to the sketch's GitHub repository and record the
+ * commit on the version
+ *
+ * The version is already the sketch's current code, so a failed commit is
+ * logged rather than failing (and retrying) the prompt.
+ * @returns {Promise<Object|null>} `{ sha, url }`, `{ failed: true }`, or null
+ *   if the sketch's versions are not committed
+ */
+async function commitVersion(sketch, prompt, version) {
+  if (!githubService.canCommit(sketch)) {
+    return null;
+  }
+
+  try {
+    const commitResult = await githubService.commitSketchChanges(sketch, prompt, version.code);
+    await Version.updateOne({ _id: version._id }, {
+      $set: { commit: { sha: commitResult.sha, url: commitResult.url } }
+    });
+    return commitResult;
+  } catch (error) {
+    console.error(`Error committing version ${version.sequence} of sketch ${sketch.id} to GitHub:`, error.message);
+    return { failed: true };
+  }
+}
+
+/**
+ * Prompt status metadata for the result of commitVersion
+ */
+function getCommitMetadata(commitResult) {
+  if (!commitResult) return {};
+  if (commitResult.failed) return { commitFailed: true };
+  return { commitSha: commitResult.sha, commitUrl: commitResult.url };
 }
 
 /**
  * Validate prompt content
+ *
+ * Moderation scores are stored on the prompt whether or not it passes.
  */
-async function validatePrompt(promptText) {
-  // Implementation would use ContentModerator service
-  // This is a placeholder
-  console.log(`Validating prompt: ${promptText}`);
-  return { isValid: true };
+async function validatePrompt(promptId, promptText) {
+  console.log(`Moderating prompt ${promptId}`);
+  
+  const moderation = await contentModerator.moderate(promptText);
+  
+  await Prompt.updateOne({ _id: promptId }, {
+    $set: {
+      'processing.moderationFlags': {
+        provider: moderation.provider,
+        scores: moderation.scores,
+        flaggedCategories: moderation.flaggedCategories
+      }
+    }
+  });
+  
+  return { isValid: moderation.isAppropriate, reason: moderation.reason };
 }
 
 /**
- * Validate generated code
+ * Check the AI service's validation of generated code
+ *
+ * The result, including line/column diagnostics, is stored on the prompt.
  */
-async function validateGeneratedCode(code) {
-  // Implementation would use CodeValidator service
-  // This is a placeholder
-  console.log(`Validating generated code`);
-  return { isValid: true };
+async function checkGeneratedCode(promptId, result) {
+  await Prompt.updateOne({ _id: promptId }, {
+    $set: { 'processing.validationResult': result }
+  });
+  
+  if (result.isValid) {
+    return { isValid: true };
+  }
+  
+  return {
+    isValid: false,
+    reason: {
+      code: 'invalid_code',
+      message: CodeValidator.formatSummary(result.diagnostics),
+      details: { diagnostics: result.diagnostics }
+    }
+  };
 }
 
 /**
  * Handle prompt rejection
+ * @param {Object} rejection - `{ code, message, details }`; `code` is
+ *   machine-readable, `message` is shown to the submitter
  */
-async function handleRejection(promptId, sketchId, reason) {
-  console.log(`Rejecting prompt ${promptId}: ${reason}`);
+async function handleRejection(promptId, sketchId, rejection) {
+  console.log(`Rejecting prompt ${promptId} (${rejection.code}): ${rejection.message}`);
   
   // Update prompt status to rejected
-  await updatePromptStatus(promptId, 'rejected', reason);
+  await updatePromptStatus(promptId, 'rejected', rejection.message, { rejection });
   
   // Broadcast rejection via WebSocket
   websocketService.broadcastPromptStatus(promptId, sketchId, {
     code: 'rejected',
-    message: reason
+    message: rejection.message
   });
+}
+
+/**
+ * Queue thumbnail rendering for a new version
+ *
+ * Fire-and-forget: a queue error is logged and the version simply keeps no
+ * thumbnail, the prompt itself has already succeeded.
+ */
+function enqueueThumbnail(sketchId, version) {
+  if (!config.thumbnails.enabled) {
+    return;
+  }
+  
+  thumbnailQueue.add(
+    {
+      sketchId: sketchId.toString(),
+      versionId: version.id,
+      sequence: version.sequence
+    },
+    { jobId: `thumbnail:${version.id}` }
+  ).catch(error => {
+    console.error(`Error queueing thumbnail for version ${version.id}:`, error);
+  });
+}
+
+/**
+ * Render and store the thumbnail and animated preview of a version
+ *
+ * The version always gets its still thumbnail. The sketch's images are only
+ * replaced while the version is still the sketch's current one, so a slow
+ * render of an older version never overwrites a newer thumbnail. A sketch
+ * that fails to render keeps its previous images and records the error;
+ * rendering is deterministic, so the job is not retried.
+ */
+async function generateThumbnail({ sketchId, versionId, sequence }) {
+  const [sketch, version] = await Promise.all([
+    Sketch.findById(sketchId).select('settings currentVersion isActive'),
+    Version.findById(versionId).select('code sequence')
+  ]);
+  
+  if (!sketch || !sketch.isActive || !version) {
+    return { success: false, reason: 'sketch or version no longer exists' };
+  }
+  
+  let rendered;
+  try {
+    rendered = await thumbnailService.render(version.code, sketch.settings);
+  } catch (error) {
+    console.warn(`Thumbnail for sketch ${sketchId} version ${sequence} failed: ${error.message}`);
+    await Sketch.updateOne(
+      { _id: sketchId, currentVersion: sequence },
+      { $set: { 'thumbnail.status': 'failed', 'thumbnail.error': error.message } }
+    );
+    return { success: false, reason: error.message };
+  }
+  
+  const { image, preview, width, height } = rendered;
+  
+  await Version.updateOne({ _id: versionId }, {
+    $set: {
+      thumbnail: {
+        dataUrl: `data:image/png;base64,${image.toString('base64')}`,
+        width,
+        height
+      }
+    }
+  });
+  
+  const result = await Sketch.updateOne(
+    { _id: sketchId, currentVersion: sequence },
+    {
+      $set: {
+        thumbnail: {
+          image,
+          preview,
+          width,
+          height,
+          versionSequence: sequence,
+          generatedAt: new Date(),
+          status: 'ready'
+        }
+      }
+    }
+  );
+  
+  return { success: true, appliedToSketch: result.modifiedCount > 0 };
 }
\ No newline at end of file
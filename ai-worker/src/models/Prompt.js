@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Mirrors the backend Prompt model; both services share the prompts collection
+
+const STATUS_CODES = ['submitted', 'queued', 'processing', 'completed', 'rejected', 'failed'];
+
+// Statuses a prompt cannot leave
+const TERMINAL_STATUS_CODES = ['completed', 'rejected', 'failed'];
+
+const statusSchema = new mongoose.Schema(
+  {
+    code: { type: String, enum: STATUS_CODES, required: true },
+    message: String,
+    timestamp: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const promptSchema = new mongoose.Schema(
+  {
+    sketchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sketch',
+      required: true
+    },
+    text: {
+      type: String,
+      required: true
+    },
+    status: statusSchema,
+    statusHistory: [statusSchema],
+    contributor: {
+      ipAddress: String,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      sessionId: String,
+      nickname: String
+    },
+    timestamps: {
+      submitted: { type: Date, default: Date.now },
+      processed: Date,
+      applied: Date
+    },
+    processing: {
+      aiResponse: String,
+      validationResult: mongoose.Schema.Types.Mixed,
+      moderationFlags: mongoose.Schema.Types.Mixed,
+      generationAttempts: { type: Number, default: 0 }
+    },
+    // Why a rejected prompt was rejected, in a form clients can act on
+    rejection: {
+      code: String,
+      message: String,
+      details: mongoose.Schema.Types.Mixed
+    },
+    codeChanges: {
+      before: String,
+      after: String,
+      diff: String
+    },
+    commit: {
+      sha: String,
+      url: String,
+      status: { type: String, enum: ['pending', 'success', 'failed'] }
+    },
+    metadata: {
+      processingTime: Number,
+      aiModel: String,
+      aiTokens: Number
+    }
+  },
+  { toJSON: { virtuals: true } }
+);
+
+promptSchema.statics.STATUS_CODES = STATUS_CODES;
+promptSchema.statics.TERMINAL_STATUS_CODES = TERMINAL_STATUS_CODES;
+
+module.exports = mongoose.model('Prompt', promptSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// Mirrors the backend Sketch model; both services share the sketches collection
+
+const sketchSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 3,
+      maxlength: 100
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: ''
+    },
+    currentCode: {
+      type: String,
+      required: true,
+      maxlength: 100 * 1024
+    },
+    baseTemplate: {
+      type: String,
+      required: true,
+      maxlength: 100 * 1024,
+      immutable: true
+    },
+    // Sequence of the latest version; the AI worker uses it as an optimistic
+    // concurrency check when applying prompts
+    currentVersion: {
+      type: Number,
+      default: 0
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    archivedAt: Date,
+    created: {
+      timestamp: { type: Date, default: Date.now },
+      ipAddress: String
+    },
+    lastModified: {
+      timestamp: { type: Date, default: Date.now },
+      promptId: { type: mongoose.Schema.Types.ObjectId, ref: 'Prompt' }
+    },
+    statistics: {
+      promptCount: { type: Number, default: 0 },
+      viewCount: { type: Number, default: 0 },
+      contributorCount: { type: Number, default: 0 },
+      forkCount: { type: Number, default: 0 },
+      lastActivity: { type: Date, default: Date.now }
+    },
+    settings: {
+      canvasWidth: { type: Number, min: 100, max: 2000, default: 800 },
+      canvasHeight: { type: Number, min: 100, max: 2000, default: 600 },
+      frameRate: { type: Number, min: 1, max: 60, default: 60 },
+      isPublic: { type: Boolean, default: true },
+      allowAnonymous: { type: Boolean, default: true },
+      // p5 release the sketch runs on; unset means the server default
+      p5Version: String,
+      // Opt-in add-ons such as p5.sound
+      libraries: { type: [String], default: [] }
+    },
+    // Sketch and version this sketch was forked from, if any
+    forkedFrom: {
+      sketchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Sketch' },
+      versionSequence: Number
+    },
+    // Rendered in the background after each new version. The images are
+    // served by the thumbnail routes, never embedded in sketch JSON
+    thumbnail: {
+      image: { type: Buffer, select: false },    // PNG of the last rendered frame
+      preview: { type: Buffer, select: false },  // Short animated GIF
+      width: Number,
+      height: Number,
+      versionSequence: Number,
+      generatedAt: Date,
+      // Outcome of the latest attempt; a failure keeps the previous images
+      status: { type: String, enum: ['ready', 'failed'] },
+      error: String
+    },
+    repository: {
+      owner: String,
+      name: String,
+      branch: String,
+      path: String
+    },
+    tags: {
+      type: [String],
+      default: []
+    }
+  },
+  { toJSON: { virtuals: true } }
+);
+
+module.exports = mongoose.model('Sketch', sketchSchema);
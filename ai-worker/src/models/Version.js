@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Mirrors the backend Version model; both services share the versions collection
+
+const versionSchema = new mongoose.Schema(
+  {
+    sketchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sketch',
+      required: true
+    },
+    // Prompt that produced this version (null for the initial version)
+    promptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Prompt',
+      default: null
+    },
+    // Version this one was derived from (null for the initial version)
+    parentVersionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Version',
+      default: null
+    },
+    // Set when this version restores the code of an earlier one
+    revertedFromSequence: {
+      type: Number,
+      default: null
+    },
+    sequence: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: Number.isInteger
+    },
+    code: {
+      type: String,
+      required: true,
+      maxlength: 100 * 1024
+    },
+    codeHash: {
+      type: String,
+      required: true
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    contributor: {
+      ipAddress: String,
+      sessionId: String,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      nickname: String
+    },
+    promptText: String,
+    // Lines added and removed relative to the parent version (version 1:
+    // relative to empty code), kept so history lists don't load every version's code
+    diffStats: {
+      additions: Number,
+      deletions: Number
+    },
+    thumbnail: {
+      dataUrl: { type: String, maxlength: 1024 * 1024 },
+      width: Number,
+      height: Number
+    },
+    commit: {
+      sha: String,
+      url: String
+    }
+  },
+  { toJSON: { virtuals: true } }
+);
+
+// Sequences are unique per sketch, which also stops two writers creating the same version
+versionSchema.index({ sketchId: 1, sequence: 1 }, { unique: true });
+versionSchema.index({ promptId: 1 });
+versionSchema.index({ 'contributor.userId': 1 });
+
+/**
+ * Hash sketch code so identical versions can be recognized
+ * @param {string} code - Sketch code
+ * @returns {string} SHA-256 hex digest
+ */
+versionSchema.statics.hashCode = function(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+};
+
+versionSchema.pre('validate', function(next) {
+  if (this.isModified('code')) {
+    this.codeHash = this.constructor.hashCode(this.code);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Version', versionSchema);
@@ -1,11 +1,20 @@
 const AIModelService = require('./aiModelService');
+const { parseSketch, extractFunction } = require('../utils/sketchParser');
+
+// Functions a sketch always keeps, even if the model leaves them out
+const REQUIRED_FUNCTIONS = ['setup', 'draw'];
 
 /**
  * AI Service for processing prompts and generating P5.js code
  */
 class AIService {
-  constructor(config) {
+  /**
+   * @param {Object} config - AI configuration
+   * @param {Object} codeValidator - CodeValidator run on every generated sketch
+   */
+  constructor(config, codeValidator) {
     this.config = config;
+    this.codeValidator = codeValidator;
     this.aiModel = new AIModelService();
   }
 
@@ -13,7 +22,9 @@ class AIService {
    * Process a prompt and generate P5.js code
    * @param {string} promptText - The text prompt from the user
    * @param {string} currentCode - The current code in the sketch (for context)
-   * @returns {Promise<Object>} - Object containing success status and generated code
+   * @returns {Promise<Object>} - `{ success, code, validation }`, where
+   *   `validation` is the code validator's result for `code`, or
+   *   `{ success: false, error }`
    */
   async processPrompt(promptText, currentCode) {
     try {
@@ -27,13 +38,14 @@ class AIService {
       const generatedCode = await this.aiModel.generateP5Code(enhancedPrompt);
 
       // Validate and clean the generated code
-      const processedCode = this.processGeneratedCode(generatedCode, currentCode);
+      const { code, validation } = this.processGeneratedCode(generatedCode, currentCode);
 
-      console.log(`Successfully generated code (${processedCode.length} characters)`);
+      console.log(`Successfully generated code (${code.length} characters)`);
       
       return {
         success: true,
-        code: processedCode
+        code,
+        validation
       };
     } catch (error) {
       console.error('Error in AI service:', error);
@@ -52,15 +64,37 @@ class AIService {
    */
   createEnhancedPrompt(promptText, currentCode) {
     // Extract important information from current code
-    const setupFn = this.extractFunction(currentCode, 'setup');
-    const drawFn = this.extractFunction(currentCode, 'draw');
+    const sketch = parseSketch(currentCode);
+    
+    if (!sketch) {
+      // Unparsable code can't be split up, so send it whole
+      return `
+      Based on the following current P5.js sketch:
+      
+      ${currentCode}
+      
+      Please update the sketch according to this request: "${promptText}"
+      
+      Return the complete P5.js code that incorporates the requested changes.
+    `;
+    }
+    
+    const globals = sketch.globals.map(global => global.source).join('\n');
+    const classes = [...sketch.classes.values()].join('\n\n');
+    const helpers = [...sketch.functions.entries()]
+      .filter(([name]) => name !== 'setup' && name !== 'draw')
+      .map(([, source]) => source)
+      .join('\n\n');
     
     // Create a context-aware prompt
     return `
       Based on the following current P5.js sketch context:
       
-      Setup function: ${setupFn || 'Not defined'}
-      Draw function: ${drawFn || 'Not defined'}
+      Global variables: ${globals || 'None'}
+      Classes: ${classes || 'None'}
+      Setup function: ${sketch.functions.get('setup') || 'Not defined'}
+      Draw function: ${sketch.functions.get('draw') || 'Not defined'}
+      Other functions: ${helpers || 'None'}
       
       Please update the sketch according to this request: "${promptText}"
       
@@ -75,52 +109,99 @@ class AIService {
    * @returns {string} - Extracted function or null
    */
   extractFunction(code, functionName) {
-    const regex = new RegExp(`function\\s+${functionName}\\s*\\(.*?\\)\\s*{[\\s\\S]*?}`, 'g');
-    const match = regex.exec(code);
-    return match ? match[0] : null;
+    return extractFunction(code, functionName);
   }
 
   /**
    * Process, validate and clean the generated code
    * @param {string} generatedCode - Raw generated code
    * @param {string} currentCode - Current code for fallback
-   * @returns {string} - Processed code
+   * @returns {Object} - `{ code, validation }`: the processed code and the
+   *   code validator's result for it
    */
   processGeneratedCode(generatedCode, currentCode) {
+    const code = this.cleanGeneratedCode(generatedCode, currentCode);
+    return { code, validation: this.codeValidator.validate(code) };
+  }
+
+  /**
+   * Fall back to the current code when nothing was generated, and repair
+   * declarations the model dropped
+   * @param {string} generatedCode - Raw generated code
+   * @param {string} currentCode - Current code for fallback
+   * @returns {string} - Cleaned code
+   */
+  cleanGeneratedCode(generatedCode, currentCode) {
     // If no code was generated, return the current code
     if (!generatedCode || generatedCode.trim().length === 0) {
       console.warn('No code was generated, returning current code');
       return currentCode;
     }
     
-    // Basic validation - check for required P5.js functions
-    const hasSetup = generatedCode.includes('function setup');
-    const hasDraw = generatedCode.includes('function draw');
+    const generated = parseSketch(generatedCode);
+    const current = parseSketch(currentCode);
     
-    if (!hasSetup || !hasDraw) {
-      console.warn('Generated code missing setup or draw functions, performing repair');
-      
-      // Simple repair by extracting them from current code if missing
-      let repairedCode = generatedCode;
-      
-      if (!hasSetup) {
-        const currentSetup = this.extractFunction(currentCode, 'setup');
-        if (currentSetup) {
-          repairedCode = currentSetup + '\n\n' + repairedCode;
+    // Code that doesn't parse is left for the code validator to reject
+    if (!generated || !current) {
+      return generatedCode;
+    }
+    
+    return this.repairCode(generatedCode, generated, current);
+  }
+
+  /**
+   * Merge declarations the model dropped back in from the current code:
+   * setup() and draw(), plus any function, class or global that the
+   * generated code (or a declaration merged back in) still uses but no
+   * longer declares. Names the generated code already declares are never
+   * added again.
+   * @param {string} generatedCode - Generated code
+   * @param {Object} generated - parseSketch() result for the generated code
+   * @param {Object} current - parseSketch() result for the current code
+   * @returns {string} - Repaired code
+   */
+  repairCode(generatedCode, generated, current) {
+    const declared = new Set(generated.declaredNames);
+    const needed = new Set([...REQUIRED_FUNCTIONS, ...generated.referencedNames]);
+    const restored = new Set();
+    
+    // Restored declarations can need further declarations, so repeat until stable
+    let changed = true;
+    while (changed) {
+      changed = false;
+      current.declarations.forEach((declaration) => {
+        const { names, references } = declaration;
+        if (restored.has(declaration) || !names.some(name => needed.has(name))) {
+          return;
         }
-      }
-      
-      if (!hasDraw) {
-        const currentDraw = this.extractFunction(currentCode, 'draw');
-        if (currentDraw) {
-          repairedCode = repairedCode + '\n\n' + currentDraw;
+        // Re-adding a declaration that shares a name would be a redeclaration
+        if (names.some(name => declared.has(name))) {
+          return;
         }
-      }
-      
-      return repairedCode;
+        restored.add(declaration);
+        names.forEach(name => declared.add(name));
+        references.forEach(name => needed.add(name));
+        changed = true;
+      });
     }
     
-    return generatedCode;
+    if (restored.size === 0) {
+      return generatedCode;
+    }
+    
+    console.warn('Generated code is missing declarations from the current sketch, performing repair');
+    
+    // Globals and classes go first so they exist before setup() runs;
+    // function declarations are hoisted and go last
+    const inOrder = current.declarations.filter(declaration => restored.has(declaration));
+    const prepend = inOrder.filter(declaration => declaration.kind !== 'function');
+    const append = inOrder.filter(declaration => declaration.kind === 'function');
+    
+    return [
+      ...prepend.map(declaration => declaration.source),
+      generatedCode,
+      ...append.map(declaration => declaration.source)
+    ].join('\n\n');
   }
 }
 
@@ -0,0 +1,139 @@
+const ModerationProvider = require('./moderation/moderationProvider');
+const LocalModerationProvider = require('./moderation/localProvider');
+const OpenAIModerationProvider = require('./moderation/openaiProvider');
+
+// Machine-readable code stored on prompts rejected by moderation
+const REJECTION_CODE = 'content_policy_violation';
+
+// How each category is described to the submitter
+const CATEGORY_LABELS = {
+  sexual: 'sexual content',
+  hate: 'hateful content',
+  harassment: 'harassment',
+  violence: 'violent content',
+  selfHarm: 'self-harm content',
+  toxicity: 'offensive language'
+};
+
+// Provider classes by config.contentModeration.service name
+const providers = {
+  local: LocalModerationProvider,
+  openai: OpenAIModerationProvider
+};
+
+/**
+ * Content moderator for prompt text
+ *
+ * Scores prompts with the configured provider and compares each category
+ * against its threshold. If a remote provider cannot be created or fails,
+ * the local provider is used instead so moderation keeps working offline.
+ */
+class ContentModerator {
+  constructor(config) {
+    this.config = config;
+    this.thresholds = config.thresholds;
+    this.localProvider = new LocalModerationProvider({ wordlistPath: config.wordlistPath });
+    this.provider = this.createProvider(config.service);
+  }
+
+  /**
+   * Register an additional provider class (e.g. a remote classifier adapter)
+   * @param {string} name - Name used in CONTENT_MODERATION_SERVICE
+   * @param {Function} ProviderClass - Subclass of ModerationProvider
+   */
+  static registerProvider(name, ProviderClass) {
+    providers[name] = ProviderClass;
+  }
+
+  /**
+   * Create the configured provider, falling back to the local one
+   * @param {string} name - Provider name
+   * @returns {ModerationProvider} Provider instance
+   */
+  createProvider(name) {
+    if (!name || name === 'local') {
+      return this.localProvider;
+    }
+
+    const ProviderClass = providers[name];
+    if (!ProviderClass) {
+      console.warn(`Moderation provider ${name} not supported, using local provider`);
+      return this.localProvider;
+    }
+
+    try {
+      return new ProviderClass(this.config);
+    } catch (error) {
+      console.warn(`Could not create moderation provider ${name}, using local provider: ${error.message}`);
+      return this.localProvider;
+    }
+  }
+
+  /**
+   * Moderate prompt text
+   * @param {string} text - Prompt text
+   * @returns {Promise<Object>} `{ isAppropriate, provider, scores, flaggedCategories, reason }`
+   *   where `reason` is `{ code, message, details }` for rejected text and null otherwise
+   */
+  async moderate(text) {
+    if (!this.config.enabled) {
+      return {
+        isAppropriate: true,
+        provider: null,
+        scores: {},
+        flaggedCategories: [],
+        reason: null
+      };
+    }
+
+    let provider = this.provider;
+    let scores;
+    try {
+      scores = await provider.classify(text);
+    } catch (error) {
+      if (provider === this.localProvider) {
+        throw error;
+      }
+      console.warn(`Moderation provider ${provider.name} failed, using local provider: ${error.message}`);
+      provider = this.localProvider;
+      scores = await provider.classify(text);
+    }
+
+    const flaggedCategories = ModerationProvider.CATEGORIES.filter(
+      category => scores[category] >= this.thresholds[category]
+    );
+
+    return {
+      isAppropriate: flaggedCategories.length === 0,
+      provider: provider.name,
+      scores,
+      flaggedCategories,
+      reason: flaggedCategories.length === 0 ? null : this.buildRejectionReason(flaggedCategories, scores)
+    };
+  }
+
+  /**
+   * Build the rejection reason stored on the prompt and shown to its submitter
+   * @param {string[]} categories - Categories over their thresholds
+   * @param {Object} scores - Category scores
+   * @returns {Object} `{ code, message, details }`
+   */
+  buildRejectionReason(categories, scores) {
+    const labels = categories.map(category => CATEGORY_LABELS[category]);
+    return {
+      code: REJECTION_CODE,
+      message: `Prompt contains inappropriate content (${labels.join(', ')})`,
+      details: {
+        categories: categories.map(category => ({
+          category,
+          score: scores[category],
+          threshold: this.thresholds[category]
+        }))
+      }
+    };
+  }
+}
+
+ContentModerator.REJECTION_CODE = REJECTION_CODE;
+
+module.exports = ContentModerator;
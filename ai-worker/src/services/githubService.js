@@ -0,0 +1,122 @@
+const axios = require('axios');
+
+const GITHUB_API_URL = 'https://api.github.com';
+
+// Delay before the first retry; doubles with each attempt
+const RETRY_DELAY_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed GitHub request is worth retrying: network errors, server
+ * errors and rate limits
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+const isRetryable = (error) => {
+  const { response } = error;
+  if (!response) return true;
+  if (response.status >= 500 || response.status === 429) return true;
+  return response.status === 403 && response.headers['x-ratelimit-remaining'] === '0';
+};
+
+/**
+ * Commits sketch code to the sketch's GitHub repository
+ *
+ * Commits are optional: with GitHub disabled (no token, or
+ * GITHUB_COMMITS_ENABLED=false) or for sketches without a repository,
+ * nothing is committed and the rest of the pipeline runs as usual.
+ */
+class GitHubService {
+  /**
+   * @param {Object} config - GitHub configuration
+   * @param {boolean} config.enabled - Whether to commit at all
+   * @param {string} config.token - Token with write access to the sketch repositories
+   * @param {number} config.maxRetries - Retries for a failed request
+   */
+  constructor(config) {
+    this.config = config;
+    this.client = config.enabled
+      ? axios.create({
+        baseURL: GITHUB_API_URL,
+        headers: {
+          Accept: 'application/vnd.github+json',
+          Authorization: `Bearer ${config.token}`
+        },
+        timeout: 10000
+      })
+      : null;
+  }
+
+  /**
+   * Whether a sketch's versions are committed
+   * @param {Object} sketch - Sketch document
+   * @returns {boolean}
+   */
+  canCommit(sketch) {
+    const repository = sketch.repository || {};
+    return Boolean(this.client && repository.owner && repository.name);
+  }
+
+  /**
+   * Commit new sketch code
+   * @param {Object} sketch - Sketch document with a repository
+   * @param {Object} prompt - Prompt that produced the code
+   * @param {string} code - New sketch code
+   * @returns {Promise<Object>} `{ sha, url }` of the commit
+   */
+  async commitSketchChanges(sketch, prompt, code) {
+    const { owner, name, branch = 'main', path = 'sketch.js' } = sketch.repository;
+    const contentsUrl = `/repos/${owner}/${name}/contents/${path}`;
+
+    // Updating a file needs the SHA of the blob it replaces
+    const existing = await this.request(() => this.client.get(contentsUrl, { params: { ref: branch } }))
+      .catch(error => {
+        if (error.response && error.response.status === 404) return null;
+        throw error;
+      });
+
+    const response = await this.request(() => this.client.put(contentsUrl, {
+      message: GitHubService.formatCommitMessage(prompt),
+      content: Buffer.from(code).toString('base64'),
+      sha: existing ? existing.data.sha : undefined,
+      branch
+    }));
+
+    return {
+      sha: response.data.commit.sha,
+      url: response.data.commit.html_url
+    };
+  }
+
+  /**
+   * Run a request, retrying transient failures with exponential backoff
+   * @param {Function} send - Sends the request
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(send) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send();
+      } catch (error) {
+        if (attempt >= this.config.maxRetries || !isRetryable(error)) {
+          throw error;
+        }
+        await sleep(RETRY_DELAY_MS * 2 ** attempt);
+      }
+    }
+  }
+
+  /**
+   * Commit message for a prompt, as described in github-integration.md
+   * @param {Object} prompt - Prompt document
+   * @returns {string}
+   */
+  static formatCommitMessage(prompt) {
+    const summary = prompt.text.length > 50 ? `${prompt.text.substring(0, 50)}...` : prompt.text;
+    const contributor = (prompt.contributor && prompt.contributor.nickname) || 'Anonymous';
+    return `[Update]: ${summary}\n\nPrompt: "${prompt.text}"\nContributor: ${contributor}\nPrompt ID: ${prompt._id}`;
+  }
+}
+
+module.exports = GitHubService;
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const ModerationProvider = require('./moderationProvider');
+const defaultWordlists = require('./wordlists');
+
+// Common character substitutions used to slip words past filters
+const SUBSTITUTIONS = {
+  '0': 'o',
+  '1': 'i',
+  '3': 'e',
+  '4': 'a',
+  '5': 's',
+  '7': 't',
+  '@': 'a',
+  '$': 's'
+};
+
+/**
+ * Reduce text to lowercase words separated by single spaces, undoing
+ * character substitutions inside words ("sh1t")
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+const normalizeText = (text) => text
+  .toLowerCase()
+  .replace(/(?<=[a-z])[013457@$]|[013457@$](?=[a-z])/g, char => SUBSTITUTIONS[char])
+  .replace(/['’]/g, '')
+  .replace(/[^a-z]+/g, ' ')
+  .trim();
+
+/**
+ * Collapse letters repeated three or more times ("fuuuuck")
+ * @param {string} text - Normalized text
+ * @returns {string} Text with long repeats reduced to one letter
+ */
+const collapseRepeats = (text) => text.replace(/([a-z])\1{2,}/g, '$1');
+
+/**
+ * Offline rule-based provider
+ *
+ * Matches normalized prompt text against weighted wordlists. Several weak
+ * matches in one category combine (noisy-OR), so a single game word stays
+ * under the threshold while a string of violent terms does not.
+ */
+class LocalModerationProvider extends ModerationProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.wordlists] - Terms to use instead of the defaults
+   * @param {string} [options.wordlistPath] - JSON file with terms to merge in
+   */
+  constructor(options = {}) {
+    super('local');
+    this.wordlists = LocalModerationProvider.mergeWordlists(
+      options.wordlists || defaultWordlists,
+      options.wordlistPath ? LocalModerationProvider.loadWordlist(options.wordlistPath) : {}
+    );
+    this.matchers = this.buildMatchers();
+  }
+
+  /**
+   * Read an extra wordlist from disk
+   * @param {string} path - Path to a JSON file
+   * @returns {Object} Terms by category
+   */
+  static loadWordlist(path) {
+    return JSON.parse(fs.readFileSync(path, 'utf8'));
+  }
+
+  /**
+   * Merge wordlists; later lists override term weights from earlier ones
+   * @param {...Object} lists - Terms by category
+   * @returns {Object} Merged terms by category
+   */
+  static mergeWordlists(...lists) {
+    return ModerationProvider.CATEGORIES.reduce((merged, category) => {
+      merged[category] = Object.assign({}, ...lists.map(list => list[category] || {}));
+      return merged;
+    }, {});
+  }
+
+  /**
+   * Compile one whole-word pattern per term
+   * @returns {Array} Matchers `{ category, term, weight, pattern }`
+   */
+  buildMatchers() {
+    const matchers = [];
+    Object.entries(this.wordlists).forEach(([category, terms]) => {
+      Object.entries(terms).forEach(([term, weight]) => {
+        const normalized = normalizeText(term);
+        if (!normalized) return;
+        matchers.push({
+          category,
+          term,
+          weight,
+          // Allow simple plurals and verb endings on single words
+          pattern: new RegExp(`(?:^| )${normalized}(?:s|es|ed|ing)?(?= |$)`)
+        });
+      });
+    });
+    return matchers;
+  }
+
+  async classify(text) {
+    const normalized = normalizeText(text || '');
+    // Terms like "kkk" need the repeats, stretched-out words need them removed
+    const variants = [normalized, collapseRepeats(normalized)];
+    const misses = {};
+
+    this.matchers.forEach(({ category, weight, pattern }) => {
+      if (variants.some(variant => pattern.test(variant))) {
+        misses[category] = (misses[category] ?? 1) * (1 - weight);
+      }
+    });
+
+    const scores = {};
+    Object.entries(misses).forEach(([category, miss]) => {
+      scores[category] = 1 - miss;
+    });
+
+    return ModerationProvider.normalizeScores(scores);
+  }
+}
+
+LocalModerationProvider.normalizeText = normalizeText;
+
+module.exports = LocalModerationProvider;
@@ -0,0 +1,45 @@
+/**
+ * Moderation categories scored by every provider. Names match the keys of
+ * config.contentModeration.thresholds.
+ */
+const CATEGORIES = ['sexual', 'hate', 'harassment', 'violence', 'selfHarm', 'toxicity'];
+
+/**
+ * Base class for content moderation providers
+ *
+ * A provider scores text from 0 (clean) to 1 (certain violation) in each
+ * category. Comparing scores against thresholds is left to ContentModerator,
+ * so providers can be swapped without changing policy.
+ */
+class ModerationProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Score text in each moderation category
+   * @param {string} text - Text to classify
+   * @returns {Promise<Object>} Map of category name to score between 0 and 1
+   */
+  async classify() {
+    throw new Error(`Moderation provider ${this.name} does not implement classify()`);
+  }
+
+  /**
+   * Fill in categories the provider did not score and clamp scores to [0, 1]
+   * (rounded to three decimals)
+   * @param {Object} scores - Partial category scores
+   * @returns {Object} Scores for every category
+   */
+  static normalizeScores(scores) {
+    return CATEGORIES.reduce((result, category) => {
+      const score = Number(scores[category]) || 0;
+      result[category] = Math.round(Math.min(1, Math.max(0, score)) * 1000) / 1000;
+      return result;
+    }, {});
+  }
+}
+
+ModerationProvider.CATEGORIES = CATEGORIES;
+
+module.exports = ModerationProvider;
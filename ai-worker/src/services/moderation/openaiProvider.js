@@ -0,0 +1,49 @@
+const { OpenAI } = require('openai');
+const ModerationProvider = require('./moderationProvider');
+
+// OpenAI moderation categories that feed each of our categories
+const CATEGORY_MAP = {
+  sexual: ['sexual', 'sexual/minors'],
+  hate: ['hate', 'hate/threatening'],
+  harassment: ['harassment', 'harassment/threatening'],
+  violence: ['violence', 'violence/graphic'],
+  selfHarm: ['self-harm', 'self-harm/intent', 'self-harm/instructions'],
+  // OpenAI has no toxicity category; abusive language shows up in these
+  toxicity: ['harassment', 'hate']
+};
+
+/**
+ * Remote provider backed by the OpenAI moderation endpoint
+ */
+class OpenAIModerationProvider extends ModerationProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - OpenAI API key
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    super('openai');
+    if (!options.apiKey) {
+      throw new Error('OpenAI moderation requires an API key');
+    }
+    this.client = new OpenAI({
+      apiKey: options.apiKey,
+      timeout: options.timeout,
+      maxRetries: 1
+    });
+  }
+
+  async classify(text) {
+    const response = await this.client.moderations.create({ input: text });
+    const categoryScores = response.results[0].category_scores;
+
+    const scores = {};
+    Object.entries(CATEGORY_MAP).forEach(([category, sources]) => {
+      scores[category] = Math.max(...sources.map(source => categoryScores[source] || 0));
+    });
+
+    return ModerationProvider.normalizeScores(scores);
+  }
+}
+
+module.exports = OpenAIModerationProvider;
@@ -0,0 +1,127 @@
+/**
+ * Default terms for the local moderation provider
+ *
+ * Each term maps to the weight it contributes to its category (0-1). Prompts
+ * describe drawings and games, so words that are common there ("explode",
+ * "shoot", "kill" the enemies) carry low weights and only add up when several
+ * appear together. Multi-word entries match as phrases.
+ *
+ * Deployments can add or override terms with CONTENT_MODERATION_WORDLIST.
+ */
+module.exports = {
+  sexual: {
+    'porn': 0.9,
+    'porno': 0.9,
+    'pornographic': 0.9,
+    'hentai': 0.9,
+    'xxx': 0.7,
+    'nsfw': 0.7,
+    'nude': 0.6,
+    'nudes': 0.7,
+    'naked': 0.5,
+    'topless': 0.5,
+    'genitals': 0.8,
+    'penis': 0.7,
+    'vagina': 0.7,
+    'boobs': 0.6,
+    'sex': 0.5,
+    'sexy': 0.3,
+    'sexual': 0.4,
+    'erotic': 0.7,
+    'orgasm': 0.8,
+    'masturbate': 0.9,
+    'stripper': 0.5,
+    'fetish': 0.6
+  },
+
+  hate: {
+    'nazi': 0.4,
+    'swastika': 0.6,
+    'heil hitler': 0.9,
+    'white power': 0.9,
+    'white supremacy': 0.7,
+    'kkk': 0.8,
+    'ethnic cleansing': 0.9,
+    'genocide': 0.5,
+    'subhuman': 0.7,
+    'inferior race': 0.9,
+    'master race': 0.8,
+    'go back to your country': 0.8,
+    'death to': 0.6
+  },
+
+  harassment: {
+    'kill yourself': 0.9,
+    'kys': 0.8,
+    'you are worthless': 0.8,
+    'youre worthless': 0.8,
+    'nobody likes you': 0.7,
+    'i will find you': 0.8,
+    'i know where you live': 0.9,
+    'doxx': 0.8,
+    'idiot': 0.3,
+    'moron': 0.3,
+    'loser': 0.3,
+    'stupid': 0.2,
+    'ugly': 0.2,
+    'pathetic': 0.3,
+    'shut up': 0.3
+  },
+
+  violence: {
+    'kill': 0.2,
+    'shoot': 0.15,
+    'explode': 0.1,
+    'blood': 0.25,
+    'bloody': 0.25,
+    'gore': 0.6,
+    'gory': 0.6,
+    'murder': 0.5,
+    'massacre': 0.6,
+    'behead': 0.8,
+    'decapitate': 0.8,
+    'dismember': 0.8,
+    'mutilate': 0.8,
+    'torture': 0.6,
+    'stab': 0.4,
+    'school shooting': 0.9,
+    'mass shooting': 0.9,
+    'bomb threat': 0.8,
+    'terrorist attack': 0.8,
+    'make a bomb': 0.9
+  },
+
+  selfHarm: {
+    'suicide': 0.6,
+    'suicidal': 0.7,
+    'kill myself': 0.9,
+    'killing myself': 0.9,
+    'end my life': 0.9,
+    'want to die': 0.8,
+    'self harm': 0.8,
+    'cut myself': 0.9,
+    'cutting myself': 0.9,
+    'hurt myself': 0.7,
+    'overdose': 0.6,
+    'anorexia': 0.4,
+    'starve myself': 0.8
+  },
+
+  toxicity: {
+    'fuck': 0.8,
+    'fucking': 0.8,
+    'motherfucker': 0.9,
+    'shit': 0.5,
+    'bullshit': 0.5,
+    'bitch': 0.7,
+    'asshole': 0.7,
+    'bastard': 0.5,
+    'cunt': 0.9,
+    'dick': 0.4,
+    'piss': 0.3,
+    'crap': 0.2,
+    'damn': 0.1,
+    'wtf': 0.3,
+    'stfu': 0.6
+  }
+};
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const Prompt = require('../models/Prompt');
+
+// Statuses of a prompt that has not started processing
+const WAITING_STATUS_CODES = ['submitted', 'queued'];
+
+// Release the lock only if we still own it
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+// Extend the lock only if we still own it
+const RENEW_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+/**
+ * Serializes prompt processing per sketch
+ *
+ * A prompt is applied only once every earlier prompt for the same sketch has
+ * finished, and only while holding a Redis lock on the sketch, so prompts for
+ * one sketch run one at a time in submission order across all worker
+ * replicas. Prompts for different sketches are not affected: a job whose
+ * turn hasn't come doesn't hold its queue slot while it waits, it is added
+ * back to the queue with a delay and tried again.
+ */
+class SketchSerializer {
+  /**
+   * @param {Object} redisClient - Connected node-redis client
+   * @param {Object} options - Queue configuration
+   * @param {number} options.sketchLockTtlMs - Lock lifetime (renewed while held)
+   * @param {number} options.sketchTurnTimeoutMs - Maximum wait for earlier prompts and the lock
+   * @param {number} options.sketchRequeueDelayMs - Delay before a waiting prompt is tried again
+   */
+  constructor(redisClient, options) {
+    this.redis = redisClient;
+    this.lockTtlMs = options.sketchLockTtlMs;
+    this.turnTimeoutMs = options.sketchTurnTimeoutMs;
+    this.requeueDelayMs = options.sketchRequeueDelayMs;
+  }
+
+  /**
+   * Run a prompt job's task if it is that prompt's turn on the sketch,
+   * otherwise requeue the job
+   * @param {Object} job - Bull job with `{ promptId, sketchId }` data
+   *   (ObjectIds sort in submission order)
+   * @param {Function} task - Async function to run exclusively
+   * @returns {Promise<*>} Result of the task, or `{ deferred: true, reason }`
+   *   if the job was requeued
+   */
+  async run(job, task) {
+    const { sketchId, promptId } = job.data;
+    // Requeued jobs keep the time the prompt first started waiting
+    const waitingSince = job.data.waitingSince || job.timestamp;
+    const timedOut = Date.now() - waitingSince >= this.turnTimeoutMs;
+
+    if (await this.hasEarlierPrompts(sketchId, promptId)) {
+      if (!timedOut) {
+        return this.requeue(job, waitingSince, 'waiting for earlier prompts');
+      }
+      // An earlier prompt is stuck (e.g. its job was lost); don't block the sketch forever
+      console.warn(`Timed out waiting for earlier prompts on sketch ${sketchId}, processing ${promptId}`);
+      await this.failAbandonedPrompts(sketchId, promptId);
+    }
+
+    const token = await this.acquireLock(sketchId);
+    if (!token) {
+      if (timedOut) {
+        throw new Error(`Timed out acquiring lock for sketch ${sketchId}`);
+      }
+      return this.requeue(job, waitingSince, 'sketch is locked');
+    }
+
+    const renewTimer = setInterval(() => {
+      this.renewLock(sketchId, token).catch(err => {
+        console.error(`Failed to renew lock for sketch ${sketchId}:`, err);
+      });
+    }, Math.floor(this.lockTtlMs / 2));
+
+    try {
+      return await task();
+    } finally {
+      clearInterval(renewTimer);
+      await this.releaseLock(sketchId, token);
+    }
+  }
+
+  /**
+   * Whether an earlier prompt for the sketch is still pending
+   * @param {string} sketchId - Sketch ID
+   * @param {string} promptId - Prompt ID
+   * @returns {Promise<boolean>}
+   */
+  async hasEarlierPrompts(sketchId, promptId) {
+    const earlier = await Prompt.exists({
+      sketchId,
+      _id: { $lt: promptId },
+      'status.code': { $nin: Prompt.TERMINAL_STATUS_CODES }
+    });
+    return Boolean(earlier);
+  }
+
+  /**
+   * Mark earlier prompts that never started processing as failed, so the
+   * prompts after them don't each wait out the turn timeout again
+   *
+   * Only prompts that have not moved for a whole turn timeout are failed; any
+   * prompt still waiting its turn that long would have stopped waiting already.
+   * @param {string} sketchId - Sketch ID
+   * @param {string} promptId - ID of the prompt that timed out waiting
+   * @returns {Promise<void>}
+   */
+  async failAbandonedPrompts(sketchId, promptId) {
+    const status = {
+      code: 'failed',
+      message: 'Prompt was abandoned before it could be processed',
+      timestamp: new Date()
+    };
+    const result = await Prompt.updateMany(
+      {
+        sketchId,
+        _id: { $lt: promptId },
+        'status.code': { $in: WAITING_STATUS_CODES },
+        'status.timestamp': { $lte: new Date(Date.now() - this.turnTimeoutMs) }
+      },
+      {
+        $set: { status, 'timestamps.processed': status.timestamp },
+        $push: { statusHistory: status }
+      }
+    );
+    if (result.modifiedCount > 0) {
+      console.warn(`Marked ${result.modifiedCount} abandoned prompt(s) on sketch ${sketchId} as failed`);
+    }
+  }
+
+  /**
+   * Add a job back to its queue with a delay
+   *
+   * The copy gets a new job ID, as Bull ignores jobs whose ID is already in
+   * the queue and this job only finishes once this returns.
+   * @param {Object} job - Bull job
+   * @param {number} waitingSince - When the prompt started waiting
+   * @param {string} reason - Why the job is requeued, for the job result
+   * @returns {Promise<Object>} `{ deferred: true, reason }`
+   */
+  async requeue(job, waitingSince, reason) {
+    const { promptId } = job.data;
+    const requeues = (job.data.requeues || 0) + 1;
+
+    await job.queue.add(
+      { ...job.data, waitingSince, requeues },
+      { jobId: `prompt:${promptId}:requeue:${requeues}`, delay: this.requeueDelayMs }
+    );
+
+    return { deferred: true, reason };
+  }
+
+  /**
+   * Try once to acquire the sketch lock
+   * @param {string} sketchId - Sketch ID
+   * @returns {Promise<string|null>} Lock token, or null if another job holds the lock
+   */
+  async acquireLock(sketchId) {
+    const token = crypto.randomUUID();
+    const result = await this.redis.set(this.lockKey(sketchId), token, {
+      NX: true,
+      PX: this.lockTtlMs
+    });
+    return result === 'OK' ? token : null;
+  }
+
+  /**
+   * Extend the lock while a long-running task holds it
+   * @param {string} sketchId - Sketch ID
+   * @param {string} token - Lock token
+   */
+  async renewLock(sketchId, token) {
+    await this.redis.eval(RENEW_SCRIPT, {
+      keys: [this.lockKey(sketchId)],
+      arguments: [token, String(this.lockTtlMs)]
+    });
+  }
+
+  /**
+   * Release the lock if it is still ours
+   * @param {string} sketchId - Sketch ID
+   * @param {string} token - Lock token
+   */
+  async releaseLock(sketchId, token) {
+    try {
+      await this.redis.eval(RELEASE_SCRIPT, {
+        keys: [this.lockKey(sketchId)],
+        arguments: [token]
+      });
+    } catch (error) {
+      // The lock expires on its own; log and move on
+      console.error(`Failed to release lock for sketch ${sketchId}:`, error);
+    }
+  }
+
+  lockKey(sketchId) {
+    return `sketch-lock:${sketchId}`;
+  }
+}
+
+module.exports = SketchSerializer;
@@ -0,0 +1,108 @@
+const path = require('path');
+const { fork } = require('child_process');
+
+const RENDER_PROCESS = path.join(__dirname, 'thumbnails', 'renderProcess.js');
+
+// The render process stops itself after timeoutMs; this is the backstop
+const KILL_GRACE_MS = 5000;
+
+/**
+ * Turn a Uint8Array received over IPC back into a Buffer
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {Buffer}
+ */
+const toBuffer = (bytes) => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+/**
+ * Thumbnail renderer
+ *
+ * Renders each sketch in a headless browser driven by a short-lived child
+ * process with a time and memory limit, so sketch code can never reach the
+ * worker's environment, stall it or crash it.
+ */
+class ThumbnailService {
+  /**
+   * @param {Object} config - Thumbnail configuration
+   * @param {number} config.timeoutMs - Time allowed for one render
+   * @param {number} config.memoryLimitMb - Heap limit of the render process and the sketch page
+   * @param {string} config.browserPath - Chromium executable
+   * @param {boolean} config.browserSandbox - Whether to keep Chromium's sandbox on
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Render a thumbnail and animated preview for sketch code
+   * @param {string} code - Sketch code
+   * @param {Object} settings - Sketch settings
+   * @returns {Promise<Object>} `{ image, preview, width, height }`
+   */
+  render(code, settings) {
+    const {
+      timeoutMs, memoryLimitMb, maxWidth, maxHeight, frames, previewFrames, p5Packages, browserPath, browserSandbox
+    } = this.config;
+
+    return new Promise((resolve, reject) => {
+      const child = fork(RENDER_PROCESS, [], {
+        // No API keys, tokens or database URIs, and none of the worker's Node flags
+        env: {},
+        execArgv: [`--max-old-space-size=${memoryLimitMb}`],
+        serialization: 'advanced',
+        stdio: ['ignore', 'ignore', 'pipe', 'ipc']
+      });
+
+      let settled = false;
+      let stderr = '';
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (child.exitCode === null) child.kill('SIGKILL');
+        if (error) reject(error);
+        else resolve(result);
+      };
+
+      const timer = setTimeout(() => {
+        finish(new Error(`Rendering timed out after ${timeoutMs}ms`));
+      }, timeoutMs + KILL_GRACE_MS);
+
+      child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-1000);
+      });
+
+      child.on('message', ({ result, error }) => {
+        if (error) {
+          finish(new Error(error));
+          return;
+        }
+        finish(null, {
+          image: toBuffer(result.image),
+          preview: toBuffer(result.preview),
+          width: result.width,
+          height: result.height
+        });
+      });
+
+      child.on('error', finish);
+
+      child.on('exit', (code, signal) => {
+        const reason = signal ? `signal ${signal}` : `code ${code}`;
+        const detail = stderr.trim() ? `: ${stderr.trim().split('\n').pop()}` : '';
+        finish(new Error(`Render process exited with ${reason}${detail}`));
+      });
+
+      child.send({
+        sketch: {
+          code,
+          settings: { frameRate: settings.frameRate, p5Version: settings.p5Version, libraries: settings.libraries }
+        },
+        options: {
+          maxWidth, maxHeight, frames, previewFrames, p5Packages, browserPath, browserSandbox, memoryLimitMb, timeoutMs
+        }
+      });
+    });
+  }
+}
+
+module.exports = ThumbnailService;
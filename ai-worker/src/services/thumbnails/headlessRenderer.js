@@ -0,0 +1,317 @@
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer-core');
+const { GIFEncoder, quantize, applyPalette } = require('gifenc');
+const { P5_ADDONS } = require('shared/p5Addons');
+
+// How long the sketch may take to reach the end of setup() (preload included)
+const SETUP_TIMEOUT_MS = 5000;
+// How long the browser gets to shut down before it is killed
+const CLOSE_TIMEOUT_MS = 2000;
+
+// Sketch pages run inline scripts only and never reach the network
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'none'",
+  "script-src 'unsafe-inline'",
+  "style-src 'unsafe-inline'",
+  'img-src data: blob:'
+].join('; ');
+
+const DOCUMENT = `<!DOCTYPE html><html><head><meta http-equiv="Content-Security-Policy" content="${CONTENT_SECURITY_POLICY}"></head><body><main></main></body></html>`;
+
+// Runs in the page before p5: a clock that only moves when a frame is drawn
+const CLOCK_SCRIPT = `(() => {
+  let now = 0;
+  performance.now = () => now;
+  window.__advanceClock = (ms) => { now += ms; };
+})();`;
+
+/**
+ * Find the p5 package for a sketch's p5 version. Sketches without a
+ * version, or on one not installed here, use the first installed package.
+ * @param {string} [p5Version] - Version from the sketch settings, e.g. "1.4.2"
+ * @param {string[]} p5Packages - Installed p5 packages (or aliases), preferred first
+ * @returns {string} Root directory of the package
+ */
+const findP5Package = (p5Version, p5Packages) => {
+  let fallback = null;
+
+  for (const packageName of p5Packages) {
+    try {
+      const manifestPath = require.resolve(`${packageName.trim()}/package.json`);
+      const { version } = require(manifestPath);
+      if (version === p5Version) {
+        return path.dirname(manifestPath);
+      }
+      fallback = fallback || path.dirname(manifestPath);
+    } catch (error) {
+      // Not installed in the worker; try the next package
+    }
+  }
+
+  if (!fallback) {
+    throw new Error('p5 is not installed');
+  }
+  return fallback;
+};
+
+/**
+ * Read p5 and the add-ons a sketch opted into, in the order they load
+ * @param {Object} settings - Sketch settings (p5Version, libraries)
+ * @param {string[]} p5Packages - Installed p5 packages (or aliases), preferred first
+ * @returns {string[]} Library source code
+ */
+const readLibrarySources = ({ p5Version, libraries = [] }, p5Packages) => {
+  const root = findP5Package(p5Version, p5Packages);
+  const addons = Array.from(new Set(libraries)).map((name) => {
+    if (!Object.prototype.hasOwnProperty.call(P5_ADDONS, name)) {
+      throw new Error(`Unknown add-on library ${name}`);
+    }
+    return path.join(root, P5_ADDONS[name].file);
+  });
+
+  return [path.join(root, 'lib', 'p5.min.js'), ...addons].map(file => fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * Size that fits a canvas inside the thumbnail box without upscaling
+ * @returns {{ width: number, height: number }}
+ */
+const fitInside = (width, height, maxWidth, maxHeight) => {
+  const scale = Math.min(maxWidth / width, maxHeight / height, 1);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The functions below are serialized and run inside the page, never here
+/* global window, document */
+
+const startSketch = () => {
+  if (!window.p5) return 'p5 did not load';
+  if (typeof window.setup !== 'function' && typeof window.draw !== 'function') {
+    return 'Sketch does not define setup() or draw()';
+  }
+  // p5 only starts itself when setup() exists as it loads, so start it here
+  if (!window.p5.instance) new window.p5();
+  return null;
+};
+
+const isSetupDone = () => Boolean(window.p5.instance && window.p5.instance._setupDone);
+
+const takeOverDrawLoop = () => {
+  const instance = window.p5.instance;
+  instance.noLoop();
+  instance.pixelDensity(1);
+  return { width: instance.canvas.width, height: instance.canvas.height };
+};
+
+const drawFrames = (count, frameMs) => {
+  const instance = window.p5.instance;
+  for (let i = 0; i < count; i++) {
+    window.__advanceClock(frameMs);
+    instance._setProperty('deltaTime', frameMs);
+    instance.redraw();
+  }
+};
+
+// RGBA pixels as base64, the cheapest way out of the page
+const readPixels = (width, height) => {
+  const target = document.createElement('canvas');
+  target.width = width;
+  target.height = height;
+  const context = target.getContext('2d');
+  context.drawImage(window.p5.instance.canvas, 0, 0, width, height);
+  const { data } = context.getImageData(0, 0, width, height);
+  let binary = '';
+  for (let i = 0; i < data.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, data.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const readPng = (width, height) => {
+  const target = document.createElement('canvas');
+  target.width = width;
+  target.height = height;
+  target.getContext('2d').drawImage(window.p5.instance.canvas, 0, 0, width, height);
+  return target.toDataURL('image/png').split(',')[1];
+};
+
+/**
+ * Start a headless browser with networking disabled
+ * @param {Object} options - Thumbnail configuration
+ * @returns {Promise<Object>} Puppeteer browser
+ */
+const launchBrowser = async (options) => {
+  try {
+    return await puppeteer.launch({
+      executablePath: options.browserPath,
+      headless: 'new',
+      // The browser gets no secrets from the environment either
+      env: {},
+      args: [
+        ...(options.browserSandbox ? [] : ['--no-sandbox']),
+        `--js-flags=--max-old-space-size=${options.memoryLimitMb}`,
+        // Anything that gets past request interception hits a dead proxy
+        '--proxy-server=127.0.0.1:9',
+        '--proxy-bypass-list=<-loopback>',
+        '--force-webrtc-ip-handling-policy=disable_non_proxied_udp'
+      ]
+    });
+  } catch (error) {
+    throw new Error(`Could not start the headless browser: ${error.message.split('\n')[0]}`);
+  }
+};
+
+/**
+ * Close the browser, killing it if it doesn't close in time (e.g. while a
+ * sketch is stuck in an endless loop)
+ * @param {Object} browser - Puppeteer browser
+ */
+const closeBrowser = async (browser) => {
+  const browserProcess = browser.process();
+  await Promise.race([browser.close().catch(() => {}), sleep(CLOSE_TIMEOUT_MS)]);
+  if (browserProcess && browserProcess.exitCode === null) {
+    browserProcess.kill('SIGKILL');
+  }
+};
+
+/**
+ * Render a sketch in a headless browser and capture a still thumbnail and a
+ * short animated preview
+ *
+ * The sketch runs on p5 in global mode in a Chromium page with no network
+ * access, so sketch code gets the browser's isolation rather than sharing a
+ * realm with this process. Frames are drawn one at a time against a virtual
+ * clock, so millis(), deltaTime and frameCount advance exactly as they would
+ * at the sketch's frame rate no matter how long each frame takes to render.
+ * The thumbnail is the last frame; the preview samples frames evenly across
+ * the run. Add-on libraries the sketch opted into (e.g. p5.sound) load after
+ * p5 from the same package, as they do in the editor.
+ *
+ * @param {Object} sketch
+ * @param {string} sketch.code - Sketch code
+ * @param {Object} [sketch.settings] - Sketch settings (frameRate, p5Version, libraries)
+ * @param {Object} options - Thumbnail configuration
+ * @param {number} options.maxWidth - Largest thumbnail width
+ * @param {number} options.maxHeight - Largest thumbnail height
+ * @param {number} options.frames - Number of frames to draw
+ * @param {number} options.previewFrames - Number of frames in the preview
+ * @param {string[]} options.p5Packages - Installed p5 packages
+ * @param {string} options.browserPath - Chromium executable
+ * @param {boolean} options.browserSandbox - Whether to keep Chromium's sandbox on
+ * @param {number} options.memoryLimitMb - JavaScript heap limit of the page
+ * @param {number} options.timeoutMs - Time allowed for the whole render
+ * @returns {Promise<Object>} `{ image, preview, width, height }`; image is a
+ *   PNG and preview a GIF, both as Buffers
+ */
+const renderSketch = async ({ code, settings = {} }, options) => {
+  const frameRate = settings.frameRate || 60;
+  const frameMs = 1000 / frameRate;
+  const librarySources = readLibrarySources(settings, options.p5Packages);
+
+  const browser = await launchBrowser(options);
+  let timer;
+
+  try {
+    const page = await browser.newPage();
+    await page.setOfflineMode(true);
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      const url = request.url();
+      const local = url.startsWith('data:') || url.startsWith('blob:');
+      (local ? request.continue() : request.abort()).catch(() => {});
+    });
+
+    // Errors thrown outside our calls into the page (e.g. in callbacks)
+    const sketchErrors = [];
+    page.on('pageerror', error => sketchErrors.push(error));
+    const throwSketchError = () => {
+      if (sketchErrors.length > 0) {
+        throw new Error(`Sketch error: ${sketchErrors[0].message}`);
+      }
+    };
+    const runSketch = async (fn, ...args) => {
+      try {
+        return await page.evaluate(fn, ...args);
+      } catch (error) {
+        throw new Error(`Sketch error: ${error.message.split('\n')[0]}`);
+      } finally {
+        throwSketchError();
+      }
+    };
+
+    const render = async () => {
+      await page.setContent(DOCUMENT);
+      await page.addScriptTag({ content: CLOCK_SCRIPT });
+      for (const source of librarySources) {
+        await page.addScriptTag({ content: source });
+      }
+      await page.addScriptTag({ content: code });
+      throwSketchError();
+
+      const startError = await runSketch(startSketch);
+      if (startError) {
+        throw new Error(startError);
+      }
+
+      const deadline = Date.now() + SETUP_TIMEOUT_MS;
+      while (!(await runSketch(isSetupDone))) {
+        if (Date.now() > deadline) {
+          throw new Error('Sketch setup did not finish');
+        }
+        await sleep(20);
+      }
+
+      const canvas = await runSketch(takeOverDrawLoop);
+      const size = fitInside(canvas.width, canvas.height, options.maxWidth, options.maxHeight);
+
+      const totalFrames = Math.max(1, options.frames);
+      const previewFrames = Math.min(Math.max(1, options.previewFrames), totalFrames);
+      const step = Math.floor(totalFrames / previewFrames);
+      const gif = GIFEncoder();
+      let drawn = 0;
+
+      for (let frame = step; frame <= totalFrames; frame += step) {
+        await runSketch(drawFrames, frame - drawn, frameMs);
+        drawn = frame;
+
+        const pixels = await page.evaluate(readPixels, size.width, size.height);
+        const data = new Uint8Array(Buffer.from(pixels, 'base64'));
+        const palette = quantize(data, 256);
+        gif.writeFrame(applyPalette(data, palette), size.width, size.height, {
+          palette,
+          delay: step * frameMs
+        });
+      }
+
+      await runSketch(drawFrames, totalFrames - drawn, frameMs);
+      const png = await page.evaluate(readPng, size.width, size.height);
+      gif.finish();
+
+      return {
+        image: Buffer.from(png, 'base64'),
+        preview: Buffer.from(gif.bytes()),
+        width: size.width,
+        height: size.height
+      };
+    };
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`Rendering timed out after ${options.timeoutMs}ms`));
+      }, options.timeoutMs);
+    });
+
+    return await Promise.race([render(), timeout]);
+  } finally {
+    clearTimeout(timer);
+    await closeBrowser(browser);
+  }
+};
+
+module.exports = { renderSketch };
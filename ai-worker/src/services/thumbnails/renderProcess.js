@@ -0,0 +1,18 @@
+/**
+ * Child process entry point for headless sketch rendering
+ *
+ * Drives the headless browser the sketch runs in. It is started without the
+ * worker's environment, so it holds none of its credentials, and can be
+ * killed if the browser stops responding. Receives one `{ sketch, options }`
+ * message, replies with `{ result }` or `{ error }` and exits.
+ */
+const { renderSketch } = require('./headlessRenderer');
+
+process.once('message', async ({ sketch, options }) => {
+  try {
+    const result = await renderSketch(sketch, options);
+    process.send({ result }, () => process.exit(0));
+  } catch (error) {
+    process.send({ error: error.message || String(error) }, () => process.exit(0));
+  }
+});
@@ -0,0 +1,72 @@
+/**
+ * Sends live updates to clients watching a sketch
+ *
+ * Events are pushed as `{ room, type, data }` JSON onto the websocket
+ * service's room event queue in Redis; the websocket service sequences them,
+ * keeps them for replay and emits them to the sketch's room. Nothing is sent
+ * over HTTP, so updates survive a websocket restart.
+ *
+ * Broadcasting is best effort: a failed push is logged and never fails the
+ * prompt that produced it.
+ */
+class WebSocketService {
+  /**
+   * @param {Object} redisClient - Connected node-redis client
+   * @param {Object} config - WebSocket configuration
+   * @param {string} config.eventQueue - Redis list the websocket service consumes
+   */
+  constructor(redisClient, config) {
+    this.redis = redisClient;
+    this.eventQueue = config.eventQueue;
+  }
+
+  /**
+   * Queue an event for a sketch's room
+   * @param {string} sketchId - Sketch ID
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   * @returns {Promise<void>}
+   */
+  async broadcast(sketchId, type, data) {
+    const event = { room: `sketch:${sketchId}`, type, data };
+    try {
+      await this.redis.rPush(this.eventQueue, JSON.stringify(event));
+    } catch (error) {
+      console.error(`Error broadcasting ${type} for sketch ${sketchId}:`, error.message);
+    }
+  }
+
+  /**
+   * Announce a prompt's new status
+   * @param {string} promptId - Prompt ID
+   * @param {string} sketchId - Sketch ID
+   * @param {Object} status - `{ code, message }`
+   * @returns {Promise<void>}
+   */
+  broadcastPromptStatus(promptId, sketchId, status) {
+    return this.broadcast(sketchId, 'prompt:status_update', {
+      promptId,
+      sketchId,
+      status: { code: status.code, message: status.message },
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Announce a new version of a sketch
+   * @param {string} sketchId - Sketch ID
+   * @param {Object} update - `{ promptId, versionId, sequence, code, promptText, contributor, timestamp }`
+   * @returns {Promise<void>}
+   */
+  broadcastSketchUpdate(sketchId, update) {
+    const { contributor, ...rest } = update;
+    return this.broadcast(sketchId, 'sketch:updated', {
+      ...rest,
+      sketchId,
+      // Room members are public; IP addresses and session IDs stay private
+      contributor: { nickname: contributor?.nickname }
+    });
+  }
+}
+
+module.exports = WebSocketService;
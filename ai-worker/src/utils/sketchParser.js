@@ -0,0 +1,140 @@
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+const PARSE_OPTIONS = {
+  ecmaVersion: 'latest',
+  sourceType: 'script'
+};
+
+const FUNCTION_INIT_TYPES = ['FunctionExpression', 'ArrowFunctionExpression'];
+
+/**
+ * Names bound by a declaration pattern (`a`, `{ a, b }`, `[a, ...b]`)
+ * @param {Object} pattern - Pattern node
+ * @returns {string[]} Bound names
+ */
+const getPatternNames = (pattern) => {
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern.name];
+    case 'ObjectPattern':
+      return pattern.properties.flatMap(property => getPatternNames(
+        property.type === 'RestElement' ? property.argument : property.value
+      ));
+    case 'ArrayPattern':
+      return pattern.elements.filter(Boolean).flatMap(getPatternNames);
+    case 'RestElement':
+      return getPatternNames(pattern.argument);
+    case 'AssignmentPattern':
+      return getPatternNames(pattern.left);
+    default:
+      return [];
+  }
+};
+
+/**
+ * Source text of a top-level node, including comments directly above it
+ * @param {string} code - Full source
+ * @param {Object} node - Top-level node
+ * @param {number} previousEnd - End offset of the previous top-level node
+ * @returns {string} Source text
+ */
+const getNodeSource = (code, node, previousEnd) => {
+  // Only comments on their own lines count, not one trailing the previous node
+  const gap = (previousEnd === 0 ? '\n' : '') + code.slice(previousEnd, node.start);
+  // Keep a leading comment block that is not separated by a blank line
+  const commentMatch = gap.match(/\n((?:[ \t]*(?:\/\/[^\n]*|\/\*[\s\S]*?\*\/)[ \t]*\n)+[ \t]*)$/);
+  const start = commentMatch ? node.start - commentMatch[1].length : node.start;
+  return code.slice(start, node.end);
+};
+
+/**
+ * Names read anywhere inside a node
+ * @param {Object} node - AST node
+ * @returns {Set<string>} Referenced names
+ */
+const getReferencedNames = (node) => {
+  const names = new Set();
+  walk.simple(node, {
+    Identifier(identifier) {
+      names.add(identifier.name);
+    }
+  });
+  return names;
+};
+
+/**
+ * Parse sketch code into its top-level declarations
+ *
+ * Functions include `function name() {}` and `const name = () => {}` forms.
+ * Each declaration keeps its complete source text, however deeply nested
+ * its body is.
+ *
+ * @param {string} code - Sketch source
+ * @returns {Object|null} Parsed sketch, or null when the code does not parse:
+ *   - `declarations`: `{ kind, names, source, references }` in source order,
+ *     where kind is 'function', 'class' or 'global'
+ *   - `functions`, `classes`: Maps of name to source
+ *   - `globals`: `{ names, source }` for other variable declarations
+ *   - `declaredNames`: every top-level name
+ *   - `referencedNames`: every name read anywhere in the sketch
+ */
+const parseSketch = (code) => {
+  let ast;
+  try {
+    ast = acorn.parse(code, PARSE_OPTIONS);
+  } catch (error) {
+    return null;
+  }
+
+  const declarations = [];
+
+  let previousEnd = 0;
+  ast.body.forEach((node) => {
+    const source = getNodeSource(code, node, previousEnd);
+    previousEnd = node.end;
+    const references = getReferencedNames(node);
+
+    if (node.type === 'FunctionDeclaration') {
+      declarations.push({ kind: 'function', names: [node.id.name], source, references });
+    } else if (node.type === 'ClassDeclaration') {
+      declarations.push({ kind: 'class', names: [node.id.name], source, references });
+    } else if (node.type === 'VariableDeclaration') {
+      const names = node.declarations.flatMap(declaration => getPatternNames(declaration.id));
+      const [declaration] = node.declarations;
+      const isFunction = node.declarations.length === 1 &&
+        declaration.id.type === 'Identifier' &&
+        declaration.init &&
+        FUNCTION_INIT_TYPES.includes(declaration.init.type);
+
+      declarations.push({ kind: isFunction ? 'function' : 'global', names, source, references });
+    }
+  });
+
+  const byKind = kind => declarations.filter(declaration => declaration.kind === kind);
+
+  return {
+    declarations,
+    functions: new Map(byKind('function').map(({ names, source }) => [names[0], source])),
+    classes: new Map(byKind('class').map(({ names, source }) => [names[0], source])),
+    globals: byKind('global').map(({ names, source }) => ({ names, source })),
+    declaredNames: new Set(declarations.flatMap(declaration => declaration.names)),
+    referencedNames: getReferencedNames(ast)
+  };
+};
+
+/**
+ * Extract one complete top-level function from sketch code
+ * @param {string} code - Sketch source
+ * @param {string} functionName - Function name
+ * @returns {string|null} Function source, or null if missing or unparsable
+ */
+const extractFunction = (code, functionName) => {
+  const parsed = parseSketch(code);
+  return parsed ? parsed.functions.get(functionName) || null : null;
+};
+
+module.exports = {
+  parseSketch,
+  extractFunction
+};
@@ -0,0 +1,131 @@
+/* eslint-env jest */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContentModerator = require('../src/services/contentModerator');
+const LocalModerationProvider = require('../src/services/moderation/localProvider');
+const ModerationProvider = require('../src/services/moderation/moderationProvider');
+
+const thresholds = { sexual: 0.5, hate: 0.5, harassment: 0.5, violence: 0.6, selfHarm: 0.6, toxicity: 0.7 };
+
+const createModerator = (config = {}) => new ContentModerator({ enabled: true, service: 'local', thresholds, ...config });
+
+describe('LocalModerationProvider', () => {
+  const provider = new LocalModerationProvider({
+    wordlists: { violence: { stab: 0.5, gore: 0.5 }, hate: { 'bad phrase': 0.9 } }
+  });
+
+  it('scores every category, with zero for no matches', async () => {
+    expect(await provider.classify('draw a tree')).toEqual({
+      sexual: 0, hate: 0, harassment: 0, violence: 0, selfHarm: 0, toxicity: 0
+    });
+  });
+
+  it('combines several matches in one category', async () => {
+    expect((await provider.classify('stab')).violence).toBe(0.5);
+    expect((await provider.classify('stab and gore')).violence).toBe(0.75);
+  });
+
+  it('matches whole words with simple endings, phrases and substitutions', async () => {
+    expect((await provider.classify('stabbing')).violence).toBe(0);
+    expect((await provider.classify('Stabs!')).violence).toBe(0.5);
+    expect((await provider.classify('st4b')).violence).toBe(0.5);
+    expect((await provider.classify('gooooore')).violence).toBe(0.5);
+    expect((await provider.classify('a bad  phrase')).hate).toBe(0.9);
+    expect((await provider.classify('bad')).hate).toBe(0);
+  });
+
+  it('merges terms from a wordlist file', async () => {
+    const file = path.join(os.tmpdir(), `wordlist-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ toxicity: { blorp: 0.8 } }));
+    try {
+      const merged = new LocalModerationProvider({ wordlistPath: file });
+
+      expect((await merged.classify('blorp')).toxicity).toBe(0.8);
+      expect((await merged.classify('kill the enemies')).violence).toBeGreaterThan(0);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('keeps game vocabulary under the default violence threshold', async () => {
+    const scores = await new LocalModerationProvider().classify('shoot the asteroids and kill the aliens');
+
+    expect(scores.violence).toBeLessThan(thresholds.violence);
+  });
+});
+
+describe('ModerationProvider.normalizeScores', () => {
+  it('clamps, rounds and fills in scores', () => {
+    expect(ModerationProvider.normalizeScores({ hate: 1.5, sexual: -1, violence: 0.12345, toxicity: 'x' })).toEqual({
+      sexual: 0, hate: 1, harassment: 0, violence: 0.123, selfHarm: 0, toxicity: 0
+    });
+  });
+});
+
+describe('ContentModerator', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  it('accepts everything when disabled', async () => {
+    const result = await createModerator({ enabled: false }).moderate('porn');
+
+    expect(result).toEqual({ isAppropriate: true, provider: null, scores: {}, flaggedCategories: [], reason: null });
+  });
+
+  it('accepts text under every threshold', async () => {
+    const result = await createModerator().moderate('draw a red circle');
+
+    expect(result.isAppropriate).toBe(true);
+    expect(result.provider).toBe('local');
+    expect(result.reason).toBeNull();
+  });
+
+  it('rejects text at or over a threshold with a reason for the submitter', async () => {
+    const result = await createModerator().moderate('porn');
+
+    expect(result.isAppropriate).toBe(false);
+    expect(result.flaggedCategories).toEqual(['sexual']);
+    expect(result.reason).toEqual({
+      code: ContentModerator.REJECTION_CODE,
+      message: 'Prompt contains inappropriate content (sexual content)',
+      details: { categories: [{ category: 'sexual', score: 0.9, threshold: 0.5 }] }
+    });
+  });
+
+  it('uses the local provider for OpenAI without an API key', async () => {
+    const moderator = createModerator({ service: 'openai', apiKey: undefined });
+
+    expect(moderator.provider).toBe(moderator.localProvider);
+    expect((await moderator.moderate('hello')).provider).toBe('local');
+  });
+
+  it('uses the local provider for unknown services', () => {
+    const moderator = createModerator({ service: 'nope' });
+
+    expect(moderator.provider).toBe(moderator.localProvider);
+  });
+
+  it('falls back to the local provider when a registered provider fails', async () => {
+    class FailingProvider extends ModerationProvider {
+      constructor() {
+        super('failing');
+      }
+
+      async classify() {
+        throw new Error('service down');
+      }
+    }
+    ContentModerator.registerProvider('failing', FailingProvider);
+
+    const result = await createModerator({ service: 'failing' }).moderate('porn');
+
+    expect(result.provider).toBe('local');
+    expect(result.isAppropriate).toBe(false);
+  });
+});
@@ -0,0 +1,67 @@
+/* eslint-env jest */
+const GitHubService = require('../src/services/githubService');
+
+const sketch = { id: 's1', repository: { owner: 'org', name: 'sketch-s1', branch: 'main', path: 'sketch.js' } };
+const prompt = { _id: 'p1', text: 'Add a red circle', contributor: { nickname: 'ada' } };
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+const createService = (client, config = {}) => {
+  const service = new GitHubService({ enabled: true, token: 't', maxRetries: 0, ...config });
+  service.client = client;
+  return service;
+};
+
+describe('GitHubService', () => {
+  it('commits nothing when disabled or when the sketch has no repository', () => {
+    expect(new GitHubService({ enabled: false }).canCommit(sketch)).toBe(false);
+    expect(createService({}).canCommit({ id: 's2' })).toBe(false);
+    expect(createService({}).canCommit(sketch)).toBe(true);
+  });
+
+  it('updates the existing file with its blob SHA', async () => {
+    const client = {
+      get: jest.fn().mockResolvedValue({ data: { sha: 'blob1' } }),
+      put: jest.fn().mockResolvedValue({ data: { commit: { sha: 'c1', html_url: 'https://github.com/c1' } } })
+    };
+
+    const result = await createService(client).commitSketchChanges(sketch, prompt, 'draw()');
+
+    expect(result).toEqual({ sha: 'c1', url: 'https://github.com/c1' });
+    const [url, body] = client.put.mock.calls[0];
+    expect(url).toBe('/repos/org/sketch-s1/contents/sketch.js');
+    expect(body.sha).toBe('blob1');
+    expect(Buffer.from(body.content, 'base64').toString()).toBe('draw()');
+    expect(body.message).toMatch(/^\[Update\]: Add a red circle\n/);
+  });
+
+  it('creates the file when it does not exist yet', async () => {
+    const client = {
+      get: jest.fn().mockRejectedValue(httpError(404)),
+      put: jest.fn().mockResolvedValue({ data: { commit: { sha: 'c1', html_url: 'u' } } })
+    };
+
+    await createService(client).commitSketchChanges(sketch, prompt, 'draw()');
+
+    expect(client.put.mock.calls[0][1].sha).toBeUndefined();
+  });
+
+  it('retries rate-limited requests but not other client errors', async () => {
+    jest.useFakeTimers();
+    try {
+      const service = createService({}, { maxRetries: 2 });
+      const limited = jest.fn()
+        .mockRejectedValueOnce(httpError(403, { 'x-ratelimit-remaining': '0' }))
+        .mockResolvedValue('ok');
+      const pending = service.request(limited);
+      await jest.runAllTimersAsync();
+      await expect(pending).resolves.toBe('ok');
+
+      const forbidden = jest.fn().mockRejectedValue(httpError(403));
+      await expect(service.request(forbidden)).rejects.toThrow('HTTP 403');
+      expect(forbidden).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
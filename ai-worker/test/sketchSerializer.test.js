@@ -0,0 +1,119 @@
+/* eslint-env jest */
+jest.mock('../src/models/Prompt', () => ({
+  TERMINAL_STATUS_CODES: ['completed', 'rejected', 'failed'],
+  exists: jest.fn(),
+  updateMany: jest.fn()
+}));
+
+const Prompt = require('../src/models/Prompt');
+const SketchSerializer = require('../src/services/sketchSerializer');
+
+const OPTIONS = { sketchLockTtlMs: 60000, sketchTurnTimeoutMs: 300000, sketchRequeueDelayMs: 2000 };
+
+// Just enough of node-redis for the sketch lock
+class FakeRedis {
+  constructor() {
+    this.values = new Map();
+  }
+
+  async set(key, value, { NX }) {
+    if (NX && this.values.has(key)) return null;
+    this.values.set(key, value);
+    return 'OK';
+  }
+
+  async eval(script, { keys, arguments: args }) {
+    if (this.values.get(keys[0]) !== args[0]) return 0;
+    if (script.includes("'del'")) this.values.delete(keys[0]);
+    return 1;
+  }
+}
+
+const createJob = (data, timestamp = Date.now()) => ({
+  data: { promptId: 'p2', sketchId: 's1', ...data },
+  timestamp,
+  queue: { add: jest.fn().mockResolvedValue({}) }
+});
+
+describe('SketchSerializer', () => {
+  let redis;
+  let serializer;
+
+  beforeEach(() => {
+    redis = new FakeRedis();
+    serializer = new SketchSerializer(redis, OPTIONS);
+    Prompt.exists.mockReset().mockResolvedValue(null);
+    Prompt.updateMany.mockReset().mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  it('runs the task holding the sketch lock and releases it after', async () => {
+    const task = jest.fn(async () => {
+      expect(redis.values.has('sketch-lock:s1')).toBe(true);
+      return 'done';
+    });
+
+    await expect(serializer.run(createJob(), task)).resolves.toBe('done');
+    expect(redis.values.has('sketch-lock:s1')).toBe(false);
+  });
+
+  it('requeues a prompt while an earlier prompt is pending', async () => {
+    Prompt.exists.mockResolvedValue({ _id: 'p1' });
+    const job = createJob();
+    const task = jest.fn();
+
+    const result = await serializer.run(job, task);
+
+    expect(result).toEqual({ deferred: true, reason: 'waiting for earlier prompts' });
+    expect(task).not.toHaveBeenCalled();
+    expect(job.queue.add).toHaveBeenCalledWith(
+      expect.objectContaining({ promptId: 'p2', requeues: 1 }),
+      { jobId: 'prompt:p2:requeue:1', delay: 2000 }
+    );
+  });
+
+  it('keeps the original wait start when requeueing again', async () => {
+    Prompt.exists.mockResolvedValue({ _id: 'p1' });
+    const waitingSince = Date.now() - 1000;
+    const job = createJob({ waitingSince, requeues: 3 });
+
+    await serializer.run(job, jest.fn());
+
+    expect(job.queue.add.mock.calls[0][0]).toMatchObject({ waitingSince, requeues: 4 });
+    expect(job.queue.add.mock.calls[0][1].jobId).toBe('prompt:p2:requeue:4');
+  });
+
+  it('requeues a prompt while another job holds the lock', async () => {
+    redis.values.set('sketch-lock:s1', 'other');
+    const job = createJob();
+
+    const result = await serializer.run(job, jest.fn());
+
+    expect(result.reason).toBe('sketch is locked');
+  });
+
+  it('fails abandoned earlier prompts and runs once the wait times out', async () => {
+    Prompt.exists.mockResolvedValue({ _id: 'p1' });
+    const job = createJob({ waitingSince: Date.now() - OPTIONS.sketchTurnTimeoutMs });
+    const task = jest.fn().mockResolvedValue('done');
+
+    await expect(serializer.run(job, task)).resolves.toBe('done');
+
+    const [filter, update] = Prompt.updateMany.mock.calls[0];
+    expect(filter).toMatchObject({ sketchId: 's1', _id: { $lt: 'p2' }, 'status.code': { $in: ['submitted', 'queued'] } });
+    expect(filter['status.timestamp'].$lte.getTime()).toBeLessThanOrEqual(Date.now() - OPTIONS.sketchTurnTimeoutMs);
+    expect(update.$set.status.code).toBe('failed');
+    expect(job.queue.add).not.toHaveBeenCalled();
+  });
+
+  it('gives up once the lock is still held after the wait times out', async () => {
+    redis.values.set('sketch-lock:s1', 'other');
+    const job = createJob({ waitingSince: Date.now() - OPTIONS.sketchTurnTimeoutMs });
+
+    await expect(serializer.run(job, jest.fn())).rejects.toThrow('Timed out acquiring lock for sketch s1');
+  });
+
+  it('releases the lock when the task throws', async () => {
+    await expect(serializer.run(createJob(), async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect(redis.values.has('sketch-lock:s1')).toBe(false);
+  });
+});
@@ -1,6 +1,7 @@
 /**
  * Application configuration
  */
+const { getSessionSecret } = require('shared/sessionToken');
 
 const config = {
   // MongoDB configuration
@@ -20,9 +21,32 @@ const config = {
     }
   },
   
+  // Bull job queues (shared with the AI worker through Redis)
+  queues: {
+    promptProcessing: {
+      name: process.env.PROMPT_QUEUE_NAME || 'prompt-processing',
+      attempts: parseInt(process.env.PROMPT_QUEUE_ATTEMPTS || '3', 10),
+      backoffDelay: parseInt(process.env.PROMPT_QUEUE_BACKOFF_MS || '5000', 10)
+    },
+    // Thumbnail rendering for versions created here (new sketches, reverts)
+    thumbnails: {
+      enabled: process.env.THUMBNAILS_ENABLED !== 'false',
+      name: process.env.THUMBNAIL_QUEUE_NAME || 'thumbnail-generation'
+    }
+  },
+  
+  // Health checks
+  health: {
+    checkTimeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '2000', 10),
+    // Above these the queue is reported as degraded (still ready)
+    queueDepthWarning: parseInt(process.env.HEALTH_QUEUE_DEPTH_WARNING || '100', 10),
+    stalledJobsWarning: parseInt(process.env.HEALTH_STALLED_JOBS_WARNING || '1', 10)
+  },
+  
   // WebSocket service
   websocket: {
-    uri: process.env.WS_SERVICE_URL || 'http://websocket:4001'
+    // Redis list the websocket service takes room events from
+    eventQueue: process.env.ROOM_EVENT_QUEUE || 'room-events'
   },
   
   // AI service
@@ -47,11 +71,19 @@ const config = {
   
   // Security and rate limiting
   security: {
+    sessions: {
+      // Shared with the websocket service, which verifies the same tokens;
+      // required in production
+      secret: getSessionSecret(),
+      ttlSeconds: parseInt(process.env.SESSION_TTL_SECONDS || '86400', 10)
+    },
     rateLimiting: {
       enabled: process.env.RATE_LIMITING_ENABLED !== 'false',
       windowMs: parseInt(process.env.RATE_LIMITING_WINDOW_MS || '60000', 10),
       maxRequestsPerIp: parseInt(process.env.RATE_LIMITING_MAX_REQUESTS || '100', 10),
       maxPromptsPerIp: parseInt(process.env.RATE_LIMITING_MAX_PROMPTS || '10', 10),
+      // Requests are let through when Redis doesn't answer within this
+      redisTimeoutMs: parseInt(process.env.RATE_LIMITING_REDIS_TIMEOUT_MS || '500', 10),
     },
     contentModeration: {
       enabled: process.env.CONTENT_MODERATION_ENABLED !== 'false',
@@ -67,6 +99,41 @@ const config = {
     }
   },
   
+  // p5.js builds served to the sketch sandbox
+  libraries: {
+    // Installed npm packages (or aliases) that each provide one p5 release
+    p5Packages: process.env.P5_PACKAGES
+      ? process.env.P5_PACKAGES.split(',')
+      : ['p5', 'p5-1.4'],
+    // Version for new sketches; defaults to the newest installed release
+    defaultP5Version: process.env.DEFAULT_P5_VERSION,
+    maxAgeSeconds: parseInt(process.env.LIBRARY_MAX_AGE_SECONDS || '31536000', 10)
+  },
+  
+  // Validation of sketch code supplied by users (e.g. templates)
+  codeValidation: {
+    // Same limits as the AI worker applies to generated code
+    maxSizeBytes: parseInt(process.env.CODE_MAX_SIZE_BYTES || String(100 * 1024), 10),
+    maxLines: parseInt(process.env.CODE_MAX_LINES || '2000', 10)
+  },
+  
+  // Version diffs
+  diffs: {
+    // Diffs are computed without the cache when Redis doesn't answer within this
+    cacheTimeoutMs: parseInt(process.env.DIFF_CACHE_TIMEOUT_MS || '500', 10)
+  },
+  
+  // Sketch gallery listing
+  gallery: {
+    // Sketches with activity within this window count as active
+    activeWindowHours: parseInt(process.env.GALLERY_ACTIVE_WINDOW_HOURS || '24', 10),
+    // Cap on sketches matched through their prompt texts in one search
+    maxPromptMatches: parseInt(process.env.GALLERY_MAX_PROMPT_MATCHES || '500', 10)
+  },
+  
+  // Number of reverse proxy hops to trust for the client IP (req.ip)
+  trustProxy: parseInt(process.env.TRUST_PROXY || '0', 10),
+  
   // CORS configuration
   corsOrigins: process.env.CORS_ORIGINS 
     ? process.env.CORS_ORIGINS.split(',') 
@@ -8,19 +8,27 @@ const { createClient } = require('redis');
 
 const config = require('./config');
 const routes = require('./routes');
+const healthRoutes = require('./routes/healthRoutes');
 const { errorHandler, notFound } = require('./middleware/errorMiddleware');
-const { connectDB, getRedisClient } = require('./db');
+const { connectDB, getRedisClient, closeConnections } = require('./db');
+const { closePromptQueue } = require('./services/promptQueue');
+const { closeThumbnailQueue } = require('./services/thumbnailQueue');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+// Rate limits are keyed by client IP, which is only accurate behind a
+// load balancer if the proxy hops are trusted
+app.set('trust proxy', config.trustProxy);
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cors({
   origin: config.corsOrigins,
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
 }));
 app.use(helmet());
 app.use(morgan('dev'));
@@ -28,10 +36,8 @@ app.use(morgan('dev'));
 // Connect to MongoDB
 connectDB();
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok' });
-});
+// Health check endpoints (/health, /health/live, /health/ready)
+app.use('/health', healthRoutes);
 
 // API routes
 app.use('/api/v1', routes);
@@ -45,6 +51,24 @@ const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Stop taking requests, then close the queues before the connections they use
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down...`);
+  server.close();
+  try {
+    await closePromptQueue();
+    await closeThumbnailQueue();
+    await closeConnections();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error during shutdown:', error);
+    process.exit(1);
+  }
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error('Unhandled Promise Rejection:', err);
@@ -25,6 +25,13 @@ const errorHandler = (err, req, res, next) => {
   // Generate a unique request ID for error tracking
   const requestId = req.headers['x-request-id'] || `req-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
   
+  // Mongoose validation and cast errors are client errors
+  if (err.name === 'ValidationError' && !err.status) {
+    err.status = 422;
+  } else if (err.name === 'CastError' && !err.status) {
+    err.status = 400;
+  }
+
   // Set status code
   const statusCode = err.status || err.statusCode || 500;
 
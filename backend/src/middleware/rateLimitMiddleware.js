@@ -0,0 +1,159 @@
+/**
+ * Rate limiting middleware for Express
+ *
+ * Sliding-window limits are kept in Redis sorted sets (one entry per request,
+ * scored by time) so they hold across every backend replica.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const { getRedisClient } = require('../db');
+const { createHttpError } = require('../utils/httpError');
+const { withTimeout } = require('../utils/withTimeout');
+
+const KEY_PREFIX = 'ratelimit';
+
+/**
+ * Atomically prune, count and record a hit in every bucket in KEYS.
+ * The hit is only recorded when all buckets have room, so one exhausted
+ * bucket blocks the request without consuming the others.
+ * Uses the Redis clock so replicas agree on the window.
+ * Returns { allowed, remaining, resetMs } for the most constrained bucket.
+ */
+const SLIDING_WINDOW_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local window = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+local member = ARGV[3]
+
+local allowed = 1
+local remaining = limit
+local resetAt = now + window
+
+for _, key in ipairs(KEYS) do
+  redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+  local count = redis.call('ZCARD', key)
+  local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+  local keyReset = now + window
+  if oldest[2] then
+    keyReset = tonumber(oldest[2]) + window
+  end
+
+  if count >= limit then
+    if allowed == 1 or keyReset > resetAt then
+      resetAt = keyReset
+    end
+    allowed = 0
+    remaining = 0
+  elseif allowed == 1 and limit - count - 1 < remaining then
+    remaining = limit - count - 1
+    resetAt = keyReset
+  end
+end
+
+if allowed == 1 then
+  for _, key in ipairs(KEYS) do
+    redis.call('ZADD', key, now, member)
+    redis.call('PEXPIRE', key, window)
+  end
+end
+
+return { allowed, remaining, resetAt - now }
+`;
+
+/**
+ * Create a sliding-window rate limiter
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Bucket name, used in the Redis key
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Function} options.keys - `req => string[]` identities to limit;
+ *   each gets its own bucket and all must have room
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = ({ name, limit, windowMs, keys }) => async (req, res, next) => {
+  if (!config.security.rateLimiting.enabled) {
+    return next();
+  }
+
+  const redisKeys = keys(req).map(key => `${KEY_PREFIX}:${name}:${key}`);
+  const member = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+
+  // The Redis client queues commands while reconnecting rather than failing
+  // them, so the wait is bounded or requests would hang until it's back. A
+  // queued script can't be taken back and still runs once Redis returns; a
+  // hit it records after the request was let through is removed again, so
+  // clients are never charged for requests that weren't counted.
+  let timedOut = false;
+  const evaluation = (async () => {
+    const redis = await getRedisClient();
+    const reply = await redis.eval(SLIDING_WINDOW_SCRIPT, {
+      keys: redisKeys,
+      arguments: [String(windowMs), String(limit), member]
+    });
+    if (timedOut && reply[0] === 1) {
+      await Promise.all(redisKeys.map(key => redis.zRem(key, member))).catch(error => {
+        console.error(`Rate limiter "${name}" could not remove a late hit:`, error.message);
+      });
+    }
+    return reply;
+  })();
+
+  let result;
+  try {
+    result = await withTimeout(evaluation, config.security.rateLimiting.redisTimeoutMs);
+  } catch (error) {
+    timedOut = true;
+    // Fail open: an unavailable limiter should not take the API down with it
+    console.error(`Rate limiter "${name}" unavailable:`, error.message);
+    return next();
+  }
+
+  const [allowed, remaining, resetMs] = result;
+  const resetSeconds = Math.max(1, Math.ceil(resetMs / 1000));
+
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`
+  });
+
+  if (allowed !== 1) {
+    res.set('Retry-After', String(resetSeconds));
+    return next(createHttpError(429, 'Too many requests', { retryAfter: resetSeconds }));
+  }
+
+  next();
+};
+
+/**
+ * General API limit per client IP
+ */
+const apiRateLimiter = createRateLimiter({
+  name: 'api',
+  limit: config.security.rateLimiting.maxRequestsPerIp,
+  windowMs: config.security.rateLimiting.windowMs,
+  keys: req => [`ip:${req.ip}`]
+});
+
+/**
+ * Stricter limit on prompt submission. Counted per IP and per session, so
+ * neither rotating sessions nor sharing one session across IPs gets around it.
+ * Use after attachSession.
+ */
+const promptRateLimiter = createRateLimiter({
+  name: 'prompts',
+  limit: config.security.rateLimiting.maxPromptsPerIp,
+  windowMs: config.security.rateLimiting.windowMs,
+  keys: req => [
+    `ip:${req.ip}`,
+    ...(req.session ? [`session:${req.session.sessionId}`] : [])
+  ]
+});
+
+module.exports = {
+  createRateLimiter,
+  apiRateLimiter,
+  promptRateLimiter
+};
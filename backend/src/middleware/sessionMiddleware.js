@@ -0,0 +1,64 @@
+/**
+ * Session middleware for Express
+ */
+const { getSessionForToken } = require('../services/sessionService');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Read the session token from the request
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token from `Authorization: Bearer` or `X-Session-Token`
+ */
+const getRequestToken = (req) => {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.headers['x-session-token'] || null;
+};
+
+/**
+ * Attach the caller's session to `req.session` when a valid token is sent.
+ * Requests without a valid token continue anonymously, so a stale token
+ * doesn't lock clients out of public routes; requireSession rejects them
+ * where a session is needed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const attachSession = async (req, res, next) => {
+  req.session = null;
+  req.sessionTokenInvalid = false;
+
+  const token = getRequestToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    req.session = await getSessionForToken(token);
+    req.sessionTokenInvalid = !req.session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require a valid session (use after attachSession)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireSession = (req, res, next) => {
+  if (!req.session) {
+    const message = req.sessionTokenInvalid ? 'Invalid or expired session token' : 'Session required';
+    return next(createHttpError(401, message));
+  }
+  next();
+};
+
+module.exports = {
+  attachSession,
+  requireSession
+};
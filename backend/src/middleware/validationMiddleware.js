@@ -0,0 +1,77 @@
+/**
+ * Request validation middleware backed by Joi schemas
+ */
+const mongoose = require('mongoose');
+const CodeValidator = require('shared/codeValidator');
+const config = require('../config');
+const { createHttpError } = require('../utils/httpError');
+
+const codeValidator = new CodeValidator(config.codeValidation);
+
+/**
+ * Validate part of the request against a Joi schema
+ * @param {Object} schema - Joi schema
+ * @param {string} [property='body'] - Request property to validate ('body', 'query' or 'params')
+ * @returns {Function} Express middleware
+ */
+const validate = (schema, property = 'body') => (req, res, next) => {
+  const { error, value } = schema.validate(req[property], {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+    return next(createHttpError(422, 'Invalid request data', details));
+  }
+
+  // Replace the validated property with the sanitized value
+  req[property] = value;
+  next();
+};
+
+/**
+ * Reject route parameters that are not valid MongoDB ObjectIds
+ * @param {...string} names - Names of the route parameters to check
+ * @returns {Function} Express middleware
+ */
+const validateObjectId = (...names) => (req, res, next) => {
+  const invalid = names.find(name => !mongoose.isValidObjectId(req.params[name]));
+  if (invalid) {
+    return next(createHttpError(404, `Not Found - ${req.originalUrl}`));
+  }
+  next();
+};
+
+/**
+ * Reject sketch code in a body field that fails the code validator, which
+ * also checks AI-generated code. Runs after validate(), so the field is a
+ * string when present.
+ * @param {string} field - Body field holding sketch code
+ * @returns {Function} Express middleware
+ */
+const validateSketchCode = (field) => (req, res, next) => {
+  const code = req.body[field];
+  if (code === undefined) {
+    return next();
+  }
+
+  const { isValid, diagnostics } = codeValidator.validate(code);
+  if (!isValid) {
+    const details = diagnostics.map(diagnostic => ({
+      field,
+      message: `${diagnostic.message} at line ${diagnostic.line}, column ${diagnostic.column}`
+    }));
+    return next(createHttpError(422, 'Invalid request data', details));
+  }
+  next();
+};
+
+module.exports = {
+  validate,
+  validateObjectId,
+  validateSketchCode
+};
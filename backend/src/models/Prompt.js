@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Prompt status lifecycle:
+ *   submitted -> queued -> processing -> completed | rejected | failed
+ * A prompt may be rejected or fail from any non-terminal state, and a
+ * processing prompt returns to queued when its job is retried.
+ */
+const STATUS_TRANSITIONS = {
+  submitted: ['queued', 'rejected', 'failed'],
+  queued: ['processing', 'rejected', 'failed'],
+  processing: ['queued', 'completed', 'rejected', 'failed'],
+  completed: [],
+  rejected: [],
+  failed: []
+};
+
+const STATUS_CODES = Object.keys(STATUS_TRANSITIONS);
+
+const statusSchema = new mongoose.Schema(
+  {
+    code: { type: String, enum: STATUS_CODES, required: true },
+    message: String,
+    timestamp: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const promptSchema = new mongoose.Schema(
+  {
+    sketchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sketch',
+      required: true
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 3,
+      maxlength: 500
+    },
+    status: {
+      type: statusSchema,
+      default: () => ({ code: 'submitted', message: 'Prompt received' })
+    },
+    statusHistory: {
+      type: [statusSchema],
+      default: () => [{ code: 'submitted', message: 'Prompt received' }]
+    },
+    contributor: {
+      ipAddress: String,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      sessionId: String,
+      nickname: { type: String, trim: true, maxlength: 30, default: 'Anonymous' }
+    },
+    timestamps: {
+      submitted: { type: Date, default: Date.now },
+      processed: Date,
+      applied: Date
+    },
+    processing: {
+      aiResponse: String,
+      validationResult: mongoose.Schema.Types.Mixed,
+      moderationFlags: mongoose.Schema.Types.Mixed,
+      generationAttempts: { type: Number, default: 0 }
+    },
+    // Why a rejected prompt was rejected, in a form clients can act on
+    rejection: {
+      code: String,
+      message: String,
+      details: mongoose.Schema.Types.Mixed
+    },
+    codeChanges: {
+      before: { type: String, maxlength: 100 * 1024 },
+      after: { type: String, maxlength: 100 * 1024 },
+      diff: String
+    },
+    commit: {
+      sha: String,
+      url: String,
+      status: { type: String, enum: ['pending', 'success', 'failed'] }
+    },
+    metadata: {
+      processingTime: Number,
+      aiModel: String,
+      aiTokens: Number
+    }
+  },
+  {
+    toJSON: {
+      virtuals: true,
+      versionKey: false,
+      transform: (doc, ret) => {
+        delete ret._id;
+        // IP addresses are kept for moderation only, and session IDs identify
+        // the submitter's session, so neither is public
+        if (ret.contributor) {
+          delete ret.contributor.ipAddress;
+          delete ret.contributor.sessionId;
+        }
+        return ret;
+      }
+    }
+  }
+);
+
+// Lists are paginated newest first by _id, optionally filtered by status
+promptSchema.index({ sketchId: 1, _id: -1 });
+promptSchema.index({ 'status.code': 1, _id: -1 });
+promptSchema.index({ 'contributor.ipAddress': 1 });
+promptSchema.index({ 'contributor.userId': 1 });
+
+/**
+ * Move the prompt to a new status, enforcing the lifecycle
+ * @param {string} code - Target status code
+ * @param {string} [message] - Optional status message
+ * @returns {Object} The prompt document (unsaved)
+ */
+promptSchema.methods.transitionTo = function(code, message) {
+  const allowed = STATUS_TRANSITIONS[this.status.code] || [];
+  if (!allowed.includes(code)) {
+    throw createHttpError(409, `Invalid prompt status transition from ${this.status.code} to ${code}`);
+  }
+
+  const status = { code, message, timestamp: new Date() };
+  this.status = status;
+  this.statusHistory.push(status);
+
+  if (['completed', 'rejected', 'failed'].includes(code)) {
+    this.timestamps.processed = status.timestamp;
+  }
+
+  return this;
+};
+
+promptSchema.statics.STATUS_CODES = STATUS_CODES;
+promptSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = mongoose.model('Prompt', promptSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+/**
+ * Default P5.js template used when a sketch is created without one
+ */
+const DEFAULT_TEMPLATE = `function setup() {
+  createCanvas(800, 600);
+}
+
+function draw() {
+  background(220);
+}`;
+
+const sketchSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 3,
+      maxlength: 100
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: ''
+    },
+    currentCode: {
+      type: String,
+      required: true,
+      maxlength: 100 * 1024
+    },
+    baseTemplate: {
+      type: String,
+      required: true,
+      maxlength: 100 * 1024,
+      immutable: true
+    },
+    // Sequence of the latest version; the AI worker uses it as an optimistic
+    // concurrency check when applying prompts
+    currentVersion: {
+      type: Number,
+      default: 0
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    archivedAt: Date,
+    created: {
+      timestamp: { type: Date, default: Date.now },
+      ipAddress: String
+    },
+    lastModified: {
+      timestamp: { type: Date, default: Date.now },
+      promptId: { type: mongoose.Schema.Types.ObjectId, ref: 'Prompt' }
+    },
+    statistics: {
+      promptCount: { type: Number, default: 0 },
+      viewCount: { type: Number, default: 0 },
+      contributorCount: { type: Number, default: 0 },
+      forkCount: { type: Number, default: 0 },
+      lastActivity: { type: Date, default: Date.now }
+    },
+    settings: {
+      canvasWidth: { type: Number, min: 100, max: 2000, default: 800 },
+      canvasHeight: { type: Number, min: 100, max: 2000, default: 600 },
+      frameRate: { type: Number, min: 1, max: 60, default: 60 },
+      isPublic: { type: Boolean, default: true },
+      allowAnonymous: { type: Boolean, default: true },
+      // p5 release the sketch runs on; unset means the server default
+      p5Version: String,
+      // Opt-in add-ons such as p5.sound
+      libraries: { type: [String], default: [] }
+    },
+    // Sketch and version this sketch was forked from, if any
+    forkedFrom: {
+      sketchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Sketch' },
+      versionSequence: Number
+    },
+    // Rendered in the background after each new version. The images are
+    // served by the thumbnail routes, never embedded in sketch JSON
+    thumbnail: {
+      image: { type: Buffer, select: false },    // PNG of the last rendered frame
+      preview: { type: Buffer, select: false },  // Short animated GIF
+      width: Number,
+      height: Number,
+      versionSequence: Number,
+      generatedAt: Date,
+      // Outcome of the latest attempt; a failure keeps the previous images
+      status: { type: String, enum: ['ready', 'failed'] },
+      error: String
+    },
+    repository: {
+      owner: String,
+      name: String,
+      branch: String,
+      path: String
+    },
+    tags: {
+      type: [String],
+      default: []
+    }
+  },
+  {
+    toJSON: {
+      virtuals: true,
+      versionKey: false,
+      transform: (doc, ret) => {
+        delete ret._id;
+        // IP addresses are kept for moderation only
+        if (ret.created) delete ret.created.ipAddress;
+        return ret;
+      }
+    }
+  }
+);
+
+// Indexes from the data model indexing strategy
+sketchSchema.index({ isActive: 1, 'lastModified.timestamp': -1 });
+sketchSchema.index({ tags: 1 });
+sketchSchema.index({ 'created.timestamp': -1 });
+sketchSchema.index({ 'repository.owner': 1, 'repository.name': 1, 'repository.path': 1 });
+sketchSchema.index({ 'forkedFrom.sketchId': 1, _id: -1 });
+
+// Gallery search and sort orders
+sketchSchema.index(
+  { title: 'text', description: 'text', tags: 'text' },
+  { weights: { title: 10, tags: 5, description: 1 }, name: 'sketch_text' }
+);
+sketchSchema.index({ isActive: 1, 'statistics.promptCount': -1, _id: -1 });
+sketchSchema.index({ isActive: 1, 'statistics.contributorCount': -1, _id: -1 });
+
+sketchSchema.statics.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+
+module.exports = mongoose.model('Sketch', sketchSchema);
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Nicknames match case-insensitively when filtering by contributor
+const NICKNAME_COLLATION = { locale: 'en', strength: 2 };
+
+const versionSchema = new mongoose.Schema(
+  {
+    sketchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sketch',
+      required: true
+    },
+    // Prompt that produced this version (null for the initial version)
+    promptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Prompt',
+      default: null
+    },
+    // Version this one was derived from (null for the initial version)
+    parentVersionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Version',
+      default: null
+    },
+    // Set when this version restores the code of an earlier one
+    revertedFromSequence: {
+      type: Number,
+      default: null
+    },
+    sequence: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: Number.isInteger
+    },
+    code: {
+      type: String,
+      required: true,
+      maxlength: 100 * 1024
+    },
+    codeHash: {
+      type: String,
+      required: true
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    contributor: {
+      ipAddress: String,
+      sessionId: String,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      nickname: String
+    },
+    promptText: String,
+    // Lines added and removed relative to the parent version (version 1:
+    // relative to empty code), kept so history lists don't load every version's code
+    diffStats: {
+      additions: Number,
+      deletions: Number
+    },
+    // The image can be large, so it is left out of version queries by
+    // default and served by the version thumbnail route
+    thumbnail: {
+      dataUrl: { type: String, maxlength: 1024 * 1024, select: false },
+      width: Number,
+      height: Number
+    },
+    commit: {
+      sha: String,
+      url: String
+    }
+  },
+  {
+    toJSON: {
+      virtuals: true,
+      versionKey: false,
+      transform: (doc, ret) => {
+        delete ret._id;
+        // IP addresses are kept for moderation only, session IDs for counting contributors
+        if (ret.contributor) {
+          delete ret.contributor.ipAddress;
+          delete ret.contributor.sessionId;
+        }
+        return ret;
+      }
+    }
+  }
+);
+
+// Sequences are unique per sketch, which also stops two writers creating the same version
+versionSchema.index({ sketchId: 1, sequence: 1 }, { unique: true });
+versionSchema.index({ promptId: 1 });
+versionSchema.index({ 'contributor.userId': 1 });
+
+// Gallery search over applied prompts and filtering by contributor
+versionSchema.index({ promptText: 'text' }, { name: 'version_prompt_text' });
+versionSchema.index({ 'contributor.nickname': 1, sketchId: 1 }, { collation: NICKNAME_COLLATION });
+
+/**
+ * Hash sketch code so identical versions can be recognized
+ * @param {string} code - Sketch code
+ * @returns {string} SHA-256 hex digest
+ */
+versionSchema.statics.hashCode = function(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+};
+
+versionSchema.pre('validate', function(next) {
+  if (this.isModified('code')) {
+    this.codeHash = this.constructor.hashCode(this.code);
+  }
+  next();
+});
+
+versionSchema.statics.NICKNAME_COLLATION = NICKNAME_COLLATION;
+
+module.exports = mongoose.model('Version', versionSchema);
@@ -0,0 +1,122 @@
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const config = require('../config');
+const { getRedisClient } = require('../db');
+const { getPromptQueue } = require('../services/promptQueue');
+const { withTimeout } = require('../utils/withTimeout');
+
+const MONGOOSE_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * Run a dependency check and time it
+ * @param {Function} check - Async function returning `{ status, ...details }`
+ * @returns {Promise<Object>} Check result with `latencyMs`
+ */
+const timeCheck = async (check) => {
+  const start = process.hrtime.bigint();
+  let result;
+  try {
+    result = await withTimeout(check(), config.health.checkTimeoutMs);
+  } catch (error) {
+    result = { status: 'down', error: error.message };
+  }
+  const latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+  return { ...result, latencyMs: Math.round(latencyMs * 100) / 100 };
+};
+
+const checkMongo = async () => {
+  const { readyState } = mongoose.connection;
+  if (readyState !== 1) {
+    return { status: 'down', state: MONGOOSE_STATES[readyState] || 'unknown' };
+  }
+  await mongoose.connection.db.admin().ping();
+  return { status: 'up', state: 'connected' };
+};
+
+const checkRedis = async () => {
+  const redis = await getRedisClient();
+  const reply = await redis.ping();
+  return { status: reply === 'PONG' ? 'up' : 'down' };
+};
+
+const checkQueue = async () => {
+  const queue = getPromptQueue();
+  const counts = await queue.getJobCounts();
+
+  // Active jobs whose lock has expired have stalled (their worker died or hung)
+  const activeIds = await queue.client.lrange(queue.toKey('active'), 0, -1);
+  let stalled = 0;
+  if (activeIds.length > 0) {
+    const pipeline = queue.client.pipeline();
+    activeIds.forEach(id => pipeline.exists(`${queue.toKey(id)}:lock`));
+    const results = await pipeline.exec();
+    stalled = results.filter(([, exists]) => exists === 0).length;
+  }
+
+  const degraded = counts.waiting >= config.health.queueDepthWarning
+    || stalled >= config.health.stalledJobsWarning;
+
+  return {
+    status: degraded ? 'degraded' : 'up',
+    depth: counts.waiting,
+    active: counts.active,
+    delayed: counts.delayed,
+    failed: counts.failed,
+    stalled
+  };
+};
+
+/**
+ * Readiness: report per-dependency status and timings. Any dependency that
+ * is down makes the service unready (503); a degraded queue does not.
+ */
+const readiness = asyncHandler(async (req, res) => {
+  const [mongodb, redis, queue] = await Promise.all([
+    timeCheck(checkMongo),
+    timeCheck(checkRedis),
+    timeCheck(checkQueue)
+  ]);
+
+  const checks = { mongodb, redis, queue };
+  const statuses = Object.values(checks).map(check => check.status);
+  const ready = !statuses.includes('down');
+  const status = !ready ? 'unavailable' : statuses.includes('degraded') ? 'degraded' : 'ok';
+
+  res.status(ready ? 200 : 503).json({
+    status,
+    timestamp: new Date(),
+    checks
+  });
+});
+
+/**
+ * @route   GET /api/v1/health/live
+ * @desc    Liveness probe: the process is up and serving requests
+ * @access  Public
+ */
+router.get('/live', (req, res) => {
+  res.status(200).json({
+    status: 'ok',
+    uptime: process.uptime(),
+    timestamp: new Date()
+  });
+});
+
+/**
+ * @route   GET /api/v1/health/ready
+ * @desc    Readiness probe: MongoDB, Redis and the prompt queue are usable
+ * @access  Public
+ */
+router.get('/ready', readiness);
+
+/**
+ * @route   GET /api/v1/health
+ * @desc    Full health report (same as readiness)
+ * @access  Public
+ */
+router.get('/', readiness);
+
+module.exports = router;
@@ -1,16 +1,35 @@
 const express = require('express');
 const router = express.Router();
 
+const { attachSession } = require('../middleware/sessionMiddleware');
+const { apiRateLimiter } = require('../middleware/rateLimitMiddleware');
+
 // Import route modules
 const sketchRoutes = require('./sketchRoutes');
 const promptRoutes = require('./promptRoutes');
 const sessionRoutes = require('./sessionRoutes');
 const healthRoutes = require('./healthRoutes');
+const libraryRoutes = require('./libraryRoutes');
+const thumbnailRoutes = require('./thumbnailRoutes');
+
+// Health checks must not depend on session lookups
+router.use('/health', healthRoutes);
+
+// Static p5 builds, loaded by every sketch run
+router.use('/libraries', libraryRoutes);
+
+// Gallery images, requested many at a time
+router.use('/sketches/:sketchId', thumbnailRoutes);
+
+// Per-IP request limit for everything below
+router.use(apiRateLimiter);
+
+// Resolve the caller's session token (if any) for the remaining routes
+router.use(attachSession);
 
 // Mount routes
 router.use('/sketches', sketchRoutes);
 router.use('/prompts', promptRoutes);
 router.use('/sessions', sessionRoutes);
-router.use('/health', healthRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+
+const config = require('../config');
+const libraryService = require('../services/libraryService');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * @route   GET /api/v1/libraries
+ * @desc    Available p5 versions and add-on libraries for sketch settings
+ * @access  Public
+ */
+router.get('/', (req, res) => {
+  res.json({
+    p5: {
+      versions: libraryService.getP5Versions(),
+      default: libraryService.getDefaultP5Version()
+    },
+    addons: libraryService.getAddons()
+  });
+});
+
+/**
+ * @route   GET /api/v1/libraries/p5/:version/:library
+ * @desc    p5.js or one of its add-ons, for the sketch sandbox. `version` may
+ *          be 'default' for sketches that have not chosen one.
+ * @access  Public
+ */
+router.get('/p5/:version/:library', (req, res, next) => {
+  const { version, library } = req.params;
+  const filePath = libraryService.resolveLibraryFile(version, library);
+  if (!filePath) {
+    return next(createHttpError(404, `Library ${library} is not available for p5 ${version}`));
+  }
+
+  // The sandbox iframe has an opaque origin, so this is a cross-origin load
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  // Released versions never change; the default moves when p5 is upgraded
+  res.set('Cache-Control', version === 'default'
+    ? 'no-cache'
+    : `public, max-age=${config.libraries.maxAgeSeconds}, immutable`);
+
+  return res.sendFile(filePath);
+});
+
+module.exports = router;
@@ -1,142 +1,163 @@
 const express = require('express');
+const asyncHandler = require('express-async-handler');
+const Joi = require('joi');
 const router = express.Router();
 
+const Prompt = require('../models/Prompt');
+const Sketch = require('../models/Sketch');
+const { validate, validateObjectId } = require('../middleware/validationMiddleware');
+const { promptRateLimiter } = require('../middleware/rateLimitMiddleware');
+const { createHttpError } = require('../utils/httpError');
+const { paginateByCursor } = require('../utils/pagination');
+const { enqueuePrompt } = require('../services/promptQueue');
+
+const createPromptSchema = Joi.object({
+  text: Joi.string().trim().min(3).max(500).required(),
+  sketchId: Joi.string().hex().length(24).required(),
+  nickname: Joi.string().trim().max(30).allow('')
+});
+
+const listPromptsSchema = Joi.object({
+  cursor: Joi.string(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string()
+    .custom((value, helpers) => {
+      // Accept a comma-separated list of status codes
+      const codes = value.split(',').map(code => code.trim()).filter(Boolean);
+      const invalid = codes.find(code => !Prompt.STATUS_CODES.includes(code));
+      return invalid ? helpers.error('any.only') : codes;
+    })
+    .messages({ 'any.only': `"status" must be one of ${Prompt.STATUS_CODES.join(', ')}` })
+});
+
+/**
+ * Build a prompt filter from validated list query parameters
+ * @param {Object} query - Validated query parameters
+ * @param {Object} [base] - Base filter to extend
+ * @returns {Object} Mongo filter
+ */
+const buildListFilter = (query, base = {}) => {
+  const filter = { ...base };
+  if (query.status && query.status.length > 0) {
+    filter['status.code'] = { $in: query.status };
+  }
+  return filter;
+};
+
 /**
  * @route   GET /api/prompts
- * @desc    Get all prompts
+ * @desc    Get all prompts (cursor paginated, newest first)
  * @access  Public
  */
-router.get('/', async (req, res) => {
-  try {
-    // Placeholder for prompt retrieval logic
-    res.json({ 
-      success: true, 
-      message: 'Prompts retrieved successfully',
-      data: []
+router.get('/', validate(listPromptsSchema, 'query'), asyncHandler(async (req, res) => {
+  const { items, pagination } = await paginateByCursor(Prompt, buildListFilter(req.query), {
+    cursor: req.query.cursor,
+    limit: req.query.limit,
+    select: '-codeChanges -processing.aiResponse'
+  });
+
+  res.json({
+    success: true,
+    message: 'Prompts retrieved successfully',
+    data: items,
+    pagination
+  });
+}));
+
+/**
+ * @route   GET /api/prompts/sketch/:sketchId
+ * @desc    Get prompts by sketch ID (cursor paginated, newest first)
+ * @access  Public
+ */
+router.get(
+  '/sketch/:sketchId',
+  validateObjectId('sketchId'),
+  validate(listPromptsSchema, 'query'),
+  asyncHandler(async (req, res) => {
+    const filter = buildListFilter(req.query, { sketchId: req.params.sketchId });
+    const { items, pagination } = await paginateByCursor(Prompt, filter, {
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+      select: '-codeChanges -processing.aiResponse'
     });
-  } catch (error) {
-    console.error('Error retrieving prompts:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error', 
-      error: error.message 
+
+    res.json({
+      success: true,
+      message: 'Prompts retrieved successfully',
+      data: items,
+      pagination
     });
-  }
-});
+  })
+);
 
 /**
  * @route   GET /api/prompts/:id
  * @desc    Get prompt by ID
  * @access  Public
  */
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    // Placeholder for single prompt retrieval logic
-    res.json({ 
-      success: true, 
-      message: 'Prompt retrieved successfully',
-      data: { id, text: 'Example Prompt', sketchId: 'sketch-id' }
-    });
-  } catch (error) {
-    console.error(`Error retrieving prompt ${req.params.id}:`, error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error', 
-      error: error.message 
-    });
+router.get('/:id', validateObjectId('id'), asyncHandler(async (req, res) => {
+  const prompt = await Prompt.findById(req.params.id).select('-processing.aiResponse');
+
+  if (!prompt) {
+    throw createHttpError(404, `Prompt ${req.params.id} not found`);
   }
-});
+
+  res.json({
+    success: true,
+    message: 'Prompt retrieved successfully',
+    data: prompt
+  });
+}));
 
 /**
  * @route   POST /api/prompts
  * @desc    Create a new prompt
  * @access  Public
  */
-router.post('/', async (req, res) => {
-  try {
-    const { text, sketchId, nickname } = req.body;
-    
-    if (!text || !sketchId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Text and sketchId are required fields'
-      });
-    }
-    
-    // Generate a unique ID for the new prompt
-    const promptId = `prompt-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Create a new prompt record in the database
-    // This would use your Mongoose model in a real implementation
-    const newPrompt = {
-      id: promptId,
-      text,
-      sketchId,
-      contributor: {
-        nickname: nickname || 'Anonymous'
-      },
-      status: 'submitted',
-      createdAt: new Date()
-    };
-    
-    // In a real implementation, you'd save to the database:
-    // await Prompt.create(newPrompt);
-    
-    // Add the job to the AI processing queue
-    // In a real implementation, this would use Bull queue:
-    // await promptQueue.add({
-    //   promptId,
-    //   sketchId
-    // });
-    
-    console.log(`Prompt submitted: ${text} for sketch: ${sketchId}`);
-    console.log(`This would be sent to the AI worker service using OpenAI GPT-3.5 Turbo`);
-    
-    // Return success response
-    res.status(201).json({
-      success: true,
-      message: 'Prompt submitted for processing',
-      data: {
-        id: promptId,
-        text,
-        sketchId,
-        status: 'processing',
-        createdAt: new Date()
-      }
-    });
-  } catch (error) {
-    console.error('Error creating prompt:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error',
-      error: error.message
-    });
+router.post('/', promptRateLimiter, validate(createPromptSchema), asyncHandler(async (req, res) => {
+  const { text, sketchId, nickname } = req.body;
+
+  const sketch = await Sketch.findOne({ _id: sketchId, isActive: true });
+  if (!sketch) {
+    throw createHttpError(404, `Sketch ${sketchId} not found`);
   }
-});
 
-/**
- * @route   GET /api/prompts/sketch/:sketchId
- * @desc    Get prompts by sketch ID
- * @access  Public
- */
-router.get('/sketch/:sketchId', async (req, res) => {
+  const prompt = await Prompt.create({
+    text,
+    sketchId,
+    contributor: {
+      ipAddress: req.ip,
+      sessionId: req.session ? req.session.sessionId : undefined,
+      nickname: nickname || (req.session && req.session.nickname) || 'Anonymous'
+    }
+  });
+
+  // Mark the prompt queued before adding the job, so the worker never sees
+  // a prompt that is still in the submitted state
+  prompt.transitionTo('queued', 'Prompt queued for processing');
+  await prompt.save();
+
+  let job;
   try {
-    const { sketchId } = req.params;
-    // Placeholder for retrieving prompts by sketch ID
-    res.json({ 
-      success: true, 
-      message: 'Prompts retrieved successfully',
-      data: [{ id: 'prompt-id', text: 'Example Prompt', sketchId, createdAt: new Date() }]
-    });
+    job = await enqueuePrompt(prompt);
   } catch (error) {
-    console.error(`Error retrieving prompts for sketch ${req.params.sketchId}:`, error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error', 
-      error: error.message 
-    });
+    console.error(`Error queueing prompt ${prompt.id}:`, error);
+    prompt.transitionTo('failed', 'Prompt could not be queued for processing');
+    await prompt.save();
+    throw createHttpError(503, 'Prompt processing is temporarily unavailable');
   }
-});
 
-module.exports = router;
\ No newline at end of file
+  console.log(`Prompt ${prompt.id} queued for sketch ${sketchId} at position ${job.queuePosition}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Prompt submitted for processing',
+    data: {
+      ...prompt.toJSON(),
+      jobId: job.jobId,
+      queuePosition: job.queuePosition
+    }
+  });
+}));
+
+module.exports = router;
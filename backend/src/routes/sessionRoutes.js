@@ -0,0 +1,98 @@
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const Joi = require('joi');
+const router = express.Router();
+
+const { createSession, updateSession, refreshSession } = require('../services/sessionService');
+const { requireSession } = require('../middleware/sessionMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const { createHttpError } = require('../utils/httpError');
+
+const createSessionSchema = Joi.object({
+  nickname: Joi.string().trim().max(30).allow(''),
+  userAgent: Joi.string().max(500)
+});
+
+const updateSessionSchema = Joi.object({
+  nickname: Joi.string().trim().max(30).allow(''),
+  currentSketch: Joi.string().hex().length(24).allow(null)
+}).min(1);
+
+/**
+ * Format a session for API responses (never exposes the IP address)
+ * @param {Object} session - Session data
+ * @returns {Object} Public session fields
+ */
+const toResponse = (session) => ({
+  sessionId: session.sessionId,
+  nickname: session.nickname,
+  currentSketch: session.currentSketch,
+  created: session.created,
+  lastActive: session.lastActive,
+  expiresAt: session.expiresAt,
+  ...(session.token ? { token: session.token } : {})
+});
+
+/**
+ * Only allow callers to act on their own session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireOwnSession = (req, res, next) => {
+  if (req.session.sessionId !== req.params.sessionId) {
+    return next(createHttpError(403, 'Cannot modify another session'));
+  }
+  next();
+};
+
+/**
+ * @route   POST /api/v1/sessions
+ * @desc    Start a new anonymous session and issue a signed token
+ * @access  Public
+ */
+router.post('/', validate(createSessionSchema), asyncHandler(async (req, res) => {
+  const session = await createSession({
+    nickname: req.body.nickname,
+    userAgent: req.body.userAgent || req.get('user-agent'),
+    ipAddress: req.ip
+  });
+
+  res.status(201).json(toResponse(session));
+}));
+
+/**
+ * @route   PATCH /api/v1/sessions/:sessionId
+ * @desc    Update session information (nickname, current sketch)
+ * @access  Session owner
+ */
+router.patch(
+  '/:sessionId',
+  requireSession,
+  requireOwnSession,
+  validate(updateSessionSchema),
+  asyncHandler(async (req, res) => {
+    const session = await updateSession(req.params.sessionId, req.body);
+    if (!session) {
+      throw createHttpError(404, `Session ${req.params.sessionId} not found`);
+    }
+
+    res.json(toResponse(session));
+  })
+);
+
+/**
+ * @route   POST /api/v1/sessions/:sessionId/refresh
+ * @desc    Extend a session and issue a new token
+ * @access  Session owner
+ */
+router.post('/:sessionId/refresh', requireSession, requireOwnSession, asyncHandler(async (req, res) => {
+  const session = await refreshSession(req.params.sessionId);
+  if (!session) {
+    throw createHttpError(404, `Session ${req.params.sessionId} not found`);
+  }
+
+  res.json(toResponse(session));
+}));
+
+module.exports = router;
@@ -0,0 +1,299 @@
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const Joi = require('joi');
+const router = express.Router();
+
+const config = require('../config');
+const Sketch = require('../models/Sketch');
+const Version = require('../models/Version');
+const { validate, validateObjectId, validateSketchCode } = require('../middleware/validationMiddleware');
+const { createHttpError } = require('../utils/httpError');
+const { paginateBySortField } = require('../utils/pagination');
+const libraryService = require('../services/libraryService');
+const { createSketch } = require('../services/sketchService');
+const versionRoutes = require('./versionRoutes');
+
+// Sort options exposed by the list endpoint (highest first), mapped to document paths
+const SORT_FIELDS = {
+  recent: 'lastModified.timestamp',
+  prompts: 'statistics.promptCount',
+  contributors: 'statistics.contributorCount'
+};
+
+const ACTIVITY_STATES = ['all', 'active', 'idle'];
+
+// Forks listed with a sketch's lineage (newest first)
+const MAX_LINEAGE_FORKS = 50;
+// Stops the walk up the fork chain on very deep chains
+const MAX_LINEAGE_DEPTH = 20;
+
+const p5VersionSchema = Joi.string().valid(...libraryService.getP5Versions());
+const librariesSchema = Joi.array().items(Joi.string().valid(...libraryService.ADDON_NAMES)).unique();
+
+const tagsSchema = Joi.array().items(Joi.string().trim().lowercase().min(1).max(30)).max(5);
+
+const createSketchSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(100).required(),
+  description: Joi.string().trim().max(500).allow(''),
+  settings: Joi.object({
+    canvasWidth: Joi.number().integer().min(100).max(2000).default(800),
+    canvasHeight: Joi.number().integer().min(100).max(2000).default(600),
+    frameRate: Joi.number().integer().min(1).max(60).default(60),
+    isPublic: Joi.boolean().default(true),
+    allowAnonymous: Joi.boolean().default(true),
+    p5Version: p5VersionSchema.default(libraryService.getDefaultP5Version()),
+    libraries: librariesSchema.default([])
+  }).default(),
+  baseTemplate: Joi.string().max(100 * 1024),
+  tags: tagsSchema
+});
+
+const updateSketchSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(100),
+  description: Joi.string().trim().max(500).allow(''),
+  settings: Joi.object({
+    canvasWidth: Joi.number().integer().min(100).max(2000),
+    canvasHeight: Joi.number().integer().min(100).max(2000),
+    frameRate: Joi.number().integer().min(1).max(60),
+    isPublic: Joi.boolean(),
+    allowAnonymous: Joi.boolean(),
+    p5Version: p5VersionSchema,
+    libraries: librariesSchema
+  }).min(1),
+  tags: tagsSchema
+}).min(1);
+
+const listSketchesSchema = Joi.object({
+  cursor: Joi.string(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  sort: Joi.string().valid(...Object.keys(SORT_FIELDS)).default('recent'),
+  tags: Joi.string().allow(''),
+  search: Joi.string().trim().max(100).allow(''),
+  contributor: Joi.string().trim().max(30).allow(''),
+  activity: Joi.string().valid(...ACTIVITY_STATES).default('all')
+});
+
+/**
+ * Load an active sketch by ID or throw a 404
+ * @param {string} sketchId - Sketch ObjectId
+ * @returns {Promise<Object>} Sketch document
+ */
+const findActiveSketch = async (sketchId) => {
+  const sketch = await Sketch.findOne({ _id: sketchId, isActive: true });
+  if (!sketch) {
+    throw createHttpError(404, `Sketch ${sketchId} not found`);
+  }
+  return sketch;
+};
+
+/**
+ * IDs of sketches with an applied prompt matching a text search. Prompt
+ * texts live on versions, so they can't share the sketch text index.
+ * @param {string} search - Search terms
+ * @returns {Promise<Object[]>} Sketch ObjectIds
+ */
+const findSketchIdsByPromptText = async (search) => {
+  const versions = await Version.find({ $text: { $search: search } })
+    .select('sketchId')
+    .limit(config.gallery.maxPromptMatches);
+  return versions.map(version => version.sketchId);
+};
+
+/**
+ * Build the gallery filter from validated list query parameters
+ * @param {Object} query - Validated query parameters
+ * @returns {Promise<Object>} Mongo filter
+ */
+const buildGalleryFilter = async ({ tags, search, contributor, activity }) => {
+  const filter = { isActive: true, 'settings.isPublic': true };
+
+  if (tags) {
+    const tagList = tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    if (tagList.length > 0) {
+      filter.tags = { $all: tagList };
+    }
+  }
+
+  if (search) {
+    // Title, description and tags through the sketch text index, or any applied prompt
+    const promptMatches = await findSketchIdsByPromptText(search);
+    filter.$or = [{ $text: { $search: search } }, { _id: { $in: promptMatches } }];
+  }
+
+  if (contributor) {
+    const sketchIds = await Version.distinct('sketchId', { 'contributor.nickname': contributor })
+      .collation(Version.NICKNAME_COLLATION);
+    filter._id = { $in: sketchIds };
+  }
+
+  if (activity !== 'all') {
+    const since = new Date(Date.now() - config.gallery.activeWindowHours * 60 * 60 * 1000);
+    filter['statistics.lastActivity'] = activity === 'active' ? { $gte: since } : { $lt: since };
+  }
+
+  return filter;
+};
+
+/**
+ * @route   GET /api/v1/sketches
+ * @desc    List active public sketches with search, filters, sorting and
+ *          cursor pagination
+ * @access  Public
+ */
+router.get('/', validate(listSketchesSchema, 'query'), asyncHandler(async (req, res) => {
+  const { cursor, limit, sort } = req.query;
+
+  const filter = await buildGalleryFilter(req.query);
+  const { items, pagination } = await paginateBySortField(Sketch, filter, {
+    sortField: SORT_FIELDS[sort],
+    cursor,
+    limit,
+    select: '-currentCode -baseTemplate'
+  });
+
+  res.json({
+    sketches: items,
+    pagination
+  });
+}));
+
+/**
+ * @route   POST /api/v1/sketches
+ * @desc    Create a new sketch
+ * @access  Public
+ */
+router.post('/', validate(createSketchSchema), validateSketchCode('baseTemplate'), asyncHandler(async (req, res) => {
+  const { title, description, settings, baseTemplate, tags } = req.body;
+
+  const { sketch } = await createSketch(
+    { title, description, settings, tags, code: baseTemplate || Sketch.DEFAULT_TEMPLATE },
+    { ipAddress: req.ip, nickname: 'System' },
+    'Initial sketch creation'
+  );
+
+  res.status(201).json(sketch);
+}));
+
+/**
+ * @route   GET /api/v1/sketches/:sketchId
+ * @desc    Get sketch details
+ * @access  Public
+ */
+router.get('/:sketchId', validateObjectId('sketchId'), asyncHandler(async (req, res) => {
+  const sketch = await Sketch.findOneAndUpdate(
+    { _id: req.params.sketchId, isActive: true },
+    { $inc: { 'statistics.viewCount': 1 } },
+    { new: true }
+  );
+
+  if (!sketch) {
+    throw createHttpError(404, `Sketch ${req.params.sketchId} not found`);
+  }
+
+  res.json(sketch);
+}));
+
+/**
+ * @route   PATCH /api/v1/sketches/:sketchId
+ * @desc    Update sketch metadata (title, description, settings, tags)
+ * @access  Public
+ */
+router.patch(
+  '/:sketchId',
+  validateObjectId('sketchId'),
+  validate(updateSketchSchema),
+  asyncHandler(async (req, res) => {
+    const sketch = await findActiveSketch(req.params.sketchId);
+    const { title, description, settings, tags } = req.body;
+
+    if (title !== undefined) sketch.title = title;
+    if (description !== undefined) sketch.description = description;
+    if (tags !== undefined) sketch.tags = tags;
+    if (settings) {
+      // Merge individual settings so omitted ones keep their values
+      Object.entries(settings).forEach(([key, value]) => {
+        sketch.settings[key] = value;
+      });
+    }
+
+    await sketch.save();
+
+    res.json(sketch);
+  })
+);
+
+/**
+ * @route   POST /api/v1/sketches/:sketchId/archive
+ * @desc    Archive a sketch (mark as inactive)
+ * @access  Public
+ */
+router.post('/:sketchId/archive', validateObjectId('sketchId'), asyncHandler(async (req, res) => {
+  const sketch = await findActiveSketch(req.params.sketchId);
+
+  sketch.isActive = false;
+  sketch.archivedAt = new Date();
+  await sketch.save();
+
+  res.json({
+    id: sketch.id,
+    title: sketch.title,
+    isActive: sketch.isActive,
+    archivedAt: sketch.archivedAt
+  });
+}));
+
+/**
+ * @route   GET /api/v1/sketches/:sketchId/lineage
+ * @desc    Fork lineage: the sketches this one was forked from, nearest
+ *          first, and its public forks, newest first
+ * @access  Public
+ */
+router.get('/:sketchId/lineage', validateObjectId('sketchId'), asyncHandler(async (req, res) => {
+  const sketch = await Sketch.findOne({ _id: req.params.sketchId, isActive: true })
+    .select('forkedFrom statistics.forkCount');
+  if (!sketch) {
+    throw createHttpError(404, `Sketch ${req.params.sketchId} not found`);
+  }
+
+  // Each ancestor records the version its child was forked at
+  const ancestors = [];
+  const seen = new Set([sketch.id]);
+  let link = sketch.forkedFrom;
+  while (link && link.sketchId && ancestors.length < MAX_LINEAGE_DEPTH && !seen.has(link.sketchId.toString())) {
+    seen.add(link.sketchId.toString());
+    const parent = await Sketch.findById(link.sketchId).select('title isActive forkedFrom');
+    ancestors.push({
+      id: link.sketchId.toString(),
+      title: parent ? parent.title : null,
+      versionSequence: link.versionSequence,
+      // Archived or deleted sketches can't be opened
+      isAvailable: Boolean(parent && parent.isActive)
+    });
+    link = parent ? parent.forkedFrom : null;
+  }
+
+  const forks = await Sketch.find({
+    'forkedFrom.sketchId': sketch._id,
+    isActive: true,
+    'settings.isPublic': true
+  })
+    .select('title forkedFrom created.timestamp')
+    .sort({ _id: -1 })
+    .limit(MAX_LINEAGE_FORKS);
+
+  res.json({
+    ancestors,
+    forks: forks.map(fork => ({
+      id: fork.id,
+      title: fork.title,
+      versionSequence: fork.forkedFrom.versionSequence,
+      created: fork.created.timestamp
+    })),
+    forkCount: sketch.statistics.forkCount
+  });
+}));
+
+// Version history
+router.use('/:sketchId/versions', versionRoutes);
+
+module.exports = router;
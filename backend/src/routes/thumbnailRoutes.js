@@ -0,0 +1,52 @@
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+// Mounted under /sketches/:sketchId, so keep the parent's params
+const router = express.Router({ mergeParams: true });
+
+const Sketch = require('../models/Sketch');
+const { validateObjectId } = require('../middleware/validationMiddleware');
+const { createHttpError } = require('../utils/httpError');
+
+// Browsers revalidate after this; the gallery adds the render time to the URL
+const MAX_AGE_SECONDS = 300;
+
+/**
+ * Handler that sends one of a sketch's rendered images
+ * @param {string} field - Field of sketch.thumbnail holding the image
+ * @param {string} contentType - MIME type of the image
+ * @returns {Function} Express handler
+ */
+const sendImage = (field, contentType) => asyncHandler(async (req, res) => {
+  const { sketchId } = req.params;
+
+  // The images are excluded from sketch queries by default
+  const sketch = await Sketch.findOne({ _id: sketchId, isActive: true })
+    .select(`+thumbnail.${field} thumbnail.generatedAt`);
+
+  const image = sketch && sketch.thumbnail && sketch.thumbnail[field];
+  if (!image || image.length === 0) {
+    throw createHttpError(404, `Sketch ${sketchId} has no ${field === 'image' ? 'thumbnail' : 'preview'} yet`);
+  }
+
+  // Images are embedded in pages served from the frontend's origin
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.set('Cache-Control', `public, max-age=${MAX_AGE_SECONDS}`);
+  res.set('Last-Modified', sketch.thumbnail.generatedAt.toUTCString());
+  res.type(contentType).send(image);
+});
+
+/**
+ * @route   GET /api/v1/sketches/:sketchId/thumbnail
+ * @desc    PNG thumbnail of the sketch's latest rendered version
+ * @access  Public
+ */
+router.get('/thumbnail', validateObjectId('sketchId'), sendImage('image', 'image/png'));
+
+/**
+ * @route   GET /api/v1/sketches/:sketchId/preview
+ * @desc    Short animated GIF preview of the sketch's latest rendered version
+ * @access  Public
+ */
+router.get('/preview', validateObjectId('sketchId'), sendImage('preview', 'image/gif'));
+
+module.exports = router;
@@ -0,0 +1,296 @@
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const Joi = require('joi');
+const { countLineChanges } = require('shared/diffStats');
+// Mounted under /sketches/:sketchId, so keep the parent's params
+const router = express.Router({ mergeParams: true });
+
+const Sketch = require('../models/Sketch');
+const Version = require('../models/Version');
+const { validate, validateObjectId } = require('../middleware/validationMiddleware');
+const { createHttpError } = require('../utils/httpError');
+const { getVersionDiff } = require('../services/diffService');
+const { enqueueThumbnail } = require('../services/thumbnailQueue');
+const { publishSketchUpdate } = require('../services/roomEventService');
+const { createSketch } = require('../services/sketchService');
+
+// Version thumbnails are rendered once and never replaced
+const THUMBNAIL_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+const listVersionsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const sequenceParamsSchema = Joi.object({
+  sketchId: Joi.string().required(),
+  sequence: Joi.number().integer().min(1).required()
+});
+
+const diffQuerySchema = Joi.object({
+  // Sequence to compare against; defaults to the version's parent
+  against: Joi.number().integer().min(1)
+});
+
+const revertSchema = Joi.object({
+  nickname: Joi.string().trim().max(30).allow('')
+});
+
+const forkSchema = Joi.object({
+  // Defaults to "Fork of <source title>"
+  title: Joi.string().trim().min(3).max(100),
+  nickname: Joi.string().trim().max(30).allow('')
+});
+
+/**
+ * Load a version by sketch and sequence or throw a 404
+ * @param {string} sketchId - Sketch ObjectId
+ * @param {number} sequence - Version sequence number
+ * @returns {Promise<Object>} Version document
+ */
+const findVersion = async (sketchId, sequence) => {
+  const version = await Version.findOne({ sketchId, sequence });
+  if (!version) {
+    throw createHttpError(404, `Version ${sequence} of sketch ${sketchId} not found`);
+  }
+  return version;
+};
+
+/**
+ * Compute and store diff stats for versions created before they were kept
+ * on the version itself
+ * @param {Object[]} versions - Version documents loaded without code
+ * @returns {Promise<void>}
+ */
+const fillMissingDiffStats = async (versions) => {
+  const missing = versions.filter(version => !version.diffStats || version.diffStats.additions === undefined);
+  if (missing.length === 0) return;
+
+  const ids = missing.flatMap(version => [version._id, version.parentVersionId]).filter(Boolean);
+  const withCode = await Version.find({ _id: { $in: ids } }).select('sequence code');
+  const byId = new Map(withCode.map(version => [version.id, version]));
+
+  await Promise.all(missing.map(async (version) => {
+    const parent = version.parentVersionId ? byId.get(version.parentVersionId.toString()) : null;
+    const { stats } = await getVersionDiff(parent || null, byId.get(version.id));
+    version.diffStats = stats;
+    await Version.updateOne({ _id: version._id }, { $set: { diffStats: stats } });
+  }));
+};
+
+router.use(validateObjectId('sketchId'));
+
+/**
+ * @route   GET /api/v1/sketches/:sketchId/versions
+ * @desc    Get the version history of a sketch, newest first. Thumbnails are
+ *          left out; they are served by the version thumbnail route
+ * @access  Public
+ */
+router.get('/', validate(listVersionsSchema, 'query'), asyncHandler(async (req, res) => {
+  const { sketchId } = req.params;
+  const { page, limit } = req.query;
+
+  const sketchExists = await Sketch.exists({ _id: sketchId, isActive: true });
+  if (!sketchExists) {
+    throw createHttpError(404, `Sketch ${sketchId} not found`);
+  }
+
+  const [versions, total] = await Promise.all([
+    Version.find({ sketchId })
+      .select('-code')
+      .sort({ sequence: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Version.countDocuments({ sketchId })
+  ]);
+
+  await fillMissingDiffStats(versions);
+
+  res.json({
+    versions,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/v1/sketches/:sketchId/versions/:sequence
+ * @desc    Get a specific version of a sketch, including its code
+ * @access  Public
+ */
+router.get('/:sequence', validate(sequenceParamsSchema, 'params'), asyncHandler(async (req, res) => {
+  const version = await findVersion(req.params.sketchId, req.params.sequence);
+  res.json(version);
+}));
+
+/**
+ * @route   GET /api/v1/sketches/:sketchId/versions/:sequence/thumbnail
+ * @desc    PNG thumbnail of a version, once it has been rendered
+ * @access  Public
+ */
+router.get('/:sequence/thumbnail', validate(sequenceParamsSchema, 'params'), asyncHandler(async (req, res) => {
+  const { sketchId, sequence } = req.params;
+
+  const version = await Version.findOne({ sketchId, sequence }).select('+thumbnail.dataUrl');
+  const match = version && version.thumbnail && /^data:image\/png;base64,(.+)$/.exec(version.thumbnail.dataUrl || '');
+  if (!match) {
+    throw createHttpError(404, `Version ${sequence} of sketch ${sketchId} has no thumbnail yet`);
+  }
+
+  // Images are embedded in pages served from the frontend's origin
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.set('Cache-Control', `public, max-age=${THUMBNAIL_MAX_AGE_SECONDS}`);
+  res.type('image/png').send(Buffer.from(match[1], 'base64'));
+}));
+
+/**
+ * @route   GET /api/v1/sketches/:sketchId/versions/:sequence/diff
+ * @desc    Line diff between a version and its parent, or another version
+ *          given by `?against=<sequence>`
+ * @access  Public
+ */
+router.get(
+  '/:sequence/diff',
+  validate(sequenceParamsSchema, 'params'),
+  validate(diffQuerySchema, 'query'),
+  asyncHandler(async (req, res) => {
+    const { sketchId, sequence } = req.params;
+    const { against } = req.query;
+
+    const version = await findVersion(sketchId, sequence);
+
+    let base = null;
+    if (against !== undefined) {
+      base = await findVersion(sketchId, against);
+    } else if (version.parentVersionId) {
+      base = await Version.findById(version.parentVersionId);
+    }
+
+    // Always diff older -> newer so additions read the natural way
+    const [from, to] = base && base.sequence > version.sequence ? [version, base] : [base, version];
+
+    res.json(await getVersionDiff(from, to));
+  })
+);
+
+/**
+ * @route   POST /api/v1/sketches/:sketchId/versions/:sequence/revert
+ * @desc    Revert a sketch to an earlier version. History is never rewritten:
+ *          a new version is created whose code equals the chosen version.
+ * @access  Public
+ */
+router.post(
+  '/:sequence/revert',
+  validate(sequenceParamsSchema, 'params'),
+  validate(revertSchema),
+  asyncHandler(async (req, res) => {
+    const { sketchId, sequence } = req.params;
+
+    const sketch = await Sketch.findOne({ _id: sketchId, isActive: true });
+    if (!sketch) {
+      throw createHttpError(404, `Sketch ${sketchId} not found`);
+    }
+
+    const target = await findVersion(sketchId, sequence);
+    if (target.sequence === sketch.currentVersion) {
+      throw createHttpError(409, `Sketch ${sketchId} is already at version ${sequence}`);
+    }
+
+    const parent = await Version.findOne({ sketchId, sequence: sketch.currentVersion }).select('_id');
+
+    // The unique (sketchId, sequence) index rejects a concurrent write
+    let version;
+    try {
+      version = await Version.create({
+        sketchId: sketch._id,
+        parentVersionId: parent ? parent._id : null,
+        revertedFromSequence: target.sequence,
+        sequence: sketch.currentVersion + 1,
+        code: target.code,
+        contributor: {
+          ipAddress: req.ip,
+          nickname: req.body.nickname || 'Anonymous'
+        },
+        promptText: `Reverted to version ${target.sequence}`,
+        diffStats: countLineChanges(sketch.currentCode, target.code)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createHttpError(409, 'Sketch was modified while reverting, please try again');
+      }
+      throw error;
+    }
+
+    const now = new Date();
+    const updated = await Sketch.findOneAndUpdate(
+      { _id: sketchId, currentVersion: sketch.currentVersion },
+      {
+        $set: {
+          currentCode: target.code,
+          'lastModified.timestamp': now,
+          'lastModified.promptId': null,
+          'statistics.lastActivity': now
+        },
+        $inc: { currentVersion: 1 }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      await Version.deleteOne({ _id: version._id });
+      throw createHttpError(409, 'Sketch was modified while reverting, please try again');
+    }
+
+    enqueueThumbnail(version);
+    publishSketchUpdate(version);
+
+    res.status(201).json(version);
+  })
+);
+
+/**
+ * @route   POST /api/v1/sketches/:sketchId/versions/:sequence/fork
+ * @desc    Fork a sketch at a version: create a new sketch that starts from
+ *          the version's code with the source sketch's settings and tags.
+ *          The source sketch is left as it is, apart from its fork count.
+ * @access  Public
+ */
+router.post(
+  '/:sequence/fork',
+  validate(sequenceParamsSchema, 'params'),
+  validate(forkSchema),
+  asyncHandler(async (req, res) => {
+    const { sketchId, sequence } = req.params;
+
+    const source = await Sketch.findOne({ _id: sketchId, isActive: true });
+    if (!source) {
+      throw createHttpError(404, `Sketch ${sketchId} not found`);
+    }
+
+    const version = await findVersion(sketchId, sequence);
+    const { settings, description, tags } = source.toObject();
+
+    const { sketch } = await createSketch(
+      {
+        title: req.body.title || `Fork of ${source.title}`.slice(0, 100),
+        description,
+        settings,
+        tags,
+        code: version.code,
+        forkedFrom: { sketchId: source._id, versionSequence: version.sequence }
+      },
+      { ipAddress: req.ip, nickname: req.body.nickname || 'Anonymous' },
+      `Forked from "${source.title}" at version ${version.sequence}`
+    );
+
+    await Sketch.updateOne({ _id: source._id }, { $inc: { 'statistics.forkCount': 1 } });
+
+    res.status(201).json(sketch);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,135 @@
+const { structuredPatch } = require('diff');
+const config = require('../config');
+const { getRedisClient } = require('../db');
+const { withTimeout } = require('../utils/withTimeout');
+
+// Versions are immutable, so cached diffs only expire to bound memory use
+const CACHE_TTL_SECONDS = 24 * 60 * 60;
+const CONTEXT_LINES = 3;
+
+/**
+ * Convert jsdiff hunks into line entries with old/new line numbers
+ * @param {Array} hunks - Hunks from structuredPatch
+ * @returns {Array} Hunks with typed lines
+ */
+const annotateHunks = (hunks) => hunks.map((hunk) => {
+  let oldLine = hunk.oldStart;
+  let newLine = hunk.newStart;
+
+  const lines = hunk.lines
+    .filter(line => !line.startsWith('\\')) // "\ No newline at end of file"
+    .map((line) => {
+      const content = line.slice(1);
+      if (line[0] === '+') {
+        return { type: 'add', content, oldLine: null, newLine: newLine++ };
+      }
+      if (line[0] === '-') {
+        return { type: 'remove', content, oldLine: oldLine++, newLine: null };
+      }
+      return { type: 'context', content, oldLine: oldLine++, newLine: newLine++ };
+    });
+
+  return {
+    oldStart: hunk.oldStart,
+    oldLines: hunk.oldLines,
+    newStart: hunk.newStart,
+    newLines: hunk.newLines,
+    lines
+  };
+});
+
+/**
+ * Render hunks as a unified diff
+ * @param {string} oldName - Label for the old side
+ * @param {string} newName - Label for the new side
+ * @param {Array} hunks - Hunks from structuredPatch
+ * @returns {string} Unified diff text
+ */
+const formatUnified = (oldName, newName, hunks) => {
+  const output = [`--- ${oldName}`, `+++ ${newName}`];
+  hunks.forEach((hunk) => {
+    output.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+    output.push(...hunk.lines);
+  });
+  return output.join('\n');
+};
+
+/**
+ * Compute a line diff between two versions
+ * @param {Object|null} fromVersion - Older version (null diffs against empty code)
+ * @param {Object} toVersion - Newer version
+ * @returns {Object} Diff with unified text, structured hunks and stats
+ */
+const computeDiff = (fromVersion, toVersion) => {
+  const oldName = fromVersion ? `version ${fromVersion.sequence}` : '/dev/null';
+  const newName = `version ${toVersion.sequence}`;
+
+  const patch = structuredPatch(
+    oldName,
+    newName,
+    fromVersion ? fromVersion.code : '',
+    toVersion.code,
+    '',
+    '',
+    { context: CONTEXT_LINES }
+  );
+
+  const hunks = annotateHunks(patch.hunks);
+  const stats = { additions: 0, deletions: 0 };
+  hunks.forEach(hunk => hunk.lines.forEach((line) => {
+    if (line.type === 'add') stats.additions++;
+    if (line.type === 'remove') stats.deletions++;
+  }));
+
+  return {
+    from: fromVersion ? { id: fromVersion.id, sequence: fromVersion.sequence } : null,
+    to: { id: toVersion.id, sequence: toVersion.sequence },
+    unified: formatUnified(oldName, newName, patch.hunks),
+    hunks,
+    stats
+  };
+};
+
+/**
+ * Get the diff between two versions, using the Redis cache when available
+ * @param {Object|null} fromVersion - Older version document (with code)
+ * @param {Object} toVersion - Newer version document (with code)
+ * @returns {Promise<Object>} Diff result
+ */
+const getVersionDiff = async (fromVersion, toVersion) => {
+  const cacheKey = `diff:${fromVersion ? fromVersion.id : 'empty'}:${toVersion.id}`;
+
+  let redis = null;
+  try {
+    // The client queues commands while Redis is down instead of failing them
+    redis = await withTimeout(getRedisClient(), config.diffs.cacheTimeoutMs);
+    const cached = await withTimeout(redis.get(cacheKey), config.diffs.cacheTimeoutMs);
+    if (cached) {
+      return JSON.parse(cached);
+    }
+  } catch (error) {
+    // The cache is an optimization; fall back to computing the diff
+    console.error(`Diff cache unavailable: ${error.message}`);
+    redis = null;
+  }
+
+  const diff = computeDiff(fromVersion, toVersion);
+
+  if (redis) {
+    try {
+      await withTimeout(
+        redis.set(cacheKey, JSON.stringify(diff), { EX: CACHE_TTL_SECONDS }),
+        config.diffs.cacheTimeoutMs
+      );
+    } catch (error) {
+      console.error(`Error caching diff ${cacheKey}: ${error.message}`);
+    }
+  }
+
+  return diff;
+};
+
+module.exports = {
+  computeDiff,
+  getVersionDiff
+};
@@ -0,0 +1,90 @@
+const path = require('path');
+const { P5_ADDONS: ADDONS } = require('shared/p5Addons');
+const config = require('../config');
+
+/**
+ * Compare two semver versions (major.minor.patch only)
+ * @returns {number} Negative, zero or positive, like Array.prototype.sort
+ */
+const compareVersions = (a, b) => {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (partsA[i] !== partsB[i]) return partsA[i] - partsB[i];
+  }
+  return 0;
+};
+
+/**
+ * Locate the installed p5 releases, newest first
+ * @returns {Object[]} `{ version, root }` for each release
+ */
+const loadReleases = () => {
+  const releases = [];
+
+  config.libraries.p5Packages.forEach((packageName) => {
+    try {
+      const manifestPath = require.resolve(`${packageName.trim()}/package.json`);
+      const { version } = require(manifestPath);
+      releases.push({ version, root: path.dirname(manifestPath) });
+    } catch (error) {
+      console.warn(`p5 package ${packageName} is not installed and will not be served`);
+    }
+  });
+
+  return releases.sort((a, b) => compareVersions(b.version, a.version));
+};
+
+const releases = loadReleases();
+
+/**
+ * Installed p5 versions, newest first
+ * @returns {string[]} Versions
+ */
+const getP5Versions = () => releases.map(release => release.version);
+
+/**
+ * Version used by sketches that don't choose one
+ * @returns {string|undefined} Version
+ */
+const getDefaultP5Version = () => {
+  const configured = config.libraries.defaultP5Version;
+  if (configured && getP5Versions().includes(configured)) {
+    return configured;
+  }
+  return getP5Versions()[0];
+};
+
+/**
+ * Add-ons sketches can opt into
+ * @returns {Object[]} `{ name, description }` for each add-on
+ */
+const getAddons = () => Object.entries(ADDONS).map(([name, { description }]) => ({ name, description }));
+
+/**
+ * Absolute path of a library file
+ * @param {string} version - p5 version, or 'default'
+ * @param {string} library - 'p5' or an add-on name
+ * @returns {string|null} File path, or null if the version or library is unknown
+ */
+const resolveLibraryFile = (version, library) => {
+  const resolvedVersion = version === 'default' ? getDefaultP5Version() : version;
+  const release = releases.find(candidate => candidate.version === resolvedVersion);
+  if (!release) return null;
+
+  if (library === 'p5') {
+    return path.join(release.root, 'lib', 'p5.min.js');
+  }
+  if (Object.prototype.hasOwnProperty.call(ADDONS, library)) {
+    return path.join(release.root, ADDONS[library].file);
+  }
+  return null;
+};
+
+module.exports = {
+  ADDON_NAMES: Object.keys(ADDONS),
+  getP5Versions,
+  getDefaultP5Version,
+  getAddons,
+  resolveLibraryFile
+};
@@ -0,0 +1,99 @@
+const Queue = require('bull');
+const config = require('../config');
+
+// Bull queue instance (producer side only; jobs are consumed by the AI worker)
+let promptQueue = null;
+
+/**
+ * Get the prompt processing queue instance
+ * @returns {Object} Bull queue
+ */
+const getPromptQueue = () => {
+  if (!promptQueue) {
+    const { name, attempts, backoffDelay } = config.queues.promptProcessing;
+
+    promptQueue = new Queue(name, config.redis.uri, {
+      defaultJobOptions: {
+        attempts,
+        backoff: {
+          type: 'exponential',
+          delay: backoffDelay
+        },
+        removeOnComplete: 100, // Keep the latest 100 completed jobs
+        removeOnFail: 100      // Keep the latest 100 failed jobs
+      }
+    });
+
+    promptQueue.on('error', (err) => {
+      console.error('Prompt Queue Error:', err);
+    });
+  }
+
+  return promptQueue;
+};
+
+/**
+ * Derive the queue job ID for a prompt, so re-submitting the same prompt
+ * never creates a duplicate job
+ * @param {string} promptId - Prompt ID
+ * @returns {string} Job ID
+ */
+const getJobId = (promptId) => `prompt:${promptId}`;
+
+/**
+ * Get the 1-based position of a job among waiting jobs
+ * @param {string} jobId - Job ID
+ * @returns {Promise<number>} Position, or 0 if the job is no longer waiting
+ */
+const getQueuePosition = async (jobId) => {
+  const queue = getPromptQueue();
+  const waitKey = queue.toKey('wait');
+
+  // Bull pushes new jobs to the head of the wait list and pops from the tail
+  const [index, length] = await Promise.all([
+    queue.client.lpos(waitKey, jobId),
+    queue.client.llen(waitKey)
+  ]);
+
+  return index === null ? 0 : length - index;
+};
+
+/**
+ * Add a prompt to the processing queue
+ * @param {Object} prompt - Prompt document
+ * @returns {Promise<Object>} Job ID and queue position
+ */
+const enqueuePrompt = async (prompt) => {
+  const queue = getPromptQueue();
+  const jobId = getJobId(prompt.id);
+
+  await queue.add(
+    {
+      promptId: prompt.id,
+      sketchId: prompt.sketchId.toString()
+    },
+    { jobId }
+  );
+
+  const queuePosition = await getQueuePosition(jobId);
+
+  return { jobId, queuePosition };
+};
+
+/**
+ * Close the prompt processing queue
+ */
+const closePromptQueue = async () => {
+  if (promptQueue) {
+    await promptQueue.close();
+    promptQueue = null;
+  }
+};
+
+module.exports = {
+  getPromptQueue,
+  getJobId,
+  getQueuePosition,
+  enqueuePrompt,
+  closePromptQueue
+};
@@ -0,0 +1,50 @@
+const config = require('../config');
+const { getRedisClient } = require('../db');
+
+/**
+ * Live updates for clients watching a sketch
+ *
+ * Events are pushed as `{ room, type, data }` JSON onto the websocket
+ * service's room event queue in Redis, the same way the AI worker announces
+ * its versions; the websocket service sequences them and emits them to the
+ * sketch's room.
+ */
+
+/**
+ * Queue an event for a sketch's room
+ *
+ * Never throws: clients catch up on their next load, so a failed push is
+ * not worth failing the request that made the change.
+ * @param {string} sketchId - Sketch ID
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ */
+const publishRoomEvent = async (sketchId, type, data) => {
+  try {
+    const redis = await getRedisClient();
+    await redis.rPush(config.websocket.eventQueue, JSON.stringify({ room: `sketch:${sketchId}`, type, data }));
+  } catch (error) {
+    console.error(`Error publishing ${type} for sketch ${sketchId}:`, error.message);
+  }
+};
+
+/**
+ * Announce a new version of a sketch
+ * @param {Object} version - Version document
+ */
+const publishSketchUpdate = (version) => publishRoomEvent(version.sketchId.toString(), 'sketch:updated', {
+  sketchId: version.sketchId.toString(),
+  promptId: version.promptId || null,
+  versionId: version.id,
+  sequence: version.sequence,
+  code: version.code,
+  promptText: version.promptText,
+  // Room members are public; IP addresses and session IDs stay private
+  contributor: { nickname: version.contributor.nickname },
+  timestamp: version.timestamp
+});
+
+module.exports = {
+  publishRoomEvent,
+  publishSketchUpdate
+};
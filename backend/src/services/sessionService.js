@@ -0,0 +1,130 @@
+const { v4: uuidv4 } = require('uuid');
+const sessionToken = require('shared/sessionToken');
+const config = require('../config');
+const { getRedisClient } = require('../db');
+
+/**
+ * Anonymous session management
+ *
+ * Sessions live in Redis under `session:<id>` and expire with their token.
+ * Tokens have the form `<sessionId>.<expiresAt>.<signature>`, where the
+ * signature is an HMAC of the first two parts; the websocket service
+ * verifies them with the same secret.
+ */
+
+const sessionKey = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Sign a session ID and expiry into a token
+ * @param {string} sessionId - Session ID
+ * @param {number} expiresAt - Expiry as a Unix timestamp in seconds
+ * @returns {string} Session token
+ */
+const signToken = (sessionId, expiresAt) => (
+  sessionToken.signToken(config.security.sessions.secret, sessionId, expiresAt)
+);
+
+/**
+ * Verify a session token's signature and expiry
+ * @param {string} token - Session token
+ * @returns {Object|null} `{ sessionId, expiresAt }`, or null if invalid or expired
+ */
+const verifyToken = (token) => sessionToken.verifyToken(config.security.sessions.secret, token);
+
+/**
+ * Persist a session with the configured TTL and issue a fresh token
+ * @param {Object} session - Session data
+ * @returns {Promise<Object>} Session with `token` and `expiresAt`
+ */
+const saveSession = async (session) => {
+  const redis = await getRedisClient();
+  const { ttlSeconds } = config.security.sessions;
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+
+  const stored = { ...session, expiresAt: new Date(expiresAt * 1000).toISOString() };
+  await redis.set(sessionKey(session.sessionId), JSON.stringify(stored), { EX: ttlSeconds });
+
+  return { ...stored, token: signToken(session.sessionId, expiresAt) };
+};
+
+/**
+ * Start a new anonymous session
+ * @param {Object} data - Session details
+ * @param {string} [data.nickname] - Display name
+ * @param {string} [data.userAgent] - Client user agent
+ * @param {string} [data.ipAddress] - Client IP address
+ * @returns {Promise<Object>} Session with token
+ */
+const createSession = async ({ nickname, userAgent, ipAddress }) => {
+  const now = new Date().toISOString();
+  return saveSession({
+    sessionId: uuidv4(),
+    nickname: nickname || null,
+    userAgent: userAgent || null,
+    ipAddress: ipAddress || null,
+    currentSketch: null,
+    created: now,
+    lastActive: now
+  });
+};
+
+/**
+ * Load a session by ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Session data, or null if it expired
+ */
+const getSession = async (sessionId) => {
+  const redis = await getRedisClient();
+  const stored = await redis.get(sessionKey(sessionId));
+  return stored ? JSON.parse(stored) : null;
+};
+
+/**
+ * Resolve a token to its session
+ * @param {string} token - Session token
+ * @returns {Promise<Object|null>} Session data, or null if the token is invalid
+ */
+const getSessionForToken = async (token) => {
+  const verified = verifyToken(token);
+  if (!verified) return null;
+  return getSession(verified.sessionId);
+};
+
+/**
+ * Update session details
+ * @param {string} sessionId - Session ID
+ * @param {Object} changes - Fields to change (nickname, currentSketch)
+ * @returns {Promise<Object|null>} Updated session data, or null if it expired
+ */
+const updateSession = async (sessionId, changes) => {
+  const session = await getSession(sessionId);
+  if (!session) return null;
+
+  const redis = await getRedisClient();
+  const updated = { ...session, ...changes, lastActive: new Date().toISOString() };
+  // Keep the existing expiry; only refreshing extends a session
+  await redis.set(sessionKey(sessionId), JSON.stringify(updated), { KEEPTTL: true });
+
+  return updated;
+};
+
+/**
+ * Extend a session and issue a new token
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Session with new token, or null if it expired
+ */
+const refreshSession = async (sessionId) => {
+  const session = await getSession(sessionId);
+  if (!session) return null;
+  return saveSession({ ...session, lastActive: new Date().toISOString() });
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+  createSession,
+  getSession,
+  getSessionForToken,
+  updateSession,
+  refreshSession
+};
@@ -0,0 +1,55 @@
+const Sketch = require('../models/Sketch');
+const { countLineChanges } = require('shared/diffStats');
+const Version = require('../models/Version');
+const { enqueueThumbnail } = require('./thumbnailQueue');
+
+/**
+ * Create a sketch together with version 1, the root of its version chain
+ * @param {Object} fields
+ * @param {string} fields.title - Sketch title
+ * @param {string} [fields.description] - Sketch description
+ * @param {Object} [fields.settings] - Sketch settings
+ * @param {string[]} [fields.tags] - Tags
+ * @param {string} fields.code - Starting code, also kept as the base template
+ * @param {Object} [fields.forkedFrom] - `{ sketchId, versionSequence }` for forks
+ * @param {Object} contributor - `{ ipAddress, nickname }` of the creator
+ * @param {string} promptText - History entry for version 1
+ * @returns {Promise<Object>} `{ sketch, version }`
+ */
+const createSketch = async ({ title, description, settings, tags, code, forkedFrom }, contributor, promptText) => {
+  const now = new Date();
+
+  const sketch = await Sketch.create({
+    title,
+    description,
+    settings,
+    tags,
+    baseTemplate: code,
+    currentCode: code,
+    currentVersion: 1,
+    forkedFrom,
+    created: {
+      timestamp: now,
+      ipAddress: contributor.ipAddress
+    }
+  });
+
+  const version = await Version.create({
+    sketchId: sketch._id,
+    sequence: 1,
+    code,
+    timestamp: now,
+    contributor,
+    promptText,
+    diffStats: countLineChanges(null, code)
+  });
+
+  // Rendered in the background; callers don't wait for the queue
+  enqueueThumbnail(version);
+
+  return { sketch, version };
+};
+
+module.exports = {
+  createSketch
+};
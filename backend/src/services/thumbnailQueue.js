@@ -0,0 +1,74 @@
+const Queue = require('bull');
+const config = require('../config');
+
+// Bull queue instance (producer side only; jobs are consumed by the AI worker)
+let thumbnailQueue = null;
+
+/**
+ * Get the thumbnail rendering queue instance
+ * @returns {Object} Bull queue
+ */
+const getThumbnailQueue = () => {
+  if (!thumbnailQueue) {
+    thumbnailQueue = new Queue(config.queues.thumbnails.name, config.redis.uri, {
+      defaultJobOptions: {
+        // Render failures are recorded by the worker; retries only cover database errors
+        attempts: 2,
+        backoff: {
+          type: 'fixed',
+          delay: 10000
+        },
+        removeOnComplete: 100,
+        removeOnFail: 100
+      }
+    });
+
+    thumbnailQueue.on('error', (err) => {
+      console.error('Thumbnail Queue Error:', err);
+    });
+  }
+
+  return thumbnailQueue;
+};
+
+/**
+ * Queue thumbnail rendering for a new version
+ *
+ * Never throws: a sketch without a fresh thumbnail is not worth failing the
+ * request that created the version, so queue errors are only logged.
+ * @param {Object} version - Version document
+ */
+const enqueueThumbnail = async (version) => {
+  if (!config.queues.thumbnails.enabled) {
+    return;
+  }
+
+  try {
+    await getThumbnailQueue().add(
+      {
+        sketchId: version.sketchId.toString(),
+        versionId: version.id,
+        sequence: version.sequence
+      },
+      { jobId: `thumbnail:${version.id}` }
+    );
+  } catch (error) {
+    console.error(`Error queueing thumbnail for version ${version.id}:`, error);
+  }
+};
+
+/**
+ * Close the thumbnail rendering queue
+ */
+const closeThumbnailQueue = async () => {
+  if (thumbnailQueue) {
+    await thumbnailQueue.close();
+    thumbnailQueue = null;
+  }
+};
+
+module.exports = {
+  getThumbnailQueue,
+  enqueueThumbnail,
+  closeThumbnailQueue
+};
@@ -0,0 +1,23 @@
+/**
+ * Helpers for raising errors that errorMiddleware understands
+ */
+
+/**
+ * Create an Error carrying an HTTP status code
+ * @param {number} status - HTTP status code
+ * @param {string} message - Human-readable error message
+ * @param {Object} [details] - Optional extra data returned to the client
+ * @returns {Error} Error with `status` (and `details`) set
+ */
+const createHttpError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+module.exports = {
+  createHttpError
+};
@@ -0,0 +1,169 @@
+/**
+ * Cursor pagination helpers
+ *
+ * Cursors are opaque to clients: the ObjectId of the last item on the page
+ * (plus its sort value when sorting by another field), base64url encoded.
+ * Results are ordered newest first by `_id`, which is monotonic in creation
+ * time, unless a sort field is given.
+ */
+const mongoose = require('mongoose');
+const { createHttpError } = require('./httpError');
+
+/**
+ * Encode a document ID as a cursor
+ * @param {Object|string} id - Document ObjectId
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (id) => Buffer.from(String(id)).toString('base64url');
+
+/**
+ * Decode a cursor back to an ObjectId
+ * @param {string} cursor - Opaque cursor from a previous page
+ * @returns {Object} ObjectId
+ */
+const decodeCursor = (cursor) => {
+  const id = Buffer.from(cursor, 'base64url').toString();
+  if (!mongoose.isValidObjectId(id)) {
+    throw createHttpError(400, 'Invalid pagination cursor');
+  }
+  return new mongoose.Types.ObjectId(id);
+};
+
+/**
+ * Run a cursor-paginated query, newest first
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - Query filter
+ * @param {Object} options - Pagination options
+ * @param {string} [options.cursor] - Cursor returned by the previous page
+ * @param {number} options.limit - Page size
+ * @param {string} [options.select] - Optional projection
+ * @returns {Promise<Object>} `{ items, pagination: { limit, nextCursor, hasMore } }`
+ */
+const paginateByCursor = async (Model, filter, { cursor, limit, select }) => {
+  const query = { ...filter };
+  if (cursor) {
+    query._id = { $lt: decodeCursor(cursor) };
+  }
+
+  // Fetch one extra document to find out whether another page exists
+  let find = Model.find(query).sort({ _id: -1 }).limit(limit + 1);
+  if (select) {
+    find = find.select(select);
+  }
+  const docs = await find;
+
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    pagination: {
+      limit,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1]._id) : null,
+      hasMore
+    }
+  };
+};
+
+/**
+ * Encode the sort value and ID of a document as a cursor
+ * @param {*} value - Value of the sort field (number, string or Date)
+ * @param {Object|string} id - Document ObjectId
+ * @returns {string} Opaque cursor
+ */
+const encodeSortCursor = (value, id) => {
+  const encoded = value instanceof Date ? { date: value.toISOString() } : { value: value === undefined ? null : value };
+  return Buffer.from(JSON.stringify({ ...encoded, id: String(id) })).toString('base64url');
+};
+
+/**
+ * Decode a cursor from encodeSortCursor
+ * @param {string} cursor - Opaque cursor from a previous page
+ * @returns {Object} `{ value, id }`
+ */
+const decodeSortCursor = (cursor) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    throw createHttpError(400, 'Invalid pagination cursor');
+  }
+
+  const value = parsed && parsed.date ? new Date(parsed.date) : parsed && parsed.value;
+  if (!parsed || !mongoose.isValidObjectId(parsed.id) || (value instanceof Date && Number.isNaN(value.getTime()))) {
+    throw createHttpError(400, 'Invalid pagination cursor');
+  }
+
+  return { value, id: new mongoose.Types.ObjectId(parsed.id) };
+};
+
+/**
+ * Read a dotted path from a document
+ * @param {Object} doc - Mongoose document
+ * @param {string} path - Dotted path, e.g. 'statistics.promptCount'
+ * @returns {*} Value
+ */
+const getPath = (doc, path) => (typeof doc.get === 'function'
+  ? doc.get(path)
+  : path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc));
+
+/**
+ * Run a cursor-paginated query sorted by a field, highest first
+ *
+ * Ties are broken by `_id`, so the cursor holds both the sort value and the
+ * ID of the last item and pages never skip or repeat documents.
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - Query filter
+ * @param {Object} options - Pagination options
+ * @param {string} options.sortField - Dotted path to sort by (descending)
+ * @param {string} [options.cursor] - Cursor returned by the previous page
+ * @param {number} options.limit - Page size
+ * @param {string} [options.select] - Optional projection
+ * @returns {Promise<Object>} `{ items, pagination: { limit, nextCursor, hasMore } }`
+ */
+const paginateBySortField = async (Model, filter, { sortField, cursor, limit, select }) => {
+  let query = filter;
+  if (cursor) {
+    const { value, id } = decodeSortCursor(cursor);
+    // Kept apart from the filter, which may have an $or of its own
+    query = {
+      $and: [
+        filter,
+        {
+          $or: [
+            { [sortField]: { $lt: value } },
+            { [sortField]: value, _id: { $lt: id } }
+          ]
+        }
+      ]
+    };
+  }
+
+  let find = Model.find(query).sort({ [sortField]: -1, _id: -1 }).limit(limit + 1);
+  if (select) {
+    find = find.select(select);
+  }
+  const docs = await find;
+
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    pagination: {
+      limit,
+      nextCursor: hasMore ? encodeSortCursor(getPath(last, sortField), last._id) : null,
+      hasMore
+    }
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  paginateByCursor,
+  encodeSortCursor,
+  decodeSortCursor,
+  paginateBySortField
+};
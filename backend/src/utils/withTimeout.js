@@ -0,0 +1,21 @@
+/**
+ * Bound a promise by a timeout
+ */
+
+/**
+ * Reject if a promise takes longer than `ms` to settle
+ * @param {Promise} promise - Operation in progress
+ * @param {number} ms - Timeout in milliseconds
+ * @returns {Promise} The operation, bounded by the timeout
+ */
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+module.exports = {
+  withTimeout
+};
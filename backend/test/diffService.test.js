@@ -0,0 +1,95 @@
+/* eslint-env jest */
+process.env.DIFF_CACHE_TIMEOUT_MS = '20';
+
+jest.mock('../src/db', () => ({ getRedisClient: jest.fn() }));
+
+const { getRedisClient } = require('../src/db');
+const { computeDiff, getVersionDiff } = require('../src/services/diffService');
+const FakeRedis = require('./fakeRedis');
+
+const version = (id, sequence, code) => ({ id, sequence, code });
+const v1 = version('v1', 1, 'setup\ndraw\nline\n');
+const v2 = version('v2', 2, 'setup\ndraw\ncircle\n');
+
+describe('computeDiff', () => {
+  it('returns unified text, numbered hunks and stats', () => {
+    const diff = computeDiff(v1, v2);
+
+    expect(diff.from).toEqual({ id: 'v1', sequence: 1 });
+    expect(diff.to).toEqual({ id: 'v2', sequence: 2 });
+    expect(diff.stats).toEqual({ additions: 1, deletions: 1 });
+    expect(diff.unified).toBe([
+      '--- version 1',
+      '+++ version 2',
+      '@@ -1,3 +1,3 @@',
+      ' setup',
+      ' draw',
+      '-line',
+      '+circle'
+    ].join('\n'));
+    expect(diff.hunks[0].lines).toEqual([
+      { type: 'context', content: 'setup', oldLine: 1, newLine: 1 },
+      { type: 'context', content: 'draw', oldLine: 2, newLine: 2 },
+      { type: 'remove', content: 'line', oldLine: 3, newLine: null },
+      { type: 'add', content: 'circle', oldLine: null, newLine: 3 }
+    ]);
+  });
+
+  it('diffs the first version against empty code', () => {
+    const diff = computeDiff(null, v1);
+
+    expect(diff.from).toBeNull();
+    expect(diff.unified.split('\n')[0]).toBe('--- /dev/null');
+    expect(diff.stats).toEqual({ additions: 3, deletions: 0 });
+  });
+
+  it('leaves out the missing newline marker', () => {
+    const diff = computeDiff(version('a', 1, 'x'), version('b', 2, 'y'));
+
+    expect(diff.hunks[0].lines.map(line => line.type)).toEqual(['remove', 'add']);
+  });
+});
+
+describe('getVersionDiff', () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = new FakeRedis();
+    getRedisClient.mockResolvedValue(redis);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('caches computed diffs and serves them from the cache', async () => {
+    const diff = await getVersionDiff(v1, v2);
+
+    expect(JSON.parse(await redis.get('diff:v1:v2'))).toEqual(diff);
+
+    await redis.set('diff:v1:v2', JSON.stringify({ cached: true }));
+    expect(await getVersionDiff(v1, v2)).toEqual({ cached: true });
+  });
+
+  it('keys diffs against empty code separately', async () => {
+    await getVersionDiff(null, v1);
+
+    expect(await redis.get('diff:empty:v1')).not.toBeNull();
+  });
+
+  it('computes the diff when Redis does not answer in time', async () => {
+    redis.hold();
+
+    const diff = await getVersionDiff(v1, v2);
+
+    expect(diff.stats).toEqual({ additions: 1, deletions: 1 });
+    redis.release();
+  });
+
+  it('computes the diff when Redis is unavailable', async () => {
+    getRedisClient.mockRejectedValue(new Error('connection refused'));
+
+    expect((await getVersionDiff(v1, v2)).stats).toEqual({ additions: 1, deletions: 1 });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * In-memory stand-in for the node-redis commands the backend uses
+ *
+ * `eval` runs a JavaScript version of the rate limiter's sliding-window
+ * script, as there is no Lua here. `hold()` keeps every command waiting, as
+ * node-redis does while it reconnects, until `release()` is called.
+ */
+class FakeRedis {
+  constructor() {
+    this.values = new Map();
+    this.sortedSets = new Map();
+    this.now = 0;
+    this.held = null;
+  }
+
+  hold() {
+    let release;
+    this.held = new Promise(resolve => {
+      release = resolve;
+    });
+    this.release = () => {
+      this.held = null;
+      release();
+    };
+  }
+
+  async run(command) {
+    if (this.held) await this.held;
+    return command();
+  }
+
+  get(key) {
+    return this.run(() => (this.values.has(key) ? this.values.get(key) : null));
+  }
+
+  set(key, value) {
+    return this.run(() => {
+      this.values.set(key, value);
+      return 'OK';
+    });
+  }
+
+  del(key) {
+    return this.run(() => Number(this.values.delete(key)));
+  }
+
+  zRem(key, member) {
+    return this.run(() => {
+      const entries = this.sortedSets.get(key) || [];
+      const index = entries.findIndex(entry => entry.value === member);
+      if (index === -1) return 0;
+      entries.splice(index, 1);
+      return 1;
+    });
+  }
+
+  zCard(key) {
+    return (this.sortedSets.get(key) || []).length;
+  }
+
+  // Sliding-window script: prune, check every bucket, then record the hit in all
+  eval(script, { keys, arguments: [windowArg, limitArg, member] }) {
+    return this.run(() => {
+      const window = Number(windowArg);
+      const limit = Number(limitArg);
+      let allowed = 1;
+      let remaining = limit;
+      let resetAt = this.now + window;
+
+      keys.forEach(key => {
+        const entries = (this.sortedSets.get(key) || []).filter(entry => entry.score > this.now - window);
+        this.sortedSets.set(key, entries);
+        const keyReset = entries.length > 0 ? entries[0].score + window : this.now + window;
+        if (entries.length >= limit) {
+          if (allowed === 1 || keyReset > resetAt) resetAt = keyReset;
+          allowed = 0;
+          remaining = 0;
+        } else if (allowed === 1 && limit - entries.length - 1 < remaining) {
+          remaining = limit - entries.length - 1;
+          resetAt = keyReset;
+        }
+      });
+
+      if (allowed === 1) {
+        keys.forEach(key => this.sortedSets.get(key).push({ score: this.now, value: member }));
+      }
+      return [allowed, remaining, resetAt - this.now];
+    });
+  }
+}
+
+module.exports = FakeRedis;
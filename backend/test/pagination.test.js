@@ -0,0 +1,140 @@
+/* eslint-env jest */
+const mongoose = require('mongoose');
+const {
+  encodeCursor,
+  decodeCursor,
+  paginateByCursor,
+  encodeSortCursor,
+  decodeSortCursor,
+  paginateBySortField
+} = require('../src/utils/pagination');
+
+const ids = Array.from({ length: 5 }, () => new mongoose.Types.ObjectId());
+
+// Model whose find() records the query chain and resolves with `docs`
+const createModel = (docs) => {
+  const calls = {};
+  const query = {
+    sort: jest.fn(sort => Object.assign(calls, { sort }) && query),
+    limit: jest.fn(limit => Object.assign(calls, { limit }) && query),
+    select: jest.fn(select => Object.assign(calls, { select }) && query),
+    then: (resolve, reject) => Promise.resolve(docs.slice(0, calls.limit)).then(resolve, reject)
+  };
+  return {
+    calls,
+    find: jest.fn(filter => Object.assign(calls, { filter }) && query)
+  };
+};
+
+describe('ID cursors', () => {
+  it('round-trips an ObjectId', () => {
+    expect(decodeCursor(encodeCursor(ids[0])).equals(ids[0])).toBe(true);
+  });
+
+  it('rejects cursors that are not ObjectIds', () => {
+    expect(() => decodeCursor(encodeCursor('not-an-id'))).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('sort cursors', () => {
+  it('round-trips numbers, strings and dates', () => {
+    const date = new Date('2026-01-02T03:04:05.000Z');
+
+    expect(decodeSortCursor(encodeSortCursor(7, ids[0]))).toEqual({ value: 7, id: ids[0] });
+    expect(decodeSortCursor(encodeSortCursor('b', ids[0])).value).toBe('b');
+    expect(decodeSortCursor(encodeSortCursor(date, ids[0])).value).toEqual(date);
+    expect(decodeSortCursor(encodeSortCursor(undefined, ids[0])).value).toBeNull();
+  });
+
+  it('rejects malformed cursors', () => {
+    const encode = value => Buffer.from(value).toString('base64url');
+
+    expect(() => decodeSortCursor(encode('{'))).toThrow('Invalid pagination cursor');
+    expect(() => decodeSortCursor(encode('null'))).toThrow('Invalid pagination cursor');
+    expect(() => decodeSortCursor(encode('{"value":1,"id":"x"}'))).toThrow('Invalid pagination cursor');
+    expect(() => decodeSortCursor(encode(`{"date":"soon","id":"${ids[0]}"}`))).toThrow('Invalid pagination cursor');
+  });
+});
+
+describe('paginateByCursor', () => {
+  const docs = ids.map(_id => ({ _id }));
+
+  it('returns the first page newest first with a cursor for the next', async () => {
+    const Model = createModel(docs);
+
+    const { items, pagination } = await paginateByCursor(Model, { sketchId: 'a' }, { limit: 2, select: '-code' });
+
+    expect(Model.calls).toEqual({ filter: { sketchId: 'a' }, sort: { _id: -1 }, limit: 3, select: '-code' });
+    expect(items).toEqual(docs.slice(0, 2));
+    expect(pagination).toEqual({ limit: 2, nextCursor: encodeCursor(ids[1]), hasMore: true });
+  });
+
+  it('continues below the cursor', async () => {
+    const Model = createModel(docs.slice(2));
+
+    await paginateByCursor(Model, { sketchId: 'a' }, { cursor: encodeCursor(ids[1]), limit: 2 });
+
+    expect(Model.calls.filter.sketchId).toBe('a');
+    expect(Model.calls.filter._id.$lt.equals(ids[1])).toBe(true);
+    expect(Model.calls.select).toBeUndefined();
+  });
+
+  it('reports the last page', async () => {
+    const { items, pagination } = await paginateByCursor(createModel(docs.slice(3)), {}, { limit: 2 });
+
+    expect(items).toHaveLength(2);
+    expect(pagination).toEqual({ limit: 2, nextCursor: null, hasMore: false });
+  });
+});
+
+describe('paginateBySortField', () => {
+  const docs = [
+    { _id: ids[0], statistics: { promptCount: 9 } },
+    { _id: ids[1], statistics: { promptCount: 4 } },
+    { _id: ids[2], statistics: { promptCount: 4 } }
+  ];
+
+  it('sorts by the field then _id and encodes both in the cursor', async () => {
+    const Model = createModel(docs);
+
+    const { items, pagination } = await paginateBySortField(Model, { isPublic: true }, {
+      sortField: 'statistics.promptCount',
+      limit: 2
+    });
+
+    expect(Model.calls.sort).toEqual({ 'statistics.promptCount': -1, _id: -1 });
+    expect(items).toEqual(docs.slice(0, 2));
+    expect(decodeSortCursor(pagination.nextCursor)).toEqual({ value: 4, id: ids[1] });
+  });
+
+  it('reads the sort value through get() on documents', async () => {
+    const withGet = docs.map(doc => ({ ...doc, get: path => (path === 'statistics.promptCount' ? doc.statistics.promptCount * 10 : undefined) }));
+
+    const { pagination } = await paginateBySortField(createModel(withGet), {}, { sortField: 'statistics.promptCount', limit: 1 });
+
+    expect(decodeSortCursor(pagination.nextCursor).value).toBe(90);
+  });
+
+  it('keeps the filter apart from the cursor condition', async () => {
+    const Model = createModel([]);
+    const filter = { $or: [{ title: /a/ }, { description: /a/ }] };
+
+    await paginateBySortField(Model, filter, {
+      sortField: 'statistics.promptCount',
+      cursor: encodeSortCursor(4, ids[1]),
+      limit: 2
+    });
+
+    expect(Model.calls.filter).toEqual({
+      $and: [
+        filter,
+        {
+          $or: [
+            { 'statistics.promptCount': { $lt: 4 } },
+            { 'statistics.promptCount': 4, _id: { $lt: ids[1] } }
+          ]
+        }
+      ]
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/* eslint-env jest */
+process.env.RATE_LIMITING_REDIS_TIMEOUT_MS = '20';
+
+jest.mock('../src/db', () => ({ getRedisClient: jest.fn() }));
+
+const { getRedisClient } = require('../src/db');
+const { createRateLimiter } = require('../src/middleware/rateLimitMiddleware');
+const FakeRedis = require('./fakeRedis');
+
+const limiter = createRateLimiter({
+  name: 'test',
+  limit: 2,
+  windowMs: 1000,
+  keys: req => [`ip:${req.ip}`, ...(req.session ? [`session:${req.session.sessionId}`] : [])]
+});
+
+// Run the middleware and resolve with what it passed to next()
+const hit = async (req = { ip: '1.2.3.4' }) => {
+  const res = {
+    headers: {},
+    set(name, value) {
+      Object.assign(this.headers, typeof name === 'string' ? { [name]: value } : name);
+    }
+  };
+  const error = await new Promise(resolve => limiter(req, res, resolve));
+  return { error, headers: res.headers };
+};
+
+describe('createRateLimiter', () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = new FakeRedis();
+    getRedisClient.mockResolvedValue(redis);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('allows requests up to the limit and reports what is left', async () => {
+    const first = await hit();
+    const second = await hit();
+
+    expect(first.error).toBeUndefined();
+    expect(first.headers).toMatchObject({ 'RateLimit-Limit': '2', 'RateLimit-Remaining': '1', 'RateLimit-Policy': '2;w=1' });
+    expect(second.headers['RateLimit-Remaining']).toBe('0');
+  });
+
+  it('rejects requests over the limit with 429 and Retry-After', async () => {
+    await hit();
+    redis.now = 400;
+    await hit();
+    redis.now = 500;
+
+    const { error, headers } = await hit();
+
+    expect(error.status).toBe(429);
+    expect(error.details).toEqual({ retryAfter: 1 });
+    expect(headers['Retry-After']).toBe('1');
+  });
+
+  it('slides the window instead of resetting it', async () => {
+    await hit();
+    redis.now = 600;
+    await hit();
+
+    redis.now = 1001;
+    expect((await hit()).error).toBeUndefined();
+    expect((await hit()).error.status).toBe(429);
+  });
+
+  it('counts every key and only records a hit when all have room', async () => {
+    const session = { sessionId: 's1' };
+    await hit({ ip: 'a', session });
+    await hit({ ip: 'b', session });
+
+    expect((await hit({ ip: 'c', session })).error.status).toBe(429);
+    expect(redis.zCard('ratelimit:test:ip:c')).toBe(0);
+    expect((await hit({ ip: 'c' })).error).toBeUndefined();
+  });
+
+  it('lets requests through when Redis fails', async () => {
+    getRedisClient.mockRejectedValue(new Error('connection refused'));
+
+    expect((await hit()).error).toBeUndefined();
+  });
+
+  describe('when Redis does not answer in time', () => {
+    it('lets the request through', async () => {
+      redis.hold();
+
+      const { error, headers } = await hit();
+
+      expect(error).toBeUndefined();
+      expect(headers).toEqual({});
+      redis.release();
+    });
+
+    it('removes the hit the script records once Redis is back', async () => {
+      redis.hold();
+      await hit();
+
+      redis.release();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(redis.zCard('ratelimit:test:ip:1.2.3.4')).toBe(0);
+      expect((await hit()).headers['RateLimit-Remaining']).toBe('1');
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/* eslint-env jest */
+jest.mock('../src/db', () => ({ getRedisClient: jest.fn() }));
+
+const { getRedisClient } = require('../src/db');
+const { publishSketchUpdate } = require('../src/services/roomEventService');
+
+const version = {
+  id: 'v4',
+  sketchId: { toString: () => 's1' },
+  promptId: null,
+  sequence: 4,
+  code: 'function draw() {}',
+  promptText: 'Reverted to version 2',
+  contributor: { nickname: 'ada', ipAddress: '1.2.3.4', sessionId: 'secret' },
+  timestamp: new Date('2026-01-01T00:00:00.000Z')
+};
+
+describe('publishSketchUpdate', () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = { rPush: jest.fn().mockResolvedValue(1) };
+    getRedisClient.mockResolvedValue(redis);
+  });
+
+  it('queues a sketch:updated event for the sketch room', async () => {
+    await publishSketchUpdate(version);
+
+    const [queue, payload] = redis.rPush.mock.calls[0];
+    expect(queue).toBe('room-events');
+    expect(JSON.parse(payload)).toEqual({
+      room: 'sketch:s1',
+      type: 'sketch:updated',
+      data: {
+        sketchId: 's1',
+        promptId: null,
+        versionId: 'v4',
+        sequence: 4,
+        code: 'function draw() {}',
+        promptText: 'Reverted to version 2',
+        contributor: { nickname: 'ada' },
+        timestamp: '2026-01-01T00:00:00.000Z'
+      }
+    });
+  });
+
+  it('logs failures instead of throwing', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    redis.rPush.mockRejectedValue(new Error('connection lost'));
+
+    await expect(publishSketchUpdate(version)).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,55 @@
+/* eslint-env jest */
+jest.mock('../src/db', () => ({ getRedisClient: jest.fn() }));
+
+const { getRedisClient } = require('../src/db');
+const { createSession, signToken } = require('../src/services/sessionService');
+const { attachSession, requireSession } = require('../src/middleware/sessionMiddleware');
+const FakeRedis = require('./fakeRedis');
+
+// Run middleware and resolve with what it passed to next()
+const run = (middleware, req) => new Promise(resolve => middleware(req, {}, resolve));
+
+const requestWith = token => ({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+describe('session middleware', () => {
+  beforeEach(() => {
+    getRedisClient.mockResolvedValue(new FakeRedis());
+  });
+
+  it('attaches the session for a valid token', async () => {
+    const { token, sessionId } = await createSession({ nickname: 'ada' });
+    const req = { headers: { 'x-session-token': token } };
+
+    expect(await run(attachSession, req)).toBeUndefined();
+    expect(req.session).toMatchObject({ sessionId, nickname: 'ada' });
+    expect(await run(requireSession, req)).toBeUndefined();
+  });
+
+  it('continues anonymously without a token', async () => {
+    const req = requestWith(null);
+
+    await run(attachSession, req);
+
+    expect(req.session).toBeNull();
+    expect(await run(requireSession, req)).toMatchObject({ status: 401, message: 'Session required' });
+  });
+
+  it.each([
+    ['expired', () => signToken('gone', Math.floor(Date.now() / 1000) - 1)],
+    ['forged', () => signToken('session-1', Math.floor(Date.now() / 1000) + 60).replace(/.$/, '_')],
+    ['unknown', () => signToken('never-created', Math.floor(Date.now() / 1000) + 60)]
+  ])('continues anonymously with an %s token, and only routes that need a session reject it', async (kind, token) => {
+    const req = requestWith(token());
+
+    expect(await run(attachSession, req)).toBeUndefined();
+    expect(req.session).toBeNull();
+    expect(await run(requireSession, req)).toMatchObject({ status: 401, message: 'Invalid or expired session token' });
+  });
+
+  it('passes Redis errors on', async () => {
+    getRedisClient.mockRejectedValue(new Error('connection refused'));
+    const req = requestWith(signToken('session-1', Math.floor(Date.now() / 1000) + 60));
+
+    expect(await run(attachSession, req)).toEqual(new Error('connection refused'));
+  });
+});
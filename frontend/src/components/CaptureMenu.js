@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { downloadBlob, recordSketch, MAX_RECORDING_FRAMES } from '../utils/sketchExport';
+import './CaptureMenu.css';
+
+const PNG_SCALES = [1, 2, 4];
+const RECORDING_FPS_OPTIONS = [10, 15, 24, 30, 60];
+
+/**
+ * File name for an export, e.g. sketch-2025-10-18T22-10-15.png
+ * @param {string} extension - File extension
+ * @returns {string} File name
+ */
+const getFilename = (extension) => {
+  const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+  return `sketch-${timestamp}.${extension}`;
+};
+
+const CaptureMenu = ({ sandboxRef, disabled = false, onBusyChange = () => {} }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [format, setFormat] = useState('gif');
+  const [length, setLength] = useState(3);
+  const [unit, setUnit] = useState('seconds'); // 'seconds' or 'frames'
+  const [fps, setFps] = useState(30);
+  const [progress, setProgress] = useState(null);
+  const [isSavingPng, setIsSavingPng] = useState(false);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  const isRecording = progress !== null;
+  const isBusy = isRecording || isSavingPng;
+  const frameCount = Math.min(
+    unit === 'seconds' ? Math.round(length * fps) : Math.round(length),
+    MAX_RECORDING_FRAMES
+  );
+
+  useEffect(() => {
+    onBusyChange(isBusy);
+  }, [isBusy, onBusyChange]);
+
+  // Stop a recording in progress when the canvas goes away
+  useEffect(() => () => {
+    if (abortRef.current) abortRef.current.abort();
+  }, []);
+
+  const handleSavePng = async (scale) => {
+    setError(null);
+    setIsSavingPng(true);
+    try {
+      const blob = await sandboxRef.current.capturePng(scale);
+      downloadBlob(blob, getFilename('png'));
+    } catch (err) {
+      if (!err.cancelled) setError(err.message || 'Failed to save image');
+    } finally {
+      setIsSavingPng(false);
+    }
+  };
+
+  const handleRecord = async () => {
+    setError(null);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setProgress({ done: 0, total: frameCount });
+
+    try {
+      const blob = await recordSketch(sandboxRef.current, {
+        format,
+        fps,
+        frames: frameCount,
+        signal: controller.signal,
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+      downloadBlob(blob, getFilename(format));
+    } catch (err) {
+      if (!err.cancelled) setError(err.message || 'Recording failed');
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const handleCancel = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  return (
+    <div className="capture-menu-wrapper">
+      <button
+        aria-label="Capture"
+        title="Capture"
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled && !isBusy}
+      >
+        <span role="img" aria-hidden="true">📷</span>
+      </button>
+
+      {isOpen && (
+        <div className="capture-menu" role="dialog" aria-label="Capture">
+          <div className="capture-section">
+            <h4>Save frame (PNG)</h4>
+            <div className="capture-scales">
+              {PNG_SCALES.map(scale => (
+                <button
+                  key={scale}
+                  onClick={() => handleSavePng(scale)}
+                  disabled={disabled || isBusy}
+                >
+                  {scale}x
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="capture-section">
+            <h4>Record</h4>
+            <div className="capture-options">
+              <select
+                aria-label="Recording format"
+                value={format}
+                onChange={e => setFormat(e.target.value)}
+                disabled={isBusy}
+              >
+                <option value="gif">GIF</option>
+                <option value="webm">WebM</option>
+              </select>
+
+              <input
+                type="number"
+                aria-label="Recording length"
+                min="1"
+                value={length}
+                onChange={e => setLength(Math.max(1, Number(e.target.value) || 1))}
+                disabled={isBusy}
+              />
+
+              <select
+                aria-label="Recording length unit"
+                value={unit}
+                onChange={e => setUnit(e.target.value)}
+                disabled={isBusy}
+              >
+                <option value="seconds">seconds</option>
+                <option value="frames">frames</option>
+              </select>
+
+              <select
+                aria-label="Recording frame rate"
+                value={fps}
+                onChange={e => setFps(Number(e.target.value))}
+                disabled={isBusy}
+              >
+                {RECORDING_FPS_OPTIONS.map(option => (
+                  <option key={option} value={option}>{option} fps</option>
+                ))}
+              </select>
+            </div>
+
+            {isRecording ? (
+              <div className="capture-progress">
+                <progress value={progress.done} max={progress.total} />
+                <span>{progress.done}/{progress.total}</span>
+                <button onClick={handleCancel}>Cancel</button>
+              </div>
+            ) : (
+              <button
+                className="capture-record"
+                onClick={handleRecord}
+                disabled={disabled || isBusy}
+              >
+                Record {frameCount} frames
+              </button>
+            )}
+          </div>
+
+          {error && (
+            <div className="capture-error" role="alert">{error}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CaptureMenu;
\ No newline at end of file
@@ -0,0 +1,184 @@
+import React, { useState, useMemo } from 'react';
+import { tokenizeLines } from '../utils/syntaxHighlight';
+import './DiffViewer.css';
+
+/**
+ * Attach syntax tokens to diff lines. Old-side and new-side lines are
+ * tokenized separately so multi-line comments stay consistent per side.
+ */
+const highlightHunks = (hunks) => hunks.map((hunk) => {
+  const oldSide = hunk.lines.filter(line => line.type !== 'add');
+  const newSide = hunk.lines.filter(line => line.type !== 'remove');
+  const oldTokens = tokenizeLines(oldSide.map(line => line.content));
+  const newTokens = tokenizeLines(newSide.map(line => line.content));
+
+  let oldIndex = 0;
+  let newIndex = 0;
+  const lines = hunk.lines.map((line) => {
+    let tokens;
+    if (line.type === 'add') {
+      tokens = newTokens[newIndex++];
+    } else if (line.type === 'remove') {
+      tokens = oldTokens[oldIndex++];
+    } else {
+      tokens = newTokens[newIndex++];
+      oldIndex++;
+    }
+    return { ...line, tokens };
+  });
+
+  return { ...hunk, lines };
+});
+
+/**
+ * Pair hunk lines into left/right rows for the split layout. Runs of removed
+ * lines are aligned with the added lines that follow them.
+ */
+const toSplitRows = (lines) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let i = 0; i < count; i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  lines.forEach((line) => {
+    if (line.type === 'remove') {
+      if (added.length > 0) flush();
+      removed.push(line);
+    } else if (line.type === 'add') {
+      added.push(line);
+    } else {
+      flush();
+      rows.push({ left: line, right: line });
+    }
+  });
+  flush();
+
+  return rows;
+};
+
+const Code = ({ tokens }) => (
+  <code>
+    {tokens.map((token, index) => (
+      <span key={index} className={`token-${token.type}`}>{token.value}</span>
+    ))}
+  </code>
+);
+
+const UnifiedHunk = ({ hunk }) => (
+  <tbody>
+    <tr className="diff-hunk-header">
+      <td colSpan={3}>
+        @@ -{hunk.oldStart},{hunk.oldLines} +{hunk.newStart},{hunk.newLines} @@
+      </td>
+    </tr>
+    {hunk.lines.map((line, index) => (
+      <tr key={index} className={`diff-line diff-${line.type}`}>
+        <td className="diff-line-number">{line.oldLine ?? ''}</td>
+        <td className="diff-line-number">{line.newLine ?? ''}</td>
+        <td className="diff-code">
+          <span className="diff-sign">{line.type === 'add' ? '+' : line.type === 'remove' ? '-' : ' '}</span>
+          <Code tokens={line.tokens} />
+        </td>
+      </tr>
+    ))}
+  </tbody>
+);
+
+const SplitHunk = ({ hunk }) => (
+  <tbody>
+    <tr className="diff-hunk-header">
+      <td colSpan={4}>
+        @@ -{hunk.oldStart},{hunk.oldLines} +{hunk.newStart},{hunk.newLines} @@
+      </td>
+    </tr>
+    {toSplitRows(hunk.lines).map((row, index) => (
+      <tr key={index} className="diff-line">
+        <td className="diff-line-number">{row.left?.oldLine ?? ''}</td>
+        <td className={`diff-code ${row.left ? `diff-${row.left.type}` : 'diff-empty'}`}>
+          {row.left && <Code tokens={row.left.tokens} />}
+        </td>
+        <td className="diff-line-number">{row.right?.newLine ?? ''}</td>
+        <td className={`diff-code ${row.right ? `diff-${row.right.type}` : 'diff-empty'}`}>
+          {row.right && <Code tokens={row.right.tokens} />}
+        </td>
+      </tr>
+    ))}
+  </tbody>
+);
+
+const DiffViewer = ({ diff, loading = false, error = null }) => {
+  const [layout, setLayout] = useState('unified'); // 'unified' or 'split'
+
+  const hunks = useMemo(() => (diff ? highlightHunks(diff.hunks) : []), [diff]);
+
+  if (loading) {
+    return (
+      <div className="diff-viewer diff-loading">
+        <div className="spinner"></div>
+        <p>Loading changes...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <div className="diff-viewer error-message">{error}</div>;
+  }
+
+  if (!diff) {
+    return null;
+  }
+
+  return (
+    <div className="diff-viewer">
+      <div className="diff-header">
+        <div className="diff-title">
+          {diff.from ? `Version ${diff.from.sequence}` : 'Empty sketch'} → Version {diff.to.sequence}
+          <span className="diff-stats">
+            <span className="diff-stats-added">+{diff.stats.additions}</span>
+            <span className="diff-stats-removed">−{diff.stats.deletions}</span>
+          </span>
+        </div>
+        <div className="diff-layout-toggle" role="group" aria-label="Diff layout">
+          <button
+            className={layout === 'unified' ? 'active' : ''}
+            onClick={() => setLayout('unified')}
+            aria-pressed={layout === 'unified'}
+          >
+            Unified
+          </button>
+          <button
+            className={layout === 'split' ? 'active' : ''}
+            onClick={() => setLayout('split')}
+            aria-pressed={layout === 'split'}
+          >
+            Split
+          </button>
+        </div>
+      </div>
+
+      {hunks.length === 0 ? (
+        <div className="diff-no-changes">No code changes between these versions.</div>
+      ) : (
+        <div className="diff-body">
+          <table className={`diff-table diff-${layout}`}>
+            {hunks.map((hunk, index) => (
+              layout === 'split'
+                ? <SplitHunk key={index} hunk={hunk} />
+                : <UnifiedHunk key={index} hunk={hunk} />
+            ))}
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiffViewer;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import './GalleryFilters.css';
+
+// Delay before typing in the search box updates the results
+const SEARCH_DEBOUNCE_MS = 300;
+
+// The API rejects longer searches
+export const MAX_SEARCH_LENGTH = 100;
+
+export const SORT_OPTIONS = [
+  { value: 'recent', label: 'Recently updated' },
+  { value: 'prompts', label: 'Most prompts' },
+  { value: 'contributors', label: 'Most contributors' }
+];
+
+export const ACTIVITY_OPTIONS = [
+  { value: 'all', label: 'All' },
+  { value: 'active', label: 'Active today' },
+  { value: 'idle', label: 'Quiet' }
+];
+
+/**
+ * Search box, sort order and filter chips for the sketch gallery
+ * @param {Object} props
+ * @param {Object} props.query - `{ search, tags, contributor, activity, sort }`
+ * @param {Function} props.onChange - Called with the fields that changed
+ */
+const GalleryFilters = ({ query, onChange }) => {
+  const [searchText, setSearchText] = useState(query.search);
+  const [contributorText, setContributorText] = useState('');
+
+  // Follow the query when it changes from outside (e.g. back navigation)
+  useEffect(() => {
+    setSearchText(query.search);
+  }, [query.search]);
+
+  useEffect(() => {
+    const trimmed = searchText.trim();
+    if (trimmed === query.search) return undefined;
+
+    const timer = setTimeout(() => onChange({ search: trimmed }), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchText, query.search, onChange]);
+
+  const handleContributorSubmit = (e) => {
+    e.preventDefault();
+    const nickname = contributorText.trim();
+    if (nickname) {
+      onChange({ contributor: nickname });
+      setContributorText('');
+    }
+  };
+
+  const hasFilters = query.search || query.tags.length > 0 || query.contributor || query.activity !== 'all';
+
+  return (
+    <div className="gallery-filters">
+      <div className="gallery-filters-row">
+        <input
+          type="search"
+          className="gallery-search"
+          placeholder="Search titles, descriptions, tags and prompts"
+          aria-label="Search sketches"
+          maxLength={MAX_SEARCH_LENGTH}
+          value={searchText}
+          onChange={e => setSearchText(e.target.value)}
+        />
+
+        <select
+          className="gallery-sort"
+          aria-label="Sort sketches"
+          value={query.sort}
+          onChange={e => onChange({ sort: e.target.value })}
+        >
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="gallery-filters-row">
+        <div className="activity-chips" role="group" aria-label="Activity">
+          {ACTIVITY_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              className={`filter-chip ${query.activity === option.value ? 'selected' : ''}`}
+              aria-pressed={query.activity === option.value}
+              onClick={() => onChange({ activity: option.value })}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <form className="contributor-filter" onSubmit={handleContributorSubmit}>
+          <input
+            type="text"
+            placeholder="Contributor nickname"
+            aria-label="Filter by contributor"
+            maxLength={30}
+            value={contributorText}
+            onChange={e => setContributorText(e.target.value)}
+          />
+        </form>
+      </div>
+
+      {hasFilters && (
+        <div className="active-filters" aria-label="Active filters">
+          {query.tags.map(tag => (
+            <button
+              key={tag}
+              className="filter-chip removable"
+              aria-label={`Remove tag ${tag}`}
+              onClick={() => onChange({ tags: query.tags.filter(existing => existing !== tag) })}
+            >
+              #{tag} <span aria-hidden="true">×</span>
+            </button>
+          ))}
+          {query.contributor && (
+            <button
+              className="filter-chip removable"
+              aria-label={`Remove contributor ${query.contributor}`}
+              onClick={() => onChange({ contributor: '' })}
+            >
+              by {query.contributor} <span aria-hidden="true">×</span>
+            </button>
+          )}
+          <button
+            className="clear-filters"
+            onClick={() => {
+              setSearchText('');
+              onChange({ search: '', tags: [], contributor: '', activity: 'all' });
+            }}
+          >
+            Clear all
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GalleryFilters;
\ No newline at end of file
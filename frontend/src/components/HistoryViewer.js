@@ -1,13 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import DiffViewer from './DiffViewer';
 import './HistoryViewer.css';
 
-const HistoryViewer = ({ sketchId, currentVersion, onViewVersion, onRevertToVersion }) => {
+const HistoryViewer = ({ sketchId, currentVersion, onViewVersion, onRevertToVersion, onForkVersion }) => {
   const [versions, setVersions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedVersion, setSelectedVersion] = useState(null);
   const [showConfirmRevert, setShowConfirmRevert] = useState(false);
+  const [showDiff, setShowDiff] = useState(false);
+  const [compareSequence, setCompareSequence] = useState(''); // '' compares with the parent
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [diffError, setDiffError] = useState(null);
+  const [forkingSequence, setForkingSequence] = useState(null);
   
   useEffect(() => {
     // Load version history when component mounts
@@ -41,9 +48,49 @@ const HistoryViewer = ({ sketchId, currentVersion, onViewVersion, onRevertToVers
     fetchVersions();
   }, [sketchId, currentVersion]);
   
+  useEffect(() => {
+    // Load the diff for the selected version when the diff panel is open
+    if (!showDiff || !selectedVersion) return;
+    
+    let cancelled = false;
+    const fetchDiff = async () => {
+      setDiffLoading(true);
+      try {
+        const response = await axios.get(
+          `${process.env.REACT_APP_API_URL}/api/v1/sketches/${sketchId}/versions/${selectedVersion.sequence}/diff`,
+          { params: compareSequence ? { against: compareSequence } : {} }
+        );
+        if (!cancelled) {
+          setDiff(response.data);
+          setDiffError(null);
+        }
+      } catch (err) {
+        console.error('Failed to load version diff:', err);
+        if (!cancelled) {
+          setDiffError('Failed to load changes for this version.');
+        }
+      } finally {
+        if (!cancelled) {
+          setDiffLoading(false);
+        }
+      }
+    };
+    
+    fetchDiff();
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [sketchId, selectedVersion, showDiff, compareSequence]);
+  
   const handleVersionSelect = (version) => {
     setSelectedVersion(version);
     setShowConfirmRevert(false);
+    setCompareSequence('');
+  };
+  
+  const handleToggleDiff = () => {
+    setShowDiff(!showDiff);
   };
   
   const handleViewVersion = () => {
@@ -75,6 +122,18 @@ const HistoryViewer = ({ sketchId, currentVersion, onViewVersion, onRevertToVers
     setShowConfirmRevert(false);
   };
   
+  const handleFork = async (e, version) => {
+    // Don't also select the version
+    e.stopPropagation();
+    setForkingSequence(version.sequence);
+    const result = await onForkVersion(version.sequence);
+    // On success the editor moves to the new sketch
+    if (!result.success) {
+      setError(result.error || 'Failed to fork this version');
+    }
+    setForkingSequence(null);
+  };
+  
   // Format timestamp for display
   const formatTime = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString();
@@ -126,10 +185,27 @@ const HistoryViewer = ({ sketchId, currentVersion, onViewVersion, onRevertToVers
               <div className="version-number">Version {version.sequence}</div>
               <div className="version-time">{formatTime(version.timestamp)}</div>
               <div className="version-contributor">{version.contributor.nickname || 'Anonymous'}</div>
+              {version.diffStats && (
+                <div className="version-diff-stats">
+                  <span className="diff-stats-added">+{version.diffStats.additions}</span>
+                  <span className="diff-stats-removed">−{version.diffStats.deletions}</span>
+                </div>
+              )}
               <div className="version-prompt" title={version.promptText}>
                 {version.promptText.length > 40 ? `${version.promptText.substring(0, 40)}...` : version.promptText}
               </div>
             </div>
+            {onForkVersion && (
+              <button
+                className="fork-version-button"
+                onClick={(e) => handleFork(e, version)}
+                disabled={forkingSequence !== null}
+                title={`Start a new sketch from version ${version.sequence}`}
+                aria-label={`Fork version ${version.sequence}`}
+              >
+                {forkingSequence === version.sequence ? 'Forking...' : 'Fork'}
+              </button>
+            )}
           </div>
         ))}
       </div>
@@ -137,9 +213,9 @@ const HistoryViewer = ({ sketchId, currentVersion, onViewVersion, onRevertToVers
       {selectedVersion && (
         <div className="version-detail-panel">
           <div className="version-thumbnail">
-            {selectedVersion.thumbnail?.dataUrl ? (
+            {selectedVersion.thumbnail?.width ? (
               <img 
-                src={selectedVersion.thumbnail.dataUrl} 
+                src={`${process.env.REACT_APP_API_URL}/api/v1/sketches/${sketchId}/versions/${selectedVersion.sequence}/thumbnail`} 
                 width={selectedVersion.thumbnail.width}
                 height={selectedVersion.thumbnail.height}
                 alt={`Version ${selectedVersion.sequence} preview`}
@@ -166,6 +242,14 @@ const HistoryViewer = ({ sketchId, currentVersion, onViewVersion, onRevertToVers
                 View This Version
               </button>
               
+              <button 
+                className="diff-button"
+                onClick={handleToggleDiff}
+                aria-expanded={showDiff}
+              >
+                {showDiff ? 'Hide Changes' : 'Show Changes'}
+              </button>
+              
               {selectedVersion.sequence !== currentVersion && (
                 <button 
                   className="revert-button"
@@ -175,6 +259,28 @@ const HistoryViewer = ({ sketchId, currentVersion, onViewVersion, onRevertToVers
                 </button>
               )}
             </div>
+            
+            {showDiff && (
+              <div className="version-diff">
+                <label className="compare-select">
+                  Compare with:{' '}
+                  <select
+                    value={compareSequence}
+                    onChange={(e) => setCompareSequence(e.target.value)}
+                  >
+                    <option value="">Previous version</option>
+                    {versions
+                      .filter(version => version.sequence !== selectedVersion.sequence)
+                      .map(version => (
+                        <option key={version.sequence} value={version.sequence}>
+                          Version {version.sequence}
+                        </option>
+                      ))}
+                  </select>
+                </label>
+                <DiffViewer diff={diff} loading={diffLoading} error={diffError} />
+              </div>
+            )}
           </div>
           
           {showConfirmRevert && (
@@ -1,183 +1,132 @@
-import React, { useRef, useEffect } from 'react';
-import p5 from 'p5';
+import React, { useRef, useEffect, useState } from 'react';
+import SandboxManager from '../sandbox/SandboxManager';
+import CaptureMenu from './CaptureMenu';
 import './P5Canvas.css';
 
-const P5Canvas = ({ code, width = 800, height = 600, isProcessing = false }) => {
-  const canvasRef = useRef(null);
-  const p5InstanceRef = useRef(null);
-
-  // Create or update the P5.js instance when code changes
-  useEffect(() => {
-    // Clean up previous P5 instance if it exists
-    if (p5InstanceRef.current) {
-      p5InstanceRef.current.remove();
-      p5InstanceRef.current = null;
-    }
+// Frame rates offered as overrides in the playback controls
+const FRAME_RATE_OPTIONS = [1, 5, 10, 15, 24, 30, 60];
 
-    if (!code || !canvasRef.current) return;
+const INITIAL_STATUS = { isRunning: false, isLooping: false, frameRate: 0, frameCount: 0 };
 
-    try {
-      // Create the P5 sketch
-      const sketch = (p) => {
-        // Define p5.js functions to be available in the sketch
-        window.createCanvas = (...args) => p.createCanvas(...args);
-        window.background = (...args) => p.background(...args);
-        window.fill = (...args) => p.fill(...args);
-        window.ellipse = (...args) => p.ellipse(...args);
-        window.rect = (...args) => p.rect(...args);
-        window.frameRate = (...args) => p.frameRate(...args);
-        window.mouseX = p.mouseX;
-        window.mouseY = p.mouseY;
+const P5Canvas = ({
+  code,
+  width = 800,
+  height = 600,
+  p5Version,
+  libraries,
+  isProcessing = false,
+  processingMessage = 'Processing your prompt...',
+  onConsoleEntry = () => {},
+  onRun = () => {}
+}) => {
+  const canvasRef = useRef(null);
+  const sandboxRef = useRef(null);
+  const [status, setStatus] = useState(INITIAL_STATUS);
+  const [frameRateOverride, setFrameRateOverride] = useState('');
+  // Playback is locked while the capture menu is stepping the sketch
+  const [isCapturing, setIsCapturing] = useState(false);
 
-        // Updating mouseX and mouseY in draw to keep them current
-        const originalDraw = p.draw;
-        p.draw = () => {
-          window.mouseX = p.mouseX;
-          window.mouseY = p.mouseY;
-          if (originalDraw) originalDraw();
-        };
+  // The sandbox outlives renders, so it reads the latest callbacks from here
+  const callbacksRef = useRef({ onConsoleEntry, onRun });
+  callbacksRef.current = { onConsoleEntry, onRun };
 
-        // Create a safe evaluation environment
-        const createSafeFunction = (funcBody) => {
-          try {
-            // Create a function that has access to p5 global variables
-            return new Function('p', `
-              // Proxy p5 instance variables
-              const mouseX = p.mouseX;
-              const mouseY = p.mouseY;
-              const width = p.width;
-              const height = p.height;
-              
-              // Proxy p5 functions
-              const createCanvas = (...args) => p.createCanvas(...args);
-              const background = (...args) => p.background(...args);
-              const fill = (...args) => p.fill(...args);
-              const ellipse = (...args) => p.ellipse(...args);
-              const rect = (...args) => p.rect(...args);
-              const frameRate = (...args) => p.frameRate(...args);
-              const color = (...args) => p.color(...args);
-              
-              // Run the function body
-              ${funcBody}
-            `);
-          } catch (error) {
-            console.error('Error creating function:', error);
-            return () => {};
-          }
-        };
+  // Create the sandbox once; it replaces its iframe on every run
+  useEffect(() => {
+    const report = entry => callbacksRef.current.onConsoleEntry(entry);
 
-        // Extract setup function
-        let setupFunc;
-        try {
-          const setupMatch = code.match(/function\s+setup\s*\(\)\s*\{([\s\S]*?)\}/);
-          const setupBody = setupMatch ? setupMatch[1].trim() : `
-            createCanvas(${width}, ${height});
-            frameRate(60);
-          `;
-          setupFunc = createSafeFunction(setupBody);
-        } catch (error) {
-          console.error('Error extracting setup:', error);
-          setupFunc = () => {
-            p.createCanvas(width, height);
-            p.frameRate(60);
-          };
-        }
+    sandboxRef.current = new SandboxManager({
+      container: canvasRef.current,
+      onError: (error) => {
+        report({
+          level: 'error',
+          message: `${error.name}: ${error.message}`,
+          line: error.line,
+          column: error.column,
+          stack: error.stack
+        });
+      },
+      onConsole: (output) => {
+        report({
+          level: output.level,
+          message: output.message,
+          line: output.line,
+          column: output.column
+        });
+      },
+      onStatus: ({ frameCount, frameRate, isLooping }) => {
+        setStatus({ isRunning: true, frameCount, frameRate, isLooping });
+      },
+      onUnresponsive: () => {
+        setStatus(INITIAL_STATUS);
+        report({ level: 'error', message: 'The sketch stopped responding and was halted' });
+      },
+      onMemoryLimit: () => {
+        setStatus(INITIAL_STATUS);
+        report({ level: 'error', message: 'The sketch used too much memory and was halted' });
+      }
+    });
 
-        // Extract draw function
-        let drawFunc;
-        try {
-          const drawMatch = code.match(/function\s+draw\s*\(\)\s*\{([\s\S]*?)\}/);
-          const drawBody = drawMatch ? drawMatch[1].trim() : `
-            background(220);
-            fill(255, 0, 0);
-            ellipse(mouseX, mouseY, 20, 20);
-          `;
-          drawFunc = createSafeFunction(drawBody);
-        } catch (error) {
-          console.error('Error extracting draw:', error);
-          drawFunc = () => {
-            p.background(220);
-            p.fill(255, 0, 0);
-            p.ellipse(p.mouseX, p.mouseY, 20, 20);
-          };
-        }
+    // Clean up on unmount
+    return () => {
+      sandboxRef.current.destroy();
+      sandboxRef.current = null;
+    };
+  }, []);
 
-        // Extract mousePressed function if it exists
-        let mousePressedFunc;
-        try {
-          const mousePressedMatch = code.match(/function\s+mousePressed\s*\(\)\s*\{([\s\S]*?)\}/);
-          if (mousePressedMatch) {
-            const mousePressedBody = mousePressedMatch[1].trim();
-            mousePressedFunc = createSafeFunction(mousePressedBody);
-            p.mousePressed = () => mousePressedFunc(p);
-          }
-        } catch (error) {
-          console.error('Error extracting mousePressed:', error);
-        }
+  // Stable key so a new array with the same add-ons doesn't restart the sketch
+  const librariesKey = (libraries || []).join(',');
 
-        // Set up the p5 functions
-        p.setup = function() {
-          try {
-            setupFunc(p);
-          } catch (error) {
-            console.error('Error in setup function:', error);
-            p.createCanvas(width, height);
-            p.background(220);
-          }
-        };
+  // Run the sketch in a fresh sandbox when the code, size or libraries change
+  useEffect(() => {
+    const sandbox = sandboxRef.current;
+    if (!sandbox) return;
 
-        p.draw = function() {
-          try {
-            drawFunc(p);
-          } catch (error) {
-            console.error('Error in draw function:', error);
-            p.background(255);
-            p.fill(255, 0, 0);
-            p.textSize(16);
-            p.textAlign(p.CENTER);
-            p.text('Error in sketch', width/2, height/2);
-          }
-        };
+    callbacksRef.current.onRun();
+    setStatus(INITIAL_STATUS);
 
-        // Handle window resize
-        p.windowResized = function() {
-          const container = canvasRef.current;
-          if (container) {
-            const containerWidth = container.clientWidth;
-            const containerHeight = container.clientHeight;
-            const aspectRatio = width / height;
-            
-            // Maintain aspect ratio within the container
-            let canvasWidth, canvasHeight;
-            
-            if (containerWidth / aspectRatio <= containerHeight) {
-              canvasWidth = containerWidth;
-              canvasHeight = containerWidth / aspectRatio;
-            } else {
-              canvasHeight = containerHeight;
-              canvasWidth = containerHeight * aspectRatio;
-            }
-            
-            p.resizeCanvas(canvasWidth, canvasHeight);
-          }
-        };
-      };
+    if (!code) {
+      sandbox.destroy();
+      return;
+    }
 
-      // Create the P5 instance in instance mode
-      p5InstanceRef.current = new p5(sketch, canvasRef.current);
+    sandbox.width = width;
+    sandbox.height = height;
+    sandbox.run(code, {
+      p5Version,
+      libraries: librariesKey ? librariesKey.split(',') : []
+    }).catch((error) => {
+      // A newer run replaced this one before it started
+      if (error.cancelled) return;
+      callbacksRef.current.onConsoleEntry({ level: 'error', message: error.message });
+    });
+  }, [code, width, height, p5Version, librariesKey]);
 
-    } catch (error) {
-      console.error('Error creating P5 instance:', error);
+  const handlePlayPause = () => {
+    if (status.isLooping) {
+      sandboxRef.current.pause();
+    } else {
+      sandboxRef.current.play();
     }
+  };
 
-    // Clean up on unmount
-    return () => {
-      if (p5InstanceRef.current) {
-        p5InstanceRef.current.remove();
-        p5InstanceRef.current = null;
-      }
-    };
-  }, [code, width, height]);
+  // Start again from setup() with a fresh sandbox
+  const handleRestart = () => {
+    callbacksRef.current.onRun();
+    setStatus(INITIAL_STATUS);
+    sandboxRef.current.restart().catch((error) => {
+      if (error.cancelled) return;
+      callbacksRef.current.onConsoleEntry({ level: 'error', message: error.message });
+    });
+  };
+
+  const handleStep = () => {
+    sandboxRef.current.step();
+  };
+
+  const handleFrameRateChange = (e) => {
+    setFrameRateOverride(e.target.value);
+    sandboxRef.current.setFrameRate(e.target.value ? Number(e.target.value) : null);
+  };
 
   // State to track theater mode (expanded width)
   const [isTheaterMode, setIsTheaterMode] = React.useState(false);
@@ -223,11 +172,9 @@ const P5Canvas = ({ code, width = 800, height = 600, isProcessing = false }) =>
             controlPanel.style.marginRight = '';
           }
           
-          // Reset the actual P5 canvas
-          const p5Canvas = container.querySelector('canvas');
-          if (p5Canvas && p5InstanceRef.current) {
-            // Resize using P5 instance's resizeCanvas method with component props
-            p5InstanceRef.current.resizeCanvas(width, height);
+          // Restore the sketch's own canvas size
+          if (sandboxRef.current) {
+            sandboxRef.current.resize(width, height);
           }
         } else {
           // Enter theater mode - maximize canvas width to full browser width
@@ -255,22 +202,12 @@ const P5Canvas = ({ code, width = 800, height = 600, isProcessing = false }) =>
           container.style.position = 'relative';
           container.style.width = '100%';
           
-          // Resize the actual P5 canvas element
-          const p5Canvas = container.querySelector('canvas');
-          if (p5Canvas && p5InstanceRef.current) {
-            // Get window width
-            const windowWidth = window.innerWidth;
-            
+          // Resize the sketch canvas to the full window width
+          if (sandboxRef.current) {
             // Calculate height maintaining aspect ratio
+            const windowWidth = window.innerWidth;
             const aspectRatio = height / width;
-            const newHeight = windowWidth * aspectRatio;
-            
-            // Resize using P5 instance's resizeCanvas method
-            p5InstanceRef.current.resizeCanvas(windowWidth, newHeight);
-            
-            // Force styles on the canvas element
-            p5Canvas.style.width = '100%';
-            p5Canvas.style.maxWidth = 'none';
+            sandboxRef.current.resize(windowWidth, Math.round(windowWidth * aspectRatio));
           }
         }
       }
@@ -282,7 +219,7 @@ const P5Canvas = ({ code, width = 800, height = 600, isProcessing = false }) =>
       {isProcessing && (
         <div className="processing-overlay">
           <div className="spinner"></div>
-          <div className="processing-message">Processing your prompt...</div>
+          <div className="processing-message">{processingMessage}</div>
         </div>
       )}
       
@@ -310,14 +247,56 @@ const P5Canvas = ({ code, width = 800, height = 600, isProcessing = false }) =>
         {isTheaterMode ? "Exit Theater Mode" : "Theater Mode"}
       </button>
 
-      {/* Standard canvas controls - hidden for now but preserved for future use */}
-      <div className="canvas-controls" style={{ display: 'none' }}>
-        <button aria-label="Play/Pause">
-          <span role="img" aria-hidden="true">▶️</span>
+      {/* Playback controls */}
+      <div className="canvas-controls">
+        <button
+          aria-label={status.isLooping ? 'Pause' : 'Play'}
+          title={status.isLooping ? 'Pause' : 'Play'}
+          onClick={handlePlayPause}
+          disabled={!status.isRunning || isCapturing}
+        >
+          <span role="img" aria-hidden="true">{status.isLooping ? '⏸️' : '▶️'}</span>
+        </button>
+        <button
+          aria-label="Step one frame"
+          title="Step one frame"
+          onClick={handleStep}
+          disabled={!status.isRunning || status.isLooping || isCapturing}
+        >
+          <span role="img" aria-hidden="true">⏭️</span>
         </button>
-        <button aria-label="Restart">
+        <button
+          aria-label="Restart"
+          title="Restart"
+          onClick={handleRestart}
+          disabled={!code || isCapturing}
+        >
           <span role="img" aria-hidden="true">🔄</span>
         </button>
+
+        <span className="fps-readout" aria-live="off" title={`Frame ${status.frameCount}`}>
+          {status.isRunning && status.isLooping ? `${status.frameRate} fps` : 'paused'}
+        </span>
+
+        <select
+          className="fps-select"
+          aria-label="Frame rate"
+          value={frameRateOverride}
+          onChange={handleFrameRateChange}
+          disabled={isCapturing}
+        >
+          <option value="">Sketch fps</option>
+          {FRAME_RATE_OPTIONS.map(fps => (
+            <option key={fps} value={fps}>{fps} fps</option>
+          ))}
+        </select>
+
+        <CaptureMenu
+          sandboxRef={sandboxRef}
+          disabled={!status.isRunning}
+          onBusyChange={setIsCapturing}
+        />
+
         <button
           aria-label="Theater Mode"
           onClick={handleTheaterMode}
@@ -1,12 +1,13 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import './PromptInput.css';
 
-const PromptInput = ({ sketchId, onPromptSubmit, isProcessing, onActivityUpdate }) => {
+const PromptInput = ({ sketchId, onPromptSubmit, isProcessing, onActivityUpdate, draft }) => {
   const [prompt, setPrompt] = useState('');
   const [nickname, setNickname] = useState('');
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [typing, setTyping] = useState(false);
+  const textareaRef = useRef(null);
 
   const characterLimit = 500;
   const characterCount = prompt.length;
@@ -21,6 +22,17 @@ const PromptInput = ({ sketchId, onPromptSubmit, isProcessing, onActivityUpdate
     }
   }, []);
 
+  // Prefill the prompt when asked to (e.g. "Ask AI to fix" in the console).
+  // A new draft object is passed each time, so the same text can be reapplied.
+  useEffect(() => {
+    if (!draft) return;
+    setPrompt(draft.text);
+    setError(null);
+    if (textareaRef.current) {
+      textareaRef.current.focus();
+    }
+  }, [draft]);
+
   // Handle typing activity for real-time collaboration
   useEffect(() => {
     let typingTimer;
@@ -93,6 +105,7 @@ const PromptInput = ({ sketchId, onPromptSubmit, isProcessing, onActivityUpdate
 
         <textarea
           id="prompt-text"
+          ref={textareaRef}
           value={prompt}
           onChange={handlePromptChange}
           placeholder="Describe what you'd like to add or change in the sketch..."
@@ -0,0 +1,92 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './SketchConsole.css';
+
+const SketchConsole = ({ entries, onClear, onAskToFix, canAskToFix = true }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const listRef = useRef(null);
+
+  const errorCount = entries.filter(entry => entry.level === 'error').length;
+
+  // Open the console when the sketch starts failing
+  useEffect(() => {
+    if (errorCount > 0) {
+      setIsOpen(true);
+    }
+  }, [errorCount]);
+
+  // Keep the newest output in view
+  useEffect(() => {
+    if (isOpen && listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [entries, isOpen]);
+
+  return (
+    <div className={`sketch-console ${isOpen ? 'open' : ''}`}>
+      <div className="console-header">
+        <button
+          className="console-toggle"
+          onClick={() => setIsOpen(!isOpen)}
+          aria-expanded={isOpen}
+          aria-controls="sketch-console-entries"
+        >
+          <span className="console-caret" aria-hidden="true">{isOpen ? '▾' : '▸'}</span>
+          Console
+          {errorCount > 0 && (
+            <span className="console-error-count" title={`${errorCount} error${errorCount === 1 ? '' : 's'}`}>
+              {errorCount}
+            </span>
+          )}
+        </button>
+
+        {isOpen && (
+          <button
+            className="console-clear"
+            onClick={onClear}
+            disabled={entries.length === 0}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <ul id="sketch-console-entries" className="console-entries" ref={listRef} role="log">
+          {entries.length === 0 && (
+            <li className="console-empty">No output yet. Errors and print() output appear here.</li>
+          )}
+
+          {entries.map(entry => (
+            <li key={entry.id} className={`console-entry console-${entry.level}`}>
+              {entry.count > 1 && (
+                <span className="console-repeat" title={`Repeated ${entry.count} times`}>
+                  {entry.count}
+                </span>
+              )}
+
+              <span className="console-message">{entry.message}</span>
+
+              {entry.line && (
+                <span className="console-location">
+                  line {entry.line}{entry.column ? `:${entry.column}` : ''}
+                </span>
+              )}
+
+              {entry.level === 'error' && onAskToFix && (
+                <button
+                  className="console-fix"
+                  onClick={() => onAskToFix(entry)}
+                  disabled={!canAskToFix}
+                >
+                  Ask AI to fix
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SketchConsole;
\ No newline at end of file
@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import './SketchLineage.css';
+
+/**
+ * Where a sketch was forked from and the forks made of it
+ * @param {Object} props
+ * @param {string} props.sketchId - Sketch to show the lineage of
+ */
+const SketchLineage = ({ sketchId }) => {
+  const [lineage, setLineage] = useState(null);
+  const [showForks, setShowForks] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLineage(null);
+    setShowForks(false);
+
+    const fetchLineage = async () => {
+      try {
+        const response = await axios.get(
+          `${process.env.REACT_APP_API_URL}/api/v1/sketches/${sketchId}/lineage`
+        );
+        if (!cancelled) setLineage(response.data);
+      } catch (err) {
+        // Lineage is supplementary; the sketch page works without it
+        console.error('Failed to load sketch lineage:', err);
+      }
+    };
+
+    fetchLineage();
+    return () => {
+      cancelled = true;
+    };
+  }, [sketchId]);
+
+  if (!lineage || (lineage.ancestors.length === 0 && lineage.forks.length === 0)) {
+    return null;
+  }
+
+  // Oldest ancestor first, reading towards this sketch
+  const chain = [...lineage.ancestors].reverse();
+
+  return (
+    <div className="sketch-lineage">
+      {chain.length > 0 && (
+        <div className="lineage-chain">
+          <span className="lineage-label">Forked from</span>
+          {chain.map((ancestor, index) => (
+            <span key={ancestor.id} className="lineage-ancestor">
+              {index > 0 && <span className="lineage-separator" aria-hidden="true">›</span>}
+              {ancestor.isAvailable ? (
+                <Link to={`/sketch/${ancestor.id}`}>{ancestor.title}</Link>
+              ) : (
+                <span className="lineage-unavailable" title="This sketch has been archived">
+                  {ancestor.title || 'Deleted sketch'}
+                </span>
+              )}
+              <span className="lineage-version">v{ancestor.versionSequence}</span>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {lineage.forks.length > 0 && (
+        <div className="lineage-forks">
+          <button
+            className="lineage-forks-toggle"
+            aria-expanded={showForks}
+            onClick={() => setShowForks(!showForks)}
+          >
+            {lineage.forkCount} {lineage.forkCount === 1 ? 'fork' : 'forks'}
+          </button>
+          {showForks && (
+            <ul className="lineage-fork-list">
+              {lineage.forks.map(fork => (
+                <li key={fork.id}>
+                  <Link to={`/sketch/${fork.id}`}>{fork.title}</Link>
+                  <span className="lineage-version">
+                    from v{fork.versionSequence} · {new Date(fork.created).toLocaleDateString()}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SketchLineage;
\ No newline at end of file
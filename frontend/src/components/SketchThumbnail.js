@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+
+const PLACEHOLDER = '/placeholder-sketch.png';
+
+/**
+ * Rendered thumbnail of a sketch. Shows the still image and switches to the
+ * animated preview while hovered or focused.
+ * @param {Object} props
+ * @param {Object} props.sketch - Sketch from the API (needs id, title, thumbnail)
+ * @param {boolean} [props.active] - Show the preview (e.g. the card is hovered)
+ */
+const SketchThumbnail = ({ sketch, active = false }) => {
+  const [failed, setFailed] = useState(false);
+  const generatedAt = sketch.thumbnail?.generatedAt;
+
+  if (!generatedAt || failed) {
+    return <img src={PLACEHOLDER} alt={sketch.title} />;
+  }
+
+  // The render time busts browser caches whenever a new thumbnail is stored
+  const baseUrl = `${process.env.REACT_APP_API_URL}/api/v1/sketches/${sketch.id}`;
+  const version = encodeURIComponent(generatedAt);
+  const src = active
+    ? `${baseUrl}/preview?v=${version}`
+    : `${baseUrl}/thumbnail?v=${version}`;
+
+  return (
+    <img
+      src={src}
+      alt={sketch.title}
+      width={sketch.thumbnail.width}
+      height={sketch.thumbnail.height}
+      onError={() => setFailed(true)}
+    />
+  );
+};
+
+export default SketchThumbnail;
\ No newline at end of file
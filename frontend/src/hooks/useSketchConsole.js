@@ -0,0 +1,62 @@
+import { useState, useCallback, useRef } from 'react';
+
+const MAX_ENTRIES = 200;
+
+/**
+ * Key identifying repeats of the same message from the same place
+ * @param {Object} entry - Console entry
+ * @returns {string} Key
+ */
+const getEntryKey = (entry) => [entry.level, entry.line, entry.column, entry.message].join('|');
+
+/**
+ * Custom hook collecting a running sketch's errors and console output
+ *
+ * A repeated error (e.g. one thrown on every frame) is shown once with a
+ * count wherever it first appeared; other output is only collapsed when the
+ * same message is logged several times in a row, as browser consoles do.
+ *
+ * @returns {Object} `{ entries, addEntry, clear }`
+ */
+const useSketchConsole = () => {
+  const [entries, setEntries] = useState([]);
+  const nextIdRef = useRef(1);
+
+  /**
+   * Add an entry
+   * @param {Object} entry - `{ level, message, line, column, stack }` where
+   *   level is 'error', 'warn', 'info', 'log' or 'debug'
+   */
+  const addEntry = useCallback((entry) => {
+    setEntries((prev) => {
+      const key = getEntryKey(entry);
+      const index = entry.level === 'error'
+        ? prev.findIndex(existing => existing.key === key)
+        : (prev.length > 0 && prev[prev.length - 1].key === key ? prev.length - 1 : -1);
+
+      if (index !== -1) {
+        const updated = [...prev];
+        updated[index] = { ...prev[index], count: prev[index].count + 1, timestamp: new Date() };
+        return updated;
+      }
+
+      const added = {
+        ...entry,
+        id: nextIdRef.current++,
+        key,
+        count: 1,
+        timestamp: new Date()
+      };
+      // Keep the newest entries
+      return [...prev, added].slice(-MAX_ENTRIES);
+    });
+  }, []);
+
+  const clear = useCallback(() => {
+    setEntries([]);
+  }, []);
+
+  return { entries, addEntry, clear };
+};
+
+export default useSketchConsole;
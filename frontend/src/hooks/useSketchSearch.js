@@ -0,0 +1,99 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+
+const API_URL = `${process.env.REACT_APP_API_URL}/api/v1/sketches`;
+const PAGE_SIZE = 24;
+
+/**
+ * Custom hook listing gallery sketches page by page
+ *
+ * The first page is fetched whenever the query changes; later pages are
+ * appended by loadMore() using the cursor from the previous page. Responses
+ * for an outdated query are ignored.
+ *
+ * @param {Object} query - `{ search, tags, contributor, activity, sort }`;
+ *   tags is an array, empty values are left out of the request
+ * @returns {Object} `{ sketches, loading, error, hasMore, loadMore, retry }`
+ */
+const useSketchSearch = (query) => {
+  const [sketches, setSketches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const requestIdRef = useRef(0);
+  const loadingRef = useRef(false);
+
+  const { search, contributor, activity, sort } = query;
+  const tags = query.tags.join(',');
+
+  const fetchPage = useCallback(async (cursor) => {
+    const requestId = ++requestIdRef.current;
+    loadingRef.current = true;
+    setLoading(true);
+    setError(null);
+
+    const params = { limit: PAGE_SIZE, sort };
+    if (search) params.search = search;
+    if (tags) params.tags = tags;
+    if (contributor) params.contributor = contributor;
+    if (activity !== 'all') params.activity = activity;
+    if (cursor) params.cursor = cursor;
+
+    try {
+      const response = await axios.get(API_URL, { params });
+      if (requestId !== requestIdRef.current) return;
+
+      const page = response.data.sketches || [];
+      setSketches(prev => (cursor ? [...prev, ...page] : page));
+      setNextCursor(response.data.pagination?.nextCursor || null);
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Error fetching sketches:', err);
+      setError('Failed to load sketches. Please try again later.');
+    } finally {
+      if (requestId === requestIdRef.current) {
+        loadingRef.current = false;
+        setLoading(false);
+      }
+    }
+  }, [search, tags, contributor, activity, sort]);
+
+  // Start over from the first page whenever the query changes
+  useEffect(() => {
+    setSketches([]);
+    setNextCursor(null);
+    fetchPage(null);
+  }, [fetchPage, attempt]);
+
+  /**
+   * Append the next page, if there is one and nothing is loading
+   */
+  const loadMore = useCallback(() => {
+    if (nextCursor && !loadingRef.current) {
+      fetchPage(nextCursor);
+    }
+  }, [fetchPage, nextCursor]);
+
+  /**
+   * Repeat the request that failed: the next page, or the first one
+   */
+  const retry = useCallback(() => {
+    if (nextCursor) {
+      fetchPage(nextCursor);
+    } else {
+      setAttempt(count => count + 1);
+    }
+  }, [fetchPage, nextCursor]);
+
+  return {
+    sketches,
+    loading,
+    error,
+    hasMore: Boolean(nextCursor),
+    loadMore,
+    retry
+  };
+};
+
+export default useSketchSearch;
\ No newline at end of file
@@ -1,17 +1,30 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { io } from 'socket.io-client';
+import { ensureSession, clearSession } from '../utils/session';
+import { createRoomCursor, recordRoomEvent, syncRoomCursor } from '../utils/roomCursor';
 
 /**
  * Custom hook to handle WebSocket connections and events
  * @param {string} sketchId - The ID of the sketch to connect to
+ * @param {Object} [options]
+ * @param {Function} [options.onEvent] - Called with `(type, data)` for every
+ *   message; unlike `events`, no message is lost when several arrive at once.
+ *   `room:resync_required` is sent when missed events could not be replayed.
  * @returns {Object} WebSocket state and methods
  */
-const useWebSocket = (sketchId) => {
+const useWebSocket = (sketchId, { onEvent } = {}) => {
   const [connected, setConnected] = useState(false);
   const [events, setEvents] = useState(null);
   const socketRef = useRef(null);
   const reconnectAttemptsRef = useRef(0);
   const maxReconnectAttempts = 10;
+  // Handlers registered once per socket read these, so they never go stale
+  const sketchIdRef = useRef(sketchId);
+  const onEventRef = useRef(onEvent);
+  sketchIdRef.current = sketchId;
+  onEventRef.current = onEvent;
+  // Room events seen, sent on resubscribe to replay missed events
+  const roomCursorRef = useRef(createRoomCursor(null));
   
   // Initialize WebSocket connection
   useEffect(() => {
@@ -26,17 +39,17 @@ const useWebSocket = (sketchId) => {
         reconnectionDelayMax: 5000,
         timeout: 20000,
         withCredentials: true,
-        query: {
-          sessionId: localStorage.getItem('sessionId') || 'anonymous-' + Date.now()
+        // Called on every (re)connection, so an expiring token is refreshed first
+        auth: (callback) => {
+          ensureSession()
+            .then(session => callback({ token: session.token }))
+            .catch((err) => {
+              console.error('Failed to start session, connecting as guest:', err);
+              callback({});
+            });
         }
       });
 
-      // Store the session ID if not already set
-      if (!localStorage.getItem('sessionId')) {
-        const sessionId = 'anonymous-' + Date.now();
-        localStorage.setItem('sessionId', sessionId);
-      }
-
       // Connection event handlers
       socketRef.current.on('connect', () => {
         console.log('WebSocket connected');
@@ -44,7 +57,7 @@ const useWebSocket = (sketchId) => {
         reconnectAttemptsRef.current = 0;
         
         // Subscribe to the sketch room
-        subscribeToSketch(sketchId);
+        subscribeToSketch(sketchIdRef.current);
       });
 
       socketRef.current.on('disconnect', (reason) => {
@@ -56,12 +69,22 @@ const useWebSocket = (sketchId) => {
         console.error('WebSocket error:', error);
       });
 
+      socketRef.current.on('connect_error', (error) => {
+        console.error('WebSocket connection error:', error.message);
+        
+        // The server rejected our token; start a new session and try again
+        if (error.message === 'unauthorized') {
+          clearSession();
+          setTimeout(() => socketRef.current?.connect(), 1000);
+        }
+      });
+
       socketRef.current.on('reconnect', (attemptNumber) => {
         console.log(`WebSocket reconnected after ${attemptNumber} attempts`);
         setConnected(true);
         
         // Re-subscribe to the sketch room
-        subscribeToSketch(sketchId);
+        subscribeToSketch(sketchIdRef.current);
       });
 
       socketRef.current.on('reconnect_attempt', (attemptNumber) => {
@@ -85,14 +108,37 @@ const useWebSocket = (sketchId) => {
 
     messageTypes.forEach(type => {
       socketRef.current.on(type, (data) => {
+        // Room events are stamped with a sequence; a replayed event may also arrive live
+        if (data && typeof data.roomSequence === 'number') {
+          if (!recordRoomEvent(roomCursorRef.current, data.roomEpoch, data.roomSequence)) return;
+        }
         setEvents({ type, data, timestamp: Date.now() });
+        if (onEventRef.current) {
+          onEventRef.current(type, data);
+        }
       });
     });
 
+    // Sent once missed events have been replayed after subscribing
+    socketRef.current.on('room:sync', ({ room, epoch, latestSequence, resyncRequired }) => {
+      const cursor = roomCursorRef.current;
+      if (room !== cursor.room) return;
+
+      syncRoomCursor(cursor, { epoch, latestSequence, resyncRequired });
+      if (resyncRequired && onEventRef.current) {
+        onEventRef.current('room:resync_required', { room, latestSequence });
+      }
+    });
+
     // Subscribe to the sketch room
     const subscribeToSketch = (id) => {
       if (socketRef.current && socketRef.current.connected && id) {
-        socketRef.current.emit('subscribe', { room: `sketch:${id}` });
+        const room = `sketch:${id}`;
+        if (roomCursorRef.current.room !== room) {
+          roomCursorRef.current = createRoomCursor(room);
+        }
+        const { epoch, sequence } = roomCursorRef.current;
+        socketRef.current.emit('subscribe', { room, epoch, lastSequence: sequence });
         console.log(`Subscribed to sketch room: sketch:${id}`);
         
         // Send presence update
@@ -128,6 +174,7 @@ const useWebSocket = (sketchId) => {
       messageTypes.forEach(type => {
         socketRef.current?.off(type);
       });
+      socketRef.current?.off('room:sync');
       
       clearInterval(heartbeatInterval);
       
@@ -3,6 +3,10 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { installSessionInterceptor } from './utils/session';
+
+// Attach the session token to API requests
+installSessionInterceptor();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
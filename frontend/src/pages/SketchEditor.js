@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 
@@ -7,7 +7,37 @@ import P5Canvas from '../components/P5Canvas';
 import PromptInput from '../components/PromptInput';
 import HistoryViewer from '../components/HistoryViewer';
 import ActiveUsers from '../components/ActiveUsers';
+import SketchConsole from '../components/SketchConsole';
+import SketchLineage from '../components/SketchLineage';
 import useWebSocket from '../hooks/useWebSocket';
+import useSketchConsole from '../hooks/useSketchConsole';
+
+const API_URL = process.env.REACT_APP_API_URL;
+
+// Matches PromptInput's character limit
+const PROMPT_CHARACTER_LIMIT = 500;
+
+// Prompt statuses after which the AI worker is done with a prompt
+const TERMINAL_PROMPT_STATUSES = ['completed', 'rejected', 'failed'];
+
+const NEW_SKETCH_TITLE = 'Untitled Sketch';
+
+/**
+ * Build a prompt asking the AI to fix a runtime error
+ * @param {Object} entry - Error entry from the sketch console
+ * @param {string} code - Sketch source the error came from
+ * @returns {string} Prompt text
+ */
+const buildFixPrompt = (entry, code) => {
+  const sourceLine = entry.line ? (code || '').split('\n')[entry.line - 1] : null;
+  let text = `Fix this error in the sketch: ${entry.message}`;
+  if (entry.line) {
+    text += ` (line ${entry.line}${sourceLine && sourceLine.trim() ? `: ${sourceLine.trim()}` : ''})`;
+  }
+  return text.length > PROMPT_CHARACTER_LIMIT
+    ? `${text.slice(0, PROMPT_CHARACTER_LIMIT - 1)}…`
+    : text;
+};
 
 const SketchEditor = ({ isNew = false }) => {
   const { sketchId } = useParams();
@@ -16,149 +46,241 @@ const SketchEditor = ({ isNew = false }) => {
   const [sketch, setSketch] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [isProcessing, setIsProcessing] = useState(false);
+  // The current user's prompt until the AI worker finishes with it: `{ id, status }`
+  const [pendingPrompt, setPendingPrompt] = useState(null);
+  const [promptError, setPromptError] = useState(null);
+  // Who made the latest live update: `{ nickname, promptText }`
+  const [lastUpdate, setLastUpdate] = useState(null);
   const [activeTab, setActiveTab] = useState('prompt'); // 'prompt', 'history', 'users'
-  
-  // Simplified WebSocket connection for demo
-  const { connected = true, events = null, sendActivity = () => {} } = useWebSocket(sketchId);
+  const [promptDraft, setPromptDraft] = useState(null);
+  const [isForking, setIsForking] = useState(false);
+  const [forkError, setForkError] = useState(null);
+  const { entries: consoleEntries, addEntry: addConsoleEntry, clear: clearConsole } = useSketchConsole();
+
+  // Socket handlers are called outside render, so they read state from refs
+  const sketchRef = useRef(null);
+  const pendingPromptRef = useRef(null);
+  const creationRef = useRef(null);
+  const wasDisconnectedRef = useRef(false);
+  // Prompt status events that arrived before the prompt's ID was known
+  const earlyPromptEventsRef = useRef([]);
+  sketchRef.current = sketch;
+
+  const isProcessing = pendingPrompt !== null;
+
+  const updatePendingPrompt = useCallback((prompt) => {
+    pendingPromptRef.current = prompt;
+    setPendingPrompt(prompt);
+  }, []);
+
+  /**
+   * Show a newer version of the sketch; older or repeated versions are ignored
+   * @param {Object} update - `{ code, sequence, timestamp }`
+   * @returns {boolean} Whether the update was applied
+   */
+  const applySketchVersion = useCallback(({ code, sequence, timestamp }) => {
+    const current = sketchRef.current;
+    if (!current || sequence <= (current.currentVersion || 0)) {
+      return false;
+    }
+
+    setSketch(prev => ({
+      ...prev,
+      currentCode: code,
+      currentVersion: sequence,
+      lastModified: { ...prev.lastModified, timestamp },
+      // Leave a version opened from history selected
+      viewingVersion: prev.isViewingHistory ? prev.viewingVersion : sequence
+    }));
+    return true;
+  }, []);
+
+  /**
+   * Track the status of the current user's prompt
+   * @param {string} promptId - Prompt the status belongs to
+   * @param {Object} status - `{ code, message }`
+   */
+  const applyPromptStatus = useCallback((promptId, status) => {
+    const pending = pendingPromptRef.current;
+    if (!pending || !status) return;
+
+    // The worker can pick the prompt up before its submission returns
+    if (pending.id === null) {
+      earlyPromptEventsRef.current.push({ promptId, status });
+      return;
+    }
+    if (pending.id !== promptId) return;
+
+    if (!TERMINAL_PROMPT_STATUSES.includes(status.code)) {
+      updatePendingPrompt({ ...pending, status });
+      return;
+    }
+
+    updatePendingPrompt(null);
+    if (status.code !== 'completed') {
+      setPromptError(status.message || `Your prompt was ${status.code}`);
+    }
+  }, [updatePendingPrompt]);
+
+  // Catch up from the API when missed events can't be replayed
+  const resyncSketch = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/v1/sketches/${sketchId}`);
+      const latest = response.data;
+      applySketchVersion({
+        code: latest.currentCode,
+        sequence: latest.currentVersion,
+        timestamp: latest.lastModified?.timestamp
+      });
+
+      const pending = pendingPromptRef.current;
+      if (pending && pending.id) {
+        const promptResponse = await axios.get(`${API_URL}/api/v1/prompts/${pending.id}`);
+        applyPromptStatus(pending.id, promptResponse.data.data.status);
+      }
+    } catch (err) {
+      console.error('Error resyncing sketch:', err);
+    }
+  }, [sketchId, applySketchVersion, applyPromptStatus]);
+
+  const handleSocketEvent = useCallback((type, data) => {
+    if (type === 'room:resync_required') {
+      if (sketchRef.current) resyncSketch();
+      return;
+    }
+    if (!data || !sketchRef.current || data.sketchId !== sketchRef.current.id) return;
+
+    if (type === 'sketch:updated') {
+      if (applySketchVersion(data)) {
+        setLastUpdate({
+          nickname: data.contributor?.nickname || 'Anonymous',
+          promptText: data.promptText
+        });
+      }
+      // The new version may be the result of our prompt
+      if (data.promptId) {
+        applyPromptStatus(data.promptId, { code: 'completed' });
+      }
+    } else if (type === 'prompt:status_update') {
+      applyPromptStatus(data.promptId, data.status);
+    }
+  }, [resyncSketch, applySketchVersion, applyPromptStatus]);
+
+  const { connected, sendActivity } = useWebSocket(sketchId, { onEvent: handleSocketEvent });
+
+  // Replay on resubscribe covers most drops, but not a websocket service
+  // that lost its event log, so refetch after every reconnect as well
+  useEffect(() => {
+    if (!connected) {
+      // Only a drop after the sketch has loaded can miss updates
+      if (sketchRef.current) wasDisconnectedRef.current = true;
+      return;
+    }
+    if (wasDisconnectedRef.current) {
+      wasDisconnectedRef.current = false;
+      resyncSketch();
+    }
+  }, [connected, resyncSketch]);
 
-  // Create a default sketch
+  // Load the sketch, or create one and move to its URL
   useEffect(() => {
-    const getSketch = async () => {
+    let cancelled = false;
+
+    const loadSketch = async () => {
       try {
         setLoading(true);
-        
-        // For demo, create a simple sketch without API call
-        const demoSketch = {
-          id: isNew ? 'new-sketch-' + Date.now() : (sketchId || 'demo-sketch'),
-          title: 'Sketch ' + (isNew ? 'New' : sketchId),
-          currentCode: `function setup() {
-  createCanvas(800, 600);
-  frameRate(60);
-}
-
-function draw() {
-  background(220);
-  fill(255, 0, 0);
-  ellipse(mouseX, mouseY, 20, 20);
-}`,
-          created: { timestamp: new Date() },
-          lastModified: { timestamp: new Date() },
-          settings: {
-            canvasWidth: 800,
-            canvasHeight: 600,
-            frameRate: 60
-          },
-          isViewingHistory: false,
-          viewingVersion: 1
-        };
-        
-        setSketch(demoSketch);
-        
-        if (isNew && !sketchId) {
-          // Redirect to a new sketch URL
-          navigate(`/sketch/${demoSketch.id}`, { replace: true });
+
+        if (isNew) {
+          // StrictMode runs this effect twice; both runs share one request
+          if (!creationRef.current) {
+            creationRef.current = axios.post(`${API_URL}/api/v1/sketches`, { title: NEW_SKETCH_TITLE });
+          }
+          const response = await creationRef.current;
+          if (!cancelled) {
+            navigate(`/sketch/${response.data.id}`, { replace: true });
+          }
+          return;
         }
-        
+
+        const response = await axios.get(`${API_URL}/api/v1/sketches/${sketchId}`);
+        if (cancelled) return;
+
+        setSketch({
+          ...response.data,
+          isViewingHistory: false,
+          viewingVersion: response.data.currentVersion
+        });
+        updatePendingPrompt(null);
+        setPromptError(null);
+        setLastUpdate(null);
         setError(null);
+        setLoading(false);
       } catch (err) {
-        console.error('Error creating sketch:', err);
-        setError('Failed to create sketch');
-      } finally {
+        if (cancelled) return;
+        console.error('Error loading sketch:', err);
+        if (isNew) {
+          creationRef.current = null;
+          setError('Failed to create sketch');
+        } else {
+          setError(err.response?.status === 404 ? 'Sketch not found' : 'Failed to load sketch');
+        }
         setLoading(false);
       }
     };
 
-    getSketch();
-  }, [isNew, sketchId, navigate]);
+    loadSketch();
+    return () => {
+      cancelled = true;
+    };
+  }, [isNew, sketchId, navigate, updatePendingPrompt]);
 
-  // Handle prompt submission and API integration
+  // Submit a prompt; the result arrives over the WebSocket
   const handlePromptSubmit = async (promptData) => {
+    setPromptError(null);
+    earlyPromptEventsRef.current = [];
+    updatePendingPrompt({ id: null, status: { code: 'submitted', message: 'Submitting your prompt...' } });
+
     try {
-      setIsProcessing(true);
-      
-      // For demo/development, we can use a local API or mock it
-      const isDemoMode = process.env.REACT_APP_DEMO_MODE === 'true';
-      
-      if (isDemoMode) {
-        console.log('Running in demo mode - using simulated AI response');
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Demo update - add a rectangle to the canvas
-        const updatedCode = sketch.currentCode + `
-// Added from prompt: ${promptData.text}
-function mousePressed() {
-  fill(0, 255, 0);
-  rect(mouseX, mouseY, 50, 50);
-}`;
-        
-        setSketch({
-          ...sketch,
-          currentCode: updatedCode,
-          lastModified: { timestamp: new Date() }
-        });
-        
-        setIsProcessing(false);
-        return { success: true };
-      } else {
-        // In production, send to backend API
-        console.log('Submitting prompt to the backend API for AI processing');
-        
-        const response = await axios.post('/api/prompts', {
-          text: promptData.text,
-          sketchId: sketch.id,
-          nickname: promptData.nickname || 'Anonymous'
+      const response = await axios.post(`${API_URL}/api/v1/prompts`, {
+        text: promptData.text,
+        sketchId: sketch.id,
+        nickname: promptData.nickname || undefined
+      });
+      const prompt = response.data.data;
+      const earlyEvents = earlyPromptEventsRef.current;
+      earlyPromptEventsRef.current = [];
+
+      // Skip if another sketch was loaded while the request was in flight
+      if (pendingPromptRef.current && pendingPromptRef.current.id === null) {
+        updatePendingPrompt({
+          id: prompt.id,
+          status: {
+            code: 'queued',
+            message: prompt.queuePosition > 1
+              ? `Queued (position ${prompt.queuePosition})`
+              : 'Queued'
+          }
         });
-        
-        if (response.data.success) {
-          // In a real app, we would listen for WebSocket updates
-          // for the completed code. For now, we'll simulate it
-          console.log('Prompt submitted successfully, waiting for processing');
-          
-          // For testing, simulate a WebSocket message after a delay
-          // In production, this would come from the actual WebSocket
-          setTimeout(() => {
-            const aiGeneratedUpdate = `
-// AI-generated code from OpenAI GPT-3.5-Turbo for prompt: ${promptData.text}
-// This is a simulation of what would come back from the AI worker
-
-function mousePressed() {
-  // Generated by AI based on the prompt
-  let colors = [
-    color(255, 0, 0),
-    color(0, 255, 0),
-    color(0, 0, 255)
-  ];
-  
-  fill(random(colors));
-  ellipse(mouseX, mouseY, 50, 50);
-}`;
-
-            setSketch({
-              ...sketch,
-              currentCode: sketch.currentCode + aiGeneratedUpdate,
-              lastModified: { timestamp: new Date() }
-            });
-            
-            setIsProcessing(false);
-          }, 3000);
-          
-          return { success: true };
-        } else {
-          throw new Error(response.data.message || 'Unknown error');
-        }
+        earlyEvents.forEach(event => applyPromptStatus(event.promptId, event.status));
       }
+
+      return { success: true };
     } catch (err) {
-      console.error('Error with prompt:', err);
-      setIsProcessing(false);
+      console.error('Error submitting prompt:', err);
+      updatePendingPrompt(null);
       return {
         success: false,
-        error: err.message || 'Failed to process prompt'
+        error: err.response?.data?.error?.message || 'Failed to submit prompt'
       };
     }
   };
 
+  // Prefill the prompt with a request to fix a runtime error
+  const handleAskToFix = (entry) => {
+    setActiveTab('prompt');
+    setPromptDraft({ text: buildFixPrompt(entry, sketch.currentCode) });
+  };
+
   // Simplified history viewer
   const handleViewVersion = (version) => {
     setSketch(prev => ({
@@ -168,8 +290,52 @@ function mousePressed() {
     }));
   };
 
-  const handleRevertToVersion = async () => {
-    return { success: true };
+  const handleRevertToVersion = async (sequence) => {
+    try {
+      const response = await axios.post(
+        `${process.env.REACT_APP_API_URL}/api/v1/sketches/${sketch.id}/versions/${sequence}/revert`,
+        { nickname: localStorage.getItem('user_nickname') || undefined }
+      );
+      const version = response.data;
+
+      setSketch(prev => ({
+        ...prev,
+        currentCode: version.code,
+        currentVersion: version.sequence,
+        lastModified: { timestamp: version.timestamp },
+        isViewingHistory: false,
+        viewingVersion: version.sequence
+      }));
+
+      return { success: true };
+    } catch (err) {
+      console.error('Error reverting sketch:', err);
+      return {
+        success: false,
+        error: err.response?.data?.error?.message || 'Failed to revert to selected version'
+      };
+    }
+  };
+
+  // Fork the sketch at a version and open the new sketch
+  const handleForkVersion = async (sequence) => {
+    setIsForking(true);
+    setForkError(null);
+    try {
+      const response = await axios.post(
+        `${process.env.REACT_APP_API_URL}/api/v1/sketches/${sketch.id}/versions/${sequence}/fork`,
+        { nickname: localStorage.getItem('user_nickname') || undefined }
+      );
+      navigate(`/sketch/${response.data.id}`);
+      return { success: true };
+    } catch (err) {
+      console.error('Error forking sketch:', err);
+      const message = err.response?.data?.error?.message || 'Failed to fork this sketch';
+      setForkError(message);
+      return { success: false, error: message };
+    } finally {
+      setIsForking(false);
+    }
   };
 
   if (loading) {
@@ -201,11 +367,32 @@ function mousePressed() {
     <div className="container">
       <div className="sketch-editor-page">
         <div className="sketch-header">
-          <h1>{sketch.title || 'Untitled Sketch'}</h1>
+          <div className="sketch-title-row">
+            <h1>{sketch.title || 'Untitled Sketch'}</h1>
+            <button
+              className="fork-button"
+              onClick={() => handleForkVersion(
+                sketch.isViewingHistory ? sketch.viewingVersion : (sketch.currentVersion || sketch.viewingVersion)
+              )}
+              disabled={isForking}
+              title="Start a new sketch from this version"
+            >
+              {isForking ? 'Forking...' : 'Fork'}
+            </button>
+          </div>
+          {forkError && (
+            <div className="fork-error" role="alert">{forkError}</div>
+          )}
+          <SketchLineage sketchId={sketch.id} />
           <div className="sketch-meta">
             <span className="last-updated">
               Last updated: {new Date(sketch.lastModified?.timestamp).toLocaleString()}
             </span>
+            {lastUpdate && (
+              <span className="live-update" role="status">
+                Updated by {lastUpdate.nickname}: {lastUpdate.promptText}
+              </span>
+            )}
             <div className="connection-status">
               {connected ? (
                 <span className="status-connected">Connected</span>
@@ -223,7 +410,19 @@ function mousePressed() {
               code={sketch.currentCode}
               width={sketch.settings?.canvasWidth || 800}
               height={sketch.settings?.canvasHeight || 600}
+              p5Version={sketch.settings?.p5Version}
+              libraries={sketch.settings?.libraries}
               isProcessing={isProcessing}
+              processingMessage={pendingPrompt?.status.message}
+              onConsoleEntry={addConsoleEntry}
+              onRun={clearConsole}
+            />
+
+            <SketchConsole
+              entries={consoleEntries}
+              onClear={clearConsole}
+              onAskToFix={handleAskToFix}
+              canAskToFix={!isProcessing}
             />
           </div>
 
@@ -250,12 +449,17 @@ function mousePressed() {
             </div>
 
             <div className="tab-content">
+              {activeTab === 'prompt' && promptError && (
+                <div className="prompt-status-error" role="alert">{promptError}</div>
+              )}
+
               {activeTab === 'prompt' && (
                 <PromptInput 
                   sketchId={sketch.id}
                   onPromptSubmit={handlePromptSubmit}
                   isProcessing={isProcessing}
                   onActivityUpdate={sendActivity}
+                  draft={promptDraft}
                 />
               )}
 
@@ -265,6 +469,7 @@ function mousePressed() {
                   currentVersion={sketch.viewingVersion}
                   onViewVersion={handleViewVersion}
                   onRevertToVersion={handleRevertToVersion}
+                  onForkVersion={handleForkVersion}
                 />
               )}
 
@@ -1,31 +1,78 @@
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
-import axios from 'axios';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import SketchThumbnail from '../components/SketchThumbnail';
+import GalleryFilters, { SORT_OPTIONS, ACTIVITY_OPTIONS, MAX_SEARCH_LENGTH } from '../components/GalleryFilters';
+import useSketchSearch from '../hooks/useSketchSearch';
+
+const DEFAULT_SORT = 'recent';
+
+/**
+ * Read the gallery query from the URL, e.g. ?q=waves&tags=art,3d&sort=prompts
+ * @param {URLSearchParams} searchParams - Current URL query
+ * @returns {Object} `{ search, tags, contributor, activity, sort }`
+ */
+const parseQuery = (searchParams) => {
+  const sort = searchParams.get('sort');
+  const activity = searchParams.get('activity');
+  return {
+    search: (searchParams.get('q') || '').slice(0, MAX_SEARCH_LENGTH),
+    tags: (searchParams.get('tags') || '').split(',').map(tag => tag.trim()).filter(Boolean),
+    contributor: searchParams.get('by') || '',
+    activity: ACTIVITY_OPTIONS.some(option => option.value === activity) ? activity : 'all',
+    sort: SORT_OPTIONS.some(option => option.value === sort) ? sort : DEFAULT_SORT
+  };
+};
+
+/**
+ * Write a gallery query to URL parameters, leaving out defaults
+ * @param {Object} query - `{ search, tags, contributor, activity, sort }`
+ * @returns {Object} URL parameters
+ */
+const serializeQuery = ({ search, tags, contributor, activity, sort }) => {
+  const params = {};
+  if (search) params.q = search;
+  if (tags.length > 0) params.tags = tags.join(',');
+  if (contributor) params.by = contributor;
+  if (activity !== 'all') params.activity = activity;
+  if (sort !== DEFAULT_SORT) params.sort = sort;
+  return params;
+};
 
 const SketchGallery = () => {
-  const [sketches, setSketches] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
   const [viewMode, setViewMode] = useState('grid'); // 'grid' or 'list'
-  
+  const [previewId, setPreviewId] = useState(null); // Sketch whose animated preview is showing
+  const sentinelRef = useRef(null);
+
+  // The URL is the single source of truth for the query
+  const query = useMemo(() => parseQuery(searchParams), [searchParams]);
+  const { sketches, loading, error, hasMore, loadMore, retry } = useSketchSearch(query);
+
+  const updateQuery = useCallback((changes) => {
+    // Typing in the search box shouldn't add a history entry per keystroke
+    const replace = Object.keys(changes).length === 1 && 'search' in changes && Boolean(query.search);
+    setSearchParams(serializeQuery({ ...query, ...changes }), { replace });
+  }, [query, setSearchParams]);
+
+  const addTagFilter = (tag) => {
+    if (!query.tags.includes(tag)) {
+      updateQuery({ tags: [...query.tags, tag] });
+    }
+  };
+
+  // Infinite scroll: load the next page when the end of the list comes into view
   useEffect(() => {
-    const fetchSketches = async () => {
-      try {
-        setLoading(true);
-        // The API URL would come from environment variables in a real app
-        const response = await axios.get(`${process.env.REACT_APP_API_URL}/api/v1/sketches`);
-        setSketches(response.data.sketches || []);
-        setError(null);
-      } catch (err) {
-        console.error('Error fetching sketches:', err);
-        setError('Failed to load sketches. Please try again later.');
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchSketches();
-  }, []);
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || error) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore();
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, error, loadMore]);
+
+  const hasFilters = Boolean(query.search || query.tags.length || query.contributor || query.activity !== 'all');
 
   return (
     <div className="container">
@@ -55,14 +102,21 @@ const SketchGallery = () => {
           </div>
         </div>
 
-        {loading ? (
+        <GalleryFilters query={query} onChange={updateQuery} />
+
+        {sketches.length === 0 && loading ? (
           <div className="loading text-center">
             <div className="spinner"></div>
             <p>Loading sketches...</p>
           </div>
-        ) : error ? (
+        ) : sketches.length === 0 && error ? (
           <div className="error-message">
-            {error}
+            {error} <button onClick={retry}>Try again</button>
+          </div>
+        ) : sketches.length === 0 && hasFilters ? (
+          <div className="no-sketches text-center">
+            <h3>No sketches match these filters</h3>
+            <p>Try different search terms or remove some filters.</p>
           </div>
         ) : sketches.length === 0 ? (
           <div className="no-sketches text-center">
@@ -73,51 +127,76 @@ const SketchGallery = () => {
             </Link>
           </div>
         ) : (
-          <div className={`sketches-${viewMode}`}>
-            {sketches.map((sketch) => (
-              <div key={sketch.id} className={`sketch-card ${viewMode}`}>
-                <Link to={`/sketch/${sketch.id}`} className="sketch-link">
-                  <div className="sketch-thumbnail">
-                    <img 
-                      src={sketch.thumbnail || '/placeholder-sketch.png'} 
-                      alt={sketch.title}
-                    />
-                    {sketch.statistics && sketch.statistics.contributorCount > 0 && (
-                      <div className="active-indicator">
-                        <span role="img" aria-label="Active Users">👥</span> {sketch.statistics.contributorCount}
-                      </div>
-                    )}
-                  </div>
+          <>
+            <div className={`sketches-${viewMode}`}>
+              {sketches.map((sketch) => (
+                <div
+                  key={sketch.id}
+                  className={`sketch-card ${viewMode}`}
+                  onMouseEnter={() => setPreviewId(sketch.id)}
+                  onMouseLeave={() => setPreviewId(null)}
+                  onFocus={() => setPreviewId(sketch.id)}
+                  onBlur={() => setPreviewId(null)}
+                >
+                  <Link to={`/sketch/${sketch.id}`} className="sketch-link">
+                    <div className="sketch-thumbnail">
+                      <SketchThumbnail sketch={sketch} active={previewId === sketch.id} />
+                      {sketch.statistics && sketch.statistics.contributorCount > 0 && (
+                        <div className="active-indicator">
+                          <span role="img" aria-label="Active Users">👥</span> {sketch.statistics.contributorCount}
+                        </div>
+                      )}
+                    </div>
                   
-                  <div className="sketch-info">
-                    <h3 className="sketch-title">{sketch.title || 'Untitled Sketch'}</h3>
-                    {viewMode === 'grid' && sketch.description && (
-                      <p className="sketch-description">
-                        {sketch.description.length > 100
-                          ? `${sketch.description.substring(0, 97)}...`
-                          : sketch.description}
-                      </p>
-                    )}
+                    <div className="sketch-info">
+                      <h3 className="sketch-title">{sketch.title || 'Untitled Sketch'}</h3>
+                      {viewMode === 'grid' && sketch.description && (
+                        <p className="sketch-description">
+                          {sketch.description.length > 100
+                            ? `${sketch.description.substring(0, 97)}...`
+                            : sketch.description}
+                        </p>
+                      )}
                     
-                    <div className="sketch-meta">
-                      <div className="sketch-prompts">
-                        <span role="img" aria-label="Prompts">💬</span> {sketch.statistics?.promptCount || 0} prompts
-                      </div>
-                      <div className="sketch-last-modified">
-                        <span role="img" aria-label="Last Modified">🕒</span> {new Date(sketch.lastModified?.timestamp || sketch.created?.timestamp).toLocaleDateString()}
+                      <div className="sketch-meta">
+                        <div className="sketch-prompts">
+                          <span role="img" aria-label="Prompts">💬</span> {sketch.statistics?.promptCount || 0} prompts
+                        </div>
+                        <div className="sketch-last-modified">
+                          <span role="img" aria-label="Last Modified">🕒</span> {new Date(sketch.lastModified?.timestamp || sketch.created?.timestamp).toLocaleDateString()}
+                        </div>
                       </div>
                     </div>
-                    
-                    <div className="sketch-tags">
-                      {sketch.tags && sketch.tags.map(tag => (
-                        <span key={tag} className="tag">{tag}</span>
-                      ))}
-                    </div>
+                  </Link>
+
+                  {/* Outside the link, so a tag filters the gallery instead of opening the sketch */}
+                  <div className="sketch-tags">
+                    {sketch.tags && sketch.tags.map(tag => (
+                      <button
+                        key={tag}
+                        className="tag"
+                        title={`Show sketches tagged ${tag}`}
+                        onClick={() => addTagFilter(tag)}
+                      >
+                        {tag}
+                      </button>
+                    ))}
                   </div>
-                </Link>
+                </div>
+              ))}
+            </div>
+
+            {error ? (
+              <div className="error-message">
+                {error} <button onClick={retry}>Try again</button>
               </div>
-            ))}
-          </div>
+            ) : loading ? (
+              <div className="loading text-center">
+                <div className="spinner"></div>
+              </div>
+            ) : null}
+            <div ref={sentinelRef} aria-hidden="true" />
+          </>
         )}
       </div>
     </div>
@@ -0,0 +1,383 @@
+import { generateSandboxDocument } from './sandboxDocument';
+import { getSandboxLibraries } from './libraries';
+
+/**
+ * Random hex string for per-sandbox nonces
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Hex string
+ */
+const createNonce = (bytes = 16) => {
+  const values = new Uint8Array(bytes);
+  window.crypto.getRandomValues(values);
+  return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Runs p5.js sketches in an isolated iframe
+ *
+ * Each run gets a fresh iframe (sandboxed without `allow-same-origin`) so
+ * globals from the previous code never leak into the next. The iframe
+ * announces itself with one window message, checked against the iframe's
+ * window, its opaque origin and a per-run nonce; all further traffic goes
+ * over the MessageChannel port it hands over, never through `'*'`.
+ *
+ * A sketch that stops sending heartbeats (e.g. stuck in an endless loop) or
+ * exceeds the memory limit is torn down and reported through the callbacks.
+ */
+class SandboxManager {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {HTMLElement} options.container - Element the iframe is added to
+   * @param {number} [options.width] - Sketch width; the iframe keeps this aspect ratio
+   * @param {number} [options.height] - Sketch height
+   * @param {number} [options.loadTimeout] - Milliseconds to wait for the iframe to start
+   * @param {number} [options.heartbeatInterval] - Milliseconds between sandbox heartbeats
+   * @param {number} [options.unresponsiveTimeout] - Milliseconds without a heartbeat before the sketch is stopped
+   * @param {number} [options.memoryLimit] - Heap limit in megabytes (where the browser reports it)
+   * @param {Function} [options.onError] - Called with errors thrown by the sketch
+   * @param {Function} [options.onConsole] - Called with console and print() output
+   * @param {Function} [options.onUnresponsive] - Called when the sketch stops responding
+   * @param {Function} [options.onMemoryLimit] - Called when the memory limit is exceeded
+   * @param {Function} [options.onStatus] - Called with `{ frameCount, frameRate, isLooping }`
+   *   on every heartbeat and after playback commands
+   * @param {Function} [options.onMessage] - Called with any other message from the sandbox
+   */
+  constructor(options = {}) {
+    this.container = options.container;
+    this.width = options.width || 800;
+    this.height = options.height || 600;
+    this.loadTimeoutMs = options.loadTimeout || 10000;
+    this.heartbeatIntervalMs = options.heartbeatInterval || 1000;
+    this.unresponsiveTimeoutMs = options.unresponsiveTimeout || 5000;
+    this.memoryLimitMB = options.memoryLimit || 256;
+
+    this.callbacks = {
+      onError: options.onError || (() => {}),
+      onConsole: options.onConsole || (() => {}),
+      onUnresponsive: options.onUnresponsive || (() => {}),
+      onMemoryLimit: options.onMemoryLimit || (() => {}),
+      onStatus: options.onStatus || (() => {}),
+      onMessage: options.onMessage || (() => {})
+    };
+
+    this.frame = null;
+    this.port = null;
+    this.nonce = null;
+    this.watchdog = null;
+    this.lastHeartbeat = 0;
+    this.handshake = null;
+    this.lastRun = null;
+    this.frameRateOverride = null;
+    this.pendingRequests = new Map();
+    this.nextRequestId = 1;
+
+    this.handleWindowMessage = this.handleWindowMessage.bind(this);
+    this.handlePortMessage = this.handlePortMessage.bind(this);
+  }
+
+  /**
+   * Run sketch code in a fresh sandbox, replacing any running sketch
+   * @param {string} code - Complete p5.js sketch source
+   * @param {Object} [settings] - Sketch settings choosing the p5 version and add-ons
+   * @returns {Promise} Resolves once the sketch has been started
+   */
+  async run(code, settings = {}) {
+    this.lastRun = { code, settings };
+    await this.createFrame(settings);
+    this.post('execute', { code });
+    if (this.frameRateOverride) {
+      this.post('setFrameRate', { fps: this.frameRateOverride });
+    }
+    this.startWatchdog();
+  }
+
+  /**
+   * Run the last sketch again from setup() in a fresh sandbox
+   * @returns {Promise} Resolves once the sketch has been started
+   */
+  restart() {
+    if (!this.lastRun) return Promise.resolve();
+    return this.run(this.lastRun.code, this.lastRun.settings);
+  }
+
+  /**
+   * Stop the draw loop
+   */
+  pause() {
+    this.post('pause');
+  }
+
+  /**
+   * Resume the draw loop
+   */
+  play() {
+    this.post('play');
+  }
+
+  /**
+   * Draw a single frame while paused
+   */
+  step() {
+    this.post('step');
+  }
+
+  /**
+   * Override the sketch's frame rate; kept across restarts
+   * @param {number|null} fps - Frames per second, or null for the sketch's own rate
+   */
+  setFrameRate(fps) {
+    this.frameRateOverride = fps || null;
+    this.post('setFrameRate', { fps: this.frameRateOverride });
+  }
+
+  /**
+   * Send a command to the running sketch
+   * @param {string} type - Command type understood by the sandbox runtime
+   * @param {Object} [payload] - Command data
+   */
+  post(type, payload = {}) {
+    if (!this.port) return;
+    this.port.postMessage({ ...payload, type });
+  }
+
+  /**
+   * Send a command and wait for the sandbox's response
+   * @param {string} type - Command type understood by the sandbox runtime
+   * @param {Object} [payload] - Command data
+   * @returns {Promise<Object>} The command's result
+   */
+  request(type, payload = {}) {
+    if (!this.port) {
+      return Promise.reject(new Error('No sketch is running'));
+    }
+
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(requestId, { resolve, reject });
+      this.port.postMessage({ ...payload, type, requestId });
+    });
+  }
+
+  /**
+   * Capture the current frame as a PNG
+   * @param {number} [scale] - Pixel density of the image (1, 2, 4...)
+   * @returns {Promise<Blob>} PNG image
+   */
+  async capturePng(scale = 1) {
+    const { blob } = await this.request('capturePng', { scale });
+    return blob;
+  }
+
+  /**
+   * Pause the sketch and start stepping it frame by frame for a recording.
+   * Sketch time (millis(), deltaTime) advances exactly one frame per step.
+   * @param {number} fps - Frame rate of the recording
+   * @returns {Promise<Object>} `{ width, height }` of the recorded frames
+   */
+  startRecording(fps) {
+    return this.request('recordStart', { fps });
+  }
+
+  /**
+   * Draw the next recorded frame
+   * @returns {Promise<ImageBitmap>} The frame
+   */
+  async recordFrame() {
+    const { bitmap } = await this.request('recordFrame');
+    return bitmap;
+  }
+
+  /**
+   * End a recording and resume the sketch as it was
+   * @returns {Promise}
+   */
+  stopRecording() {
+    return this.request('recordStop');
+  }
+
+  /**
+   * Resize the sketch canvas; the iframe follows its aspect ratio
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    if (this.frame) {
+      this.frame.style.aspectRatio = `${width} / ${height}`;
+    }
+    this.post('resize', { width, height });
+  }
+
+  /**
+   * Create the iframe and wait for its handshake
+   * @param {Object} settings - Sketch settings (`p5Version`, `libraries`)
+   * @returns {Promise} Resolves when the message port is connected
+   */
+  createFrame(settings) {
+    this.destroy();
+
+    const nonce = createNonce();
+    this.nonce = nonce;
+    const frame = document.createElement('iframe');
+    frame.className = 'p5-sandbox-frame';
+    frame.title = 'Sketch';
+    // Scripts only: no same-origin access, forms, popups, navigation or modals
+    frame.setAttribute('sandbox', 'allow-scripts');
+    frame.setAttribute('referrerpolicy', 'no-referrer');
+    // Fill the container's width; the canvas scales to fit inside
+    frame.style.aspectRatio = `${this.width} / ${this.height}`;
+    frame.srcdoc = generateSandboxDocument({
+      nonce,
+      parentOrigin: window.location.origin,
+      heartbeatIntervalMs: this.heartbeatIntervalMs,
+      memoryLimitMB: this.memoryLimitMB,
+      ...getSandboxLibraries(settings)
+    });
+    this.frame = frame;
+
+    const ready = new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.handshake = null;
+        reject(new Error('Sandbox failed to load'));
+      }, this.loadTimeoutMs);
+      this.handshake = { resolve, reject, timeout };
+    });
+
+    window.addEventListener('message', this.handleWindowMessage);
+    this.container.appendChild(frame);
+
+    return ready.then((port) => {
+      this.port = port;
+      this.port.onmessage = this.handlePortMessage;
+    });
+  }
+
+  /**
+   * Accept the sandbox handshake. Only the first `ready` message from our own
+   * iframe, with its opaque origin and the current nonce, is trusted.
+   * @param {MessageEvent} event - Window message event
+   */
+  handleWindowMessage(event) {
+    if (
+      !this.frame ||
+      !this.handshake ||
+      event.source !== this.frame.contentWindow ||
+      event.origin !== 'null' ||
+      !event.data ||
+      event.data.type !== 'ready' ||
+      event.data.nonce !== this.nonce ||
+      event.ports.length !== 1
+    ) {
+      return;
+    }
+
+    window.removeEventListener('message', this.handleWindowMessage);
+    clearTimeout(this.handshake.timeout);
+    this.handshake.resolve(event.ports[0]);
+    this.handshake = null;
+  }
+
+  /**
+   * Handle messages from the connected sandbox
+   * @param {MessageEvent} event - Port message event
+   */
+  handlePortMessage(event) {
+    const message = event.data;
+    if (!message || typeof message.type !== 'string') return;
+
+    switch (message.type) {
+      case 'heartbeat':
+        this.lastHeartbeat = Date.now();
+        this.callbacks.onStatus(message);
+        break;
+
+      case 'response': {
+        const pending = this.pendingRequests.get(message.requestId);
+        if (!pending) break;
+        this.pendingRequests.delete(message.requestId);
+        if (message.error) {
+          pending.reject(new Error(message.error));
+        } else {
+          pending.resolve(message.result || {});
+        }
+        break;
+      }
+
+      case 'started':
+      case 'status':
+        this.callbacks.onStatus(message);
+        break;
+
+      case 'error':
+        this.callbacks.onError(message);
+        break;
+
+      case 'console':
+        this.callbacks.onConsole(message);
+        break;
+
+      case 'memoryLimit':
+        this.callbacks.onMemoryLimit(message);
+        this.destroy();
+        break;
+
+      default:
+        this.callbacks.onMessage(message);
+    }
+  }
+
+  /**
+   * Stop sketches that stop sending heartbeats
+   */
+  startWatchdog() {
+    this.lastHeartbeat = Date.now();
+    this.watchdog = setInterval(() => {
+      const silentFor = Date.now() - this.lastHeartbeat;
+      if (silentFor > this.unresponsiveTimeoutMs) {
+        this.destroy();
+        this.callbacks.onUnresponsive({ timeoutMs: this.unresponsiveTimeoutMs });
+      }
+    }, this.heartbeatIntervalMs);
+  }
+
+  /**
+   * Remove the iframe and stop the running sketch
+   */
+  destroy() {
+    clearInterval(this.watchdog);
+    this.watchdog = null;
+    window.removeEventListener('message', this.handleWindowMessage);
+
+    // A run still waiting for its iframe is cancelled
+    if (this.handshake) {
+      clearTimeout(this.handshake.timeout);
+      const error = new Error('Sandbox was destroyed before it started');
+      error.cancelled = true;
+      this.handshake.reject(error);
+      this.handshake = null;
+    }
+
+    // Requests to this sandbox will never be answered
+    this.pendingRequests.forEach(({ reject }) => {
+      const error = new Error('The sketch was stopped');
+      error.cancelled = true;
+      reject(error);
+    });
+    this.pendingRequests.clear();
+
+    if (this.port) {
+      this.port.onmessage = null;
+      this.port.close();
+      this.port = null;
+    }
+
+    if (this.frame && this.frame.parentNode) {
+      this.frame.parentNode.removeChild(this.frame);
+    }
+    this.frame = null;
+    this.nonce = null;
+  }
+}
+
+export default SandboxManager;
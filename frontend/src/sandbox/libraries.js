@@ -0,0 +1,35 @@
+/**
+ * p5.js builds for the sandbox, served by our own API rather than a CDN
+ */
+
+const LIBRARY_URL = `${process.env.REACT_APP_API_URL}/api/v1/libraries/p5`;
+
+// Sketches without a chosen version run on the server's default release
+export const DEFAULT_P5_VERSION = 'default';
+
+// Extra CSP script sources an add-on needs; p5.sound loads its audio
+// worklet from a blob URL
+const ADDON_SCRIPT_SOURCES = {
+  'p5.sound': ['blob:']
+};
+
+/**
+ * Scripts the sandbox loads before running a sketch
+ * @param {Object} [settings] - Sketch settings
+ * @param {string} [settings.p5Version] - p5 release to load
+ * @param {string[]} [settings.libraries] - Opt-in add-ons, e.g. 'p5.sound'
+ * @returns {Object} `{ scripts, scriptSources }`: script URLs in load order
+ *   and the extra CSP sources they need
+ */
+export const getSandboxLibraries = ({ p5Version, libraries = [] } = {}) => {
+  const version = encodeURIComponent(p5Version || DEFAULT_P5_VERSION);
+  const addons = Array.from(new Set(libraries));
+
+  return {
+    scripts: [
+      `${LIBRARY_URL}/${version}/p5`,
+      ...addons.map(name => `${LIBRARY_URL}/${version}/${encodeURIComponent(name)}`)
+    ],
+    scriptSources: Array.from(new Set(addons.flatMap(name => ADDON_SCRIPT_SOURCES[name] || [])))
+  };
+};
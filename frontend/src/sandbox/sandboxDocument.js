@@ -0,0 +1,454 @@
+/**
+ * HTML document that runs one sketch inside the sandbox iframe
+ *
+ * The iframe is sandboxed without `allow-same-origin`, so it has an opaque
+ * origin: sketch code cannot read the app's DOM, cookies or storage. The
+ * runtime script below talks to the app over a private MessageChannel that
+ * it hands to the parent in its first (and only) window message.
+ */
+
+/**
+ * Serialize a value for embedding inside an inline script
+ * @param {*} value - JSON-serializable value
+ * @returns {string} JSON safe to place in a <script> element
+ */
+const toScriptLiteral = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+/**
+ * Escape a value for a double-quoted HTML attribute
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+const escapeAttribute = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;');
+
+/**
+ * Script that runs in the iframe before the sketch. It disables network and
+ * storage APIs, reports errors and liveness to the parent, and executes the
+ * sketch when asked to. Everything lives in a closure so sketch code cannot
+ * reach the message port.
+ */
+const runtimeScript = ({ nonce, parentOrigin, heartbeatIntervalMs, memoryLimitMB }) => `
+(function () {
+  var NONCE = ${toScriptLiteral(nonce)};
+  var PARENT_ORIGIN = ${toScriptLiteral(parentOrigin)};
+  var HEARTBEAT_INTERVAL_MS = ${Number(heartbeatIntervalMs)};
+  var MEMORY_LIMIT_BYTES = ${Number(memoryLimitMB)} * 1024 * 1024;
+
+  var parentWindow = window.parent;
+  var channel = new MessageChannel();
+  var port = channel.port1;
+
+  // Defense in depth: the CSP already blocks network access and the opaque
+  // origin makes storage throw, but remove the APIs so sketches fail clearly
+  [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'RTCPeerConnection',
+    'localStorage', 'sessionStorage', 'indexedDB', 'caches', 'open',
+    'Notification', 'Worker', 'SharedWorker'
+  ].forEach(function (name) {
+    try {
+      Object.defineProperty(window, name, { value: undefined, configurable: false, writable: false });
+    } catch (e) {
+      // Some properties cannot be redefined; the CSP still applies to them
+    }
+  });
+  ['sendBeacon', 'geolocation', 'credentials', 'mediaDevices', 'serviceWorker'].forEach(function (name) {
+    try {
+      Object.defineProperty(navigator, name, { value: undefined, configurable: false, writable: false });
+    } catch (e) {
+      // Ignore properties the browser does not let us replace
+    }
+  });
+
+  function send(type, payload) {
+    port.postMessage(Object.assign({ type: type }, payload || {}));
+  }
+
+  // The sketch runs as a script named sketch.js, so its stack frames carry
+  // line numbers in the sketch source
+  var SKETCH_FRAME = /sketch\\.js:(\\d+):(\\d+)/;
+  var executing = false;
+
+  function locateInSketch(stack, event) {
+    var match = typeof stack === 'string' && stack.match(SKETCH_FRAME);
+    if (match) {
+      return { line: Number(match[1]), column: Number(match[2]) };
+    }
+    // Syntax errors have no stack; they are raised while the script is added
+    if (event && (executing || /sketch\\.js$/.test(event.filename || ''))) {
+      return { line: event.lineno || null, column: event.colno || null };
+    }
+    return { line: null, column: null };
+  }
+
+  function serializeError(error, event) {
+    var stack = (error && error.stack) || null;
+    return Object.assign({
+      name: (error && error.name) || 'Error',
+      message: (error && error.message) || String(error),
+      stack: stack
+    }, locateInSketch(stack, event));
+  }
+
+  window.addEventListener('error', function (event) {
+    send('error', serializeError(event.error || { message: event.message }, event));
+  });
+
+  window.addEventListener('unhandledrejection', function (event) {
+    send('error', serializeError(event.reason));
+  });
+
+  // Forward console output (including p5's print()) to the app's console
+  // panel, limited per heartbeat so a sketch that logs every frame cannot
+  // flood the port
+  var MAX_CONSOLE_MESSAGES = 100;
+  var MAX_MESSAGE_LENGTH = 1000;
+  var consoleBudget = MAX_CONSOLE_MESSAGES;
+
+  function formatValue(value) {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return value.name + ': ' + value.message;
+    try {
+      var json = JSON.stringify(value);
+      return json === undefined ? String(value) : json;
+    } catch (e) {
+      return String(value);
+    }
+  }
+
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(function (level) {
+    var original = console[level];
+    console[level] = function () {
+      var args = Array.prototype.slice.call(arguments);
+      if (consoleBudget > 0) {
+        consoleBudget--;
+        var message = args.map(formatValue).join(' ');
+        send('console', Object.assign({
+          level: level,
+          message: message.length > MAX_MESSAGE_LENGTH ? message.slice(0, MAX_MESSAGE_LENGTH) + '…' : message
+        }, locateInSketch(new Error().stack)));
+      } else if (consoleBudget === 0) {
+        consoleBudget--;
+        send('console', { level: 'warn', message: 'Too much console output; some messages were skipped' });
+      }
+      return original.apply(console, args);
+    };
+  });
+
+  // Sketch time comes from performance.now(); recordings replace it with a
+  // clock that advances exactly one frame per captured frame
+  var realNow = window.performance.now.bind(window.performance);
+  var virtualNow = null;
+  window.performance.now = function () {
+    return virtualNow === null ? realNow() : virtualNow;
+  };
+
+  // The running p5 instance; used instead of the global functions, which
+  // sketch code may have shadowed
+  function getInstance() {
+    return (window.p5 && window.p5.instance) || null;
+  }
+
+  // The frame rate the sketch asked for, restored when an override is removed
+  var sketchFrameRate = null;
+
+  function getStatus() {
+    var instance = getInstance();
+    if (!instance) {
+      return { frameCount: 0, frameRate: 0, isLooping: false };
+    }
+    return {
+      frameCount: instance.frameCount,
+      frameRate: Math.round(instance.frameRate() || 0),
+      isLooping: typeof instance.isLooping === 'function' ? instance.isLooping() : Boolean(instance._loop)
+    };
+  }
+
+  // Liveness: a sketch stuck in a loop stops these and the parent tears it down
+  setInterval(function () {
+    consoleBudget = MAX_CONSOLE_MESSAGES;
+    send('heartbeat', getStatus());
+
+    var memory = window.performance && window.performance.memory;
+    if (memory && memory.usedJSHeapSize > MEMORY_LIMIT_BYTES) {
+      if (getInstance()) getInstance().noLoop();
+      send('memoryLimit', { usedHeapSize: memory.usedJSHeapSize, limitBytes: MEMORY_LIMIT_BYTES });
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  function requireCanvas() {
+    var instance = getInstance();
+    if (!instance || !instance.canvas) {
+      throw new Error('The sketch has no canvas to capture');
+    }
+    return instance;
+  }
+
+  function setInstanceProperty(instance, name, value) {
+    // _setProperty also updates the global-mode copy of the variable
+    if (typeof instance._setProperty === 'function') {
+      instance._setProperty(name, value);
+    } else {
+      instance[name] = value;
+    }
+  }
+
+  function canvasToBlob(canvas) {
+    return new Promise(function (resolve, reject) {
+      canvas.toBlob(function (blob) {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('The canvas could not be encoded'));
+        }
+      }, 'image/png');
+    });
+  }
+
+  // Copy a canvas, scaled to another size if given
+  function copyCanvas(canvas, width, height) {
+    var copy = document.createElement('canvas');
+    copy.width = width || canvas.width;
+    copy.height = height || canvas.height;
+    var context = copy.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(canvas, 0, 0, copy.width, copy.height);
+    return copy;
+  }
+
+  function hasDrawFunction(instance) {
+    var draw = instance._isGlobal ? window.draw : instance.draw;
+    return typeof draw === 'function';
+  }
+
+  // State of the recording in progress, if any
+  var recording = null;
+
+  function execute(code) {
+    if (typeof window.p5 !== 'function') {
+      throw new Error('p5.js failed to load');
+    }
+
+    var script = document.createElement('script');
+    script.nonce = NONCE;
+    // Name the script so stack traces and error lines refer to the sketch
+    script.text = code + '\\n//# sourceURL=sketch.js';
+    executing = true;
+    try {
+      document.body.appendChild(script);
+    } finally {
+      executing = false;
+    }
+
+    // p5 only auto-starts global mode on page load, which has already happened
+    if (!window.p5.instance) {
+      new window.p5();
+    }
+    send('started', getStatus());
+  }
+
+  var commands = {
+    execute: function (message) {
+      execute(String(message.code || ''));
+    },
+    resize: function (message) {
+      var instance = getInstance();
+      if (instance) {
+        instance.resizeCanvas(message.width, message.height);
+      }
+    },
+    pause: function () {
+      var instance = getInstance();
+      if (instance) instance.noLoop();
+      send('status', getStatus());
+    },
+    play: function () {
+      var instance = getInstance();
+      if (instance) instance.loop();
+      send('status', getStatus());
+    },
+    // Draw one frame while paused
+    step: function () {
+      var instance = getInstance();
+      if (instance && !getStatus().isLooping) instance.redraw();
+      send('status', getStatus());
+    },
+    // A number overrides the sketch's frame rate; null restores it
+    setFrameRate: function (message) {
+      var instance = getInstance();
+      if (!instance) return;
+      if (sketchFrameRate === null) {
+        sketchFrameRate = typeof instance.getTargetFrameRate === 'function'
+          ? instance.getTargetFrameRate()
+          : instance._targetFrameRate || 60;
+      }
+      if (typeof message.fps === 'number' && message.fps > 0) {
+        instance.frameRate(message.fps);
+      } else {
+        instance.frameRate(sketchFrameRate);
+        sketchFrameRate = null;
+      }
+    },
+    // Current frame as a PNG. Other pixel densities draw the frame again at
+    // that density, as changing it clears the canvas; the frame on screen is
+    // put back afterwards instead of drawn a second time.
+    capturePng: function (message) {
+      var instance = requireCanvas();
+      var scale = Number(message.scale) || 1;
+      var density = instance.pixelDensity();
+      if (scale === density) {
+        return canvasToBlob(instance.canvas).then(function (blob) {
+          return { result: { blob: blob } };
+        });
+      }
+
+      // Sketches that only draw in setup() can't draw the frame again
+      if (!hasDrawFunction(instance)) {
+        var scaled = copyCanvas(instance.canvas, Math.round(instance.width * scale), Math.round(instance.height * scale));
+        return canvasToBlob(scaled).then(function (blob) {
+          return { result: { blob: blob } };
+        });
+      }
+
+      var wasLooping = getStatus().isLooping;
+      // WEBGL canvases have no 2D context to put the frame back with
+      var frame = typeof instance.drawingContext.drawImage === 'function' ? copyCanvas(instance.canvas) : null;
+      instance.noLoop();
+      instance.pixelDensity(scale);
+      instance.redraw();
+      return canvasToBlob(instance.canvas).then(function (blob) {
+        return { result: { blob: blob } };
+      }).finally(function () {
+        instance.pixelDensity(density);
+        if (frame) {
+          var context = instance.drawingContext;
+          context.save();
+          context.setTransform(1, 0, 0, 1, 0, 0);
+          context.drawImage(frame, 0, 0);
+          context.restore();
+        } else {
+          instance.redraw();
+        }
+        if (wasLooping) instance.loop();
+      });
+    },
+    // Pause the loop and switch to the frame-stepped clock
+    recordStart: function (message) {
+      var instance = requireCanvas();
+      if (recording) {
+        throw new Error('A recording is already in progress');
+      }
+      recording = {
+        frameDuration: 1000 / (Number(message.fps) || 30),
+        // Frames are recorded at the sketch's own size to keep files small
+        width: instance.width,
+        height: instance.height,
+        wasLooping: getStatus().isLooping
+      };
+      instance.noLoop();
+      virtualNow = realNow();
+      return { result: { width: recording.width, height: recording.height } };
+    },
+    // Advance the clock by one frame, draw it and hand it over
+    recordFrame: function () {
+      var instance = requireCanvas();
+      if (!recording) {
+        throw new Error('No recording in progress');
+      }
+      virtualNow += recording.frameDuration;
+      setInstanceProperty(instance, 'deltaTime', recording.frameDuration);
+      instance.redraw();
+      return createImageBitmap(instance.canvas, {
+        resizeWidth: recording.width,
+        resizeHeight: recording.height,
+        resizeQuality: 'high'
+      }).then(function (bitmap) {
+        return { result: { bitmap: bitmap }, transfer: [bitmap] };
+      });
+    },
+    recordStop: function () {
+      if (!recording) return;
+      var instance = getInstance();
+      virtualNow = null;
+      if (instance && recording.wasLooping) instance.loop();
+      recording = null;
+      send('status', getStatus());
+    }
+  };
+
+  port.onmessage = function (event) {
+    var message = event.data;
+    if (!message || typeof message.type !== 'string' || !commands.hasOwnProperty(message.type)) {
+      return;
+    }
+
+    // Commands sent with a requestId get a response, which may carry
+    // transferable data such as ImageBitmaps
+    var requestId = message.requestId;
+    new Promise(function (resolve) {
+      resolve(commands[message.type](message));
+    }).then(function (response) {
+      if (!requestId) return;
+      port.postMessage(
+        { type: 'response', requestId: requestId, result: response && response.result },
+        (response && response.transfer) || []
+      );
+    }, function (error) {
+      if (requestId) {
+        port.postMessage({ type: 'response', requestId: requestId, error: (error && error.message) || String(error) });
+      } else {
+        send('error', serializeError(error));
+      }
+    });
+  };
+
+  window.addEventListener('load', function () {
+    // The only window-level message: hand the parent our end of the channel
+    parentWindow.postMessage({ type: 'ready', nonce: NONCE }, PARENT_ORIGIN, [channel.port2]);
+  });
+})();
+`;
+
+/**
+ * Generate the sandbox iframe document
+ * @param {Object} options
+ * @param {string} options.nonce - Per-sandbox nonce for the CSP and handshake
+ * @param {string} options.parentOrigin - Origin of the app embedding the sandbox
+ * @param {number} options.heartbeatIntervalMs - How often the sandbox reports in
+ * @param {number} options.memoryLimitMB - Heap size that stops the sketch
+ * @param {string[]} options.scripts - p5 and add-on URLs, in load order
+ * @param {string[]} [options.scriptSources] - Extra CSP script sources the add-ons need
+ * @returns {string} HTML for the iframe's srcdoc
+ */
+export const generateSandboxDocument = (options) => {
+  const { nonce, scripts, scriptSources = [] } = options;
+  // Library scripts are allowed by nonce, so no origin (ours or a CDN's) is listed
+  const csp = [
+    "default-src 'none'",
+    [`script-src 'nonce-${nonce}'`, ...scriptSources].join(' '),
+    "style-src 'unsafe-inline'",
+    'img-src data: blob:',
+    'media-src data: blob:',
+    "font-src data:",
+    "form-action 'none'",
+    "base-uri 'none'"
+  ].join('; ');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta http-equiv="Content-Security-Policy" content="${csp}">
+    <style>
+      html, body { width: 100%; height: 100%; margin: 0; padding: 0; overflow: hidden; background: transparent; }
+      /* Scale the canvas to the iframe, which has the sketch's aspect ratio */
+      canvas { display: block; width: 100% !important; height: 100% !important; object-fit: contain; }
+    </style>
+    <script nonce="${nonce}">${runtimeScript(options)}</script>
+${scripts.map(src => `    <script nonce="${nonce}" src="${escapeAttribute(src)}"></script>`).join('\n')}
+  </head>
+  <body></body>
+</html>`;
+};
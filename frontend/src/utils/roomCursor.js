@@ -0,0 +1,80 @@
+/**
+ * Tracks which room events a client has seen
+ *
+ * Room events carry a `roomSequence` that is one higher for each event sent
+ * to the room. Events emitted by different websocket instances can arrive out
+ * of order, and a replayed event can also arrive live, so the cursor keeps the
+ * sequence up to which every event has been seen (sent when resubscribing, so
+ * the server replays anything after it) plus the sequences seen beyond it.
+ *
+ * Sequences restart at 1 in a new `roomEpoch` once an idle room's event log
+ * has expired, so the cursor is only comparable within its epoch.
+ */
+
+/**
+ * Create a cursor for a room
+ * @param {string} room - Room name
+ * @returns {Object} `{ room, epoch, sequence, seen }`; `epoch` and `sequence`
+ *   are undefined until the first `room:sync`, and `epoch` is null while the
+ *   room has had no events
+ */
+export const createRoomCursor = (room) => ({ room, epoch: undefined, sequence: undefined, seen: new Set() });
+
+// Move the cursor past every event seen without a gap
+const advance = (cursor) => {
+  while (cursor.seen.has(cursor.sequence + 1)) {
+    cursor.sequence += 1;
+    cursor.seen.delete(cursor.sequence);
+  }
+};
+
+/**
+ * Record a room event
+ * @param {Object} cursor - Room cursor
+ * @param {string} epoch - The event's `roomEpoch`
+ * @param {number} sequence - The event's `roomSequence`
+ * @returns {boolean} False if the event was already seen
+ */
+export const recordRoomEvent = (cursor, epoch, sequence) => {
+  if (epoch !== cursor.epoch) {
+    // The room's log expired while we watched and started over
+    if (cursor.epoch) {
+      cursor.seen.clear();
+      if (cursor.sequence !== undefined) cursor.sequence = 0;
+    }
+    cursor.epoch = epoch;
+  }
+
+  if (cursor.sequence !== undefined && sequence <= cursor.sequence) return false;
+  if (cursor.seen.has(sequence)) return false;
+
+  cursor.seen.add(sequence);
+  if (cursor.sequence !== undefined) advance(cursor);
+  return true;
+};
+
+/**
+ * Apply the server's `room:sync`, sent once missed events have been replayed
+ * @param {Object} cursor - Room cursor
+ * @param {Object} sync - `{ epoch, latestSequence, resyncRequired }`;
+ *   `latestSequence` is the newest logged event, or null if the log could
+ *   not be read
+ */
+export const syncRoomCursor = (cursor, { epoch, latestSequence, resyncRequired }) => {
+  if (latestSequence === null) return;
+
+  // On a first subscribe, or after a resync, the sketch state fetched from
+  // the API covers everything up to the newest logged event
+  if (cursor.sequence === undefined || resyncRequired) {
+    // Keep the epoch of an event that started the room since the server looked
+    cursor.epoch = epoch || (resyncRequired ? null : cursor.epoch || null);
+    cursor.sequence = latestSequence;
+    cursor.seen.forEach(sequence => {
+      if (sequence <= latestSequence) cursor.seen.delete(sequence);
+    });
+  } else if (epoch) {
+    // Replayed from the start of an epoch begun since the client saw the room empty
+    cursor.epoch = epoch;
+  }
+  advance(cursor);
+};
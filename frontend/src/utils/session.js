@@ -0,0 +1,109 @@
+import axios from 'axios';
+
+/**
+ * Anonymous session handling
+ *
+ * The backend issues a signed session token that identifies this browser to
+ * both the REST API and the websocket server. The session is kept in
+ * localStorage and refreshed before it expires.
+ */
+
+const STORAGE_KEY = 'session';
+const API_URL = `${process.env.REACT_APP_API_URL}/api/v1/sessions`;
+
+// Refresh sessions that expire within the next hour
+const REFRESH_MARGIN_MS = 60 * 60 * 1000;
+
+let pendingSession = null;
+
+export const getStoredSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (err) {
+    return null;
+  }
+};
+
+const isExpired = (session) => new Date(session.expiresAt).getTime() <= Date.now();
+
+const storeSession = (session) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  return session;
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
+
+const createSession = async () => {
+  clearSession();
+  const response = await axios.post(API_URL, {
+    nickname: localStorage.getItem('user_nickname') || undefined
+  });
+  return storeSession(response.data);
+};
+
+const refreshSession = async (session) => {
+  const response = await axios.post(`${API_URL}/${session.sessionId}/refresh`);
+  return storeSession(response.data);
+};
+
+/**
+ * Get a valid session, creating or refreshing it as needed
+ * @returns {Promise<Object>} Session including `sessionId` and `token`
+ */
+export const ensureSession = () => {
+  // Share one request between concurrent callers
+  if (pendingSession) return pendingSession;
+
+  pendingSession = (async () => {
+    const session = getStoredSession();
+    const expiresIn = session ? new Date(session.expiresAt).getTime() - Date.now() : 0;
+
+    if (session && expiresIn > REFRESH_MARGIN_MS) {
+      return session;
+    }
+
+    if (session && expiresIn > 0) {
+      try {
+        return await refreshSession(session);
+      } catch (err) {
+        console.error('Failed to refresh session, starting a new one:', err);
+      }
+    }
+
+    return createSession();
+  })().finally(() => {
+    pendingSession = null;
+  });
+
+  return pendingSession;
+};
+
+/**
+ * Send the session token with every API request, and forget sessions that
+ * have expired or that the server no longer accepts
+ */
+export const installSessionInterceptor = () => {
+  axios.interceptors.request.use((config) => {
+    let session = getStoredSession();
+    if (session && isExpired(session)) {
+      clearSession();
+      session = null;
+    }
+    if (session?.token && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${session.token}`;
+    }
+    return config;
+  });
+
+  axios.interceptors.response.use(
+    response => response,
+    (error) => {
+      if (error.response?.status === 401) {
+        clearSession();
+      }
+      return Promise.reject(error);
+    }
+  );
+};
@@ -0,0 +1,168 @@
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
+import { Muxer, ArrayBufferTarget } from 'webm-muxer';
+
+// Upper bound on recorded frames, to keep memory use in check
+export const MAX_RECORDING_FRAMES = 600;
+
+/**
+ * Save a blob as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser time to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Animated GIF encoder. GIF frame delays are stored in hundredths of a
+ * second, so high frame rates are rounded.
+ */
+const createGifEncoder = (width, height, fps) => {
+  const gif = GIFEncoder();
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  const delay = 1000 / fps;
+
+  return {
+    async addFrame(bitmap) {
+      context.clearRect(0, 0, width, height);
+      context.drawImage(bitmap, 0, 0);
+      const { data } = context.getImageData(0, 0, width, height);
+      const palette = quantize(data, 256);
+      gif.writeFrame(applyPalette(data, palette), width, height, { palette, delay });
+    },
+    async finish() {
+      gif.finish();
+      return new Blob([gif.bytes()], { type: 'image/gif' });
+    },
+    close() {}
+  };
+};
+
+/**
+ * VP9 WebM encoder using WebCodecs. Frames get timestamps from their index,
+ * not from the wall clock, so slow frames never shorten the video.
+ */
+const createWebmEncoder = (width, height, fps) => {
+  if (typeof window.VideoEncoder === 'undefined') {
+    throw new Error('WebM export needs a browser that supports WebCodecs');
+  }
+
+  // The encoder needs even dimensions; drop the last row/column if needed
+  const videoWidth = width - (width % 2);
+  const videoHeight = height - (height % 2);
+  const canvas = document.createElement('canvas');
+  canvas.width = videoWidth;
+  canvas.height = videoHeight;
+  const context = canvas.getContext('2d');
+
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: { codec: 'V_VP9', width: videoWidth, height: videoHeight, frameRate: fps }
+  });
+
+  let encoderError = null;
+  const encoder = new window.VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (error) => {
+      encoderError = error;
+    }
+  });
+  encoder.configure({
+    codec: 'vp09.00.10.08',
+    width: videoWidth,
+    height: videoHeight,
+    bitrate: 5000000,
+    framerate: fps
+  });
+
+  const frameDuration = 1000000 / fps; // microseconds
+
+  return {
+    async addFrame(bitmap, index) {
+      if (encoderError) throw encoderError;
+
+      context.drawImage(bitmap, 0, 0);
+      const frame = new window.VideoFrame(canvas, {
+        timestamp: Math.round(index * frameDuration),
+        duration: Math.round(frameDuration)
+      });
+      // A keyframe every two seconds keeps the video seekable
+      encoder.encode(frame, { keyFrame: index % (fps * 2) === 0 });
+      frame.close();
+
+      // Don't get ahead of the encoder
+      while (encoder.encodeQueueSize > 4) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    },
+    async finish() {
+      await encoder.flush();
+      if (encoderError) throw encoderError;
+      muxer.finalize();
+      return new Blob([muxer.target.buffer], { type: 'video/webm' });
+    },
+    close() {
+      if (encoder.state !== 'closed') {
+        encoder.close();
+      }
+    }
+  };
+};
+
+/**
+ * Record a sketch by stepping it one frame at a time. Every frame is drawn
+ * and encoded before the next is requested, so none are dropped however
+ * slowly the sketch or the encoder runs.
+ * @param {SandboxManager} sandbox - Sandbox running the sketch
+ * @param {Object} options
+ * @param {string} options.format - 'gif' or 'webm'
+ * @param {number} options.fps - Frames per second of the recording
+ * @param {number} options.frames - Number of frames to record
+ * @param {Function} [options.onProgress] - Called with (framesDone, totalFrames)
+ * @param {AbortSignal} [options.signal] - Cancels the recording
+ * @returns {Promise<Blob>} The encoded file
+ */
+export const recordSketch = async (sandbox, { format, fps, frames, onProgress = () => {}, signal }) => {
+  const totalFrames = Math.min(Math.max(1, Math.round(frames)), MAX_RECORDING_FRAMES);
+  const { width, height } = await sandbox.startRecording(fps);
+
+  let encoder;
+  try {
+    encoder = format === 'webm'
+      ? createWebmEncoder(width, height, fps)
+      : createGifEncoder(width, height, fps);
+
+    for (let index = 0; index < totalFrames; index++) {
+      if (signal && signal.aborted) {
+        const error = new Error('Recording cancelled');
+        error.cancelled = true;
+        throw error;
+      }
+
+      const bitmap = await sandbox.recordFrame();
+      try {
+        await encoder.addFrame(bitmap, index);
+      } finally {
+        bitmap.close();
+      }
+      onProgress(index + 1, totalFrames);
+    }
+
+    return await encoder.finish();
+  } finally {
+    if (encoder) encoder.close();
+    // The sandbox may already be gone (e.g. the code changed mid-recording)
+    sandbox.stopRecording().catch(() => {});
+  }
+};
@@ -0,0 +1,140 @@
+/**
+ * Minimal JavaScript / p5.js syntax highlighter
+ *
+ * Tokenizes one line at a time so diff views can highlight individual lines.
+ * Block comments spanning lines are tracked through the returned state.
+ */
+
+const KEYWORDS = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete',
+  'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if',
+  'import', 'in', 'instanceof', 'let', 'new', 'null', 'of', 'return', 'static',
+  'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'undefined', 'var',
+  'void', 'while', 'yield'
+]);
+
+// Commonly used p5.js functions, variables and constants
+const P5_NAMES = new Set([
+  'setup', 'draw', 'preload', 'createCanvas', 'resizeCanvas', 'background', 'clear',
+  'fill', 'noFill', 'stroke', 'noStroke', 'strokeWeight', 'color', 'colorMode',
+  'lerpColor', 'red', 'green', 'blue', 'alpha', 'hue', 'saturation', 'brightness',
+  'point', 'line', 'rect', 'square', 'ellipse', 'circle', 'arc', 'triangle', 'quad',
+  'beginShape', 'endShape', 'vertex', 'curveVertex', 'bezier', 'bezierVertex',
+  'push', 'pop', 'translate', 'rotate', 'scale', 'shearX', 'shearY', 'angleMode',
+  'rectMode', 'ellipseMode', 'text', 'textSize', 'textAlign', 'textFont', 'textWidth',
+  'image', 'loadImage', 'tint', 'noTint', 'frameRate', 'frameCount', 'deltaTime',
+  'loop', 'noLoop', 'redraw', 'random', 'randomSeed', 'noise', 'noiseSeed',
+  'noiseDetail', 'map', 'constrain', 'lerp', 'dist', 'mag', 'abs', 'floor', 'ceil',
+  'round', 'sqrt', 'pow', 'min', 'max', 'sin', 'cos', 'tan', 'atan2', 'radians',
+  'degrees', 'createVector', 'millis', 'second', 'minute', 'hour', 'print',
+  'width', 'height', 'windowWidth', 'windowHeight', 'mouseX', 'mouseY', 'pmouseX',
+  'pmouseY', 'mouseIsPressed', 'mouseButton', 'key', 'keyCode', 'keyIsPressed',
+  'touches', 'mousePressed', 'mouseReleased', 'mouseMoved', 'mouseDragged',
+  'mouseClicked', 'mouseWheel', 'keyPressed', 'keyReleased', 'keyTyped',
+  'touchStarted', 'touchMoved', 'touchEnded', 'windowResized',
+  'PI', 'TWO_PI', 'HALF_PI', 'QUARTER_PI', 'TAU', 'CENTER', 'CORNER', 'CORNERS',
+  'RADIUS', 'LEFT', 'RIGHT', 'TOP', 'BOTTOM', 'CLOSE', 'RGB', 'HSB', 'HSL',
+  'DEGREES', 'RADIANS', 'LEFT_ARROW', 'RIGHT_ARROW', 'UP_ARROW', 'DOWN_ARROW'
+]);
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*/;
+const NUMBER = /^(?:0[xX][\da-fA-F]+|\d*\.?\d+(?:[eE][+-]?\d+)?)/;
+
+/**
+ * Split a line of code into typed tokens
+ * @param {string} line - Source line
+ * @param {Object} [state] - State carried over from the previous line
+ * @returns {Object} `{ tokens: [{ type, value }], state }`
+ */
+export const tokenizeLine = (line, state = { inBlockComment: false }) => {
+  const tokens = [];
+  let inBlockComment = state.inBlockComment;
+  let rest = line;
+
+  const push = (type, value) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      tokens.push({ type, value });
+    }
+  };
+
+  while (rest.length > 0) {
+    if (inBlockComment) {
+      const end = rest.indexOf('*/');
+      if (end === -1) {
+        push('comment', rest);
+        rest = '';
+      } else {
+        push('comment', rest.slice(0, end + 2));
+        rest = rest.slice(end + 2);
+        inBlockComment = false;
+      }
+      continue;
+    }
+
+    if (rest.startsWith('//')) {
+      push('comment', rest);
+      break;
+    }
+
+    if (rest.startsWith('/*')) {
+      push('comment', '/*');
+      rest = rest.slice(2);
+      inBlockComment = true;
+      continue;
+    }
+
+    const quote = rest[0];
+    if (quote === '"' || quote === "'" || quote === '`') {
+      let end = 1;
+      while (end < rest.length && rest[end] !== quote) {
+        end += rest[end] === '\\' ? 2 : 1;
+      }
+      push('string', rest.slice(0, end + 1));
+      rest = rest.slice(end + 1);
+      continue;
+    }
+
+    const number = rest.match(NUMBER);
+    if (number) {
+      push('number', number[0]);
+      rest = rest.slice(number[0].length);
+      continue;
+    }
+
+    const identifier = rest.match(IDENTIFIER);
+    if (identifier) {
+      const word = identifier[0];
+      if (KEYWORDS.has(word)) {
+        push('keyword', word);
+      } else if (P5_NAMES.has(word)) {
+        push('p5', word);
+      } else {
+        push('plain', word);
+      }
+      rest = rest.slice(word.length);
+      continue;
+    }
+
+    push('plain', rest[0]);
+    rest = rest.slice(1);
+  }
+
+  return { tokens, state: { inBlockComment } };
+};
+
+/**
+ * Tokenize several lines, carrying comment state from line to line
+ * @param {string[]} lines - Source lines in order
+ * @returns {Array} Token arrays, one per line
+ */
+export const tokenizeLines = (lines) => {
+  let state = { inBlockComment: false };
+  return lines.map((line) => {
+    const result = tokenizeLine(line, state);
+    state = result.state;
+    return result.tokens;
+  });
+};
@@ -0,0 +1,702 @@
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+// Globals that give sketch code network, storage or code-evaluation access,
+// or reach the page outside the sandbox
+const FORBIDDEN_GLOBALS = new Set([
+  'fetch',
+  'XMLHttpRequest',
+  'WebSocket',
+  'EventSource',
+  'Image',
+  'Audio',
+  'eval',
+  'Function',
+  'importScripts',
+  'localStorage',
+  'sessionStorage',
+  'indexedDB',
+  'parent',
+  'top',
+  'opener',
+  'frameElement',
+  'location'
+]);
+
+// Names of the global object; any forbidden global is also forbidden on these
+const GLOBAL_OBJECTS = new Set(['window', 'globalThis', 'self', 'frames']);
+
+// Objects that may only be used for static property reads, so their
+// forbidden members can't be reached through an alias, destructuring or a
+// computed name
+const GUARDED_OBJECTS = new Set([...GLOBAL_OBJECTS, 'document', 'navigator']);
+
+// Properties that must not be read from particular globals
+const FORBIDDEN_MEMBERS = {
+  document: ['cookie', 'domain', 'location'],
+  navigator: ['sendBeacon', 'serviceWorker']
+};
+
+// Properties that must not be read from any object: the Function
+// constructor is reachable from every function, and the others lead back to
+// a window
+const FORBIDDEN_PROPERTIES = new Set(['constructor', '__proto__', 'defaultView', 'contentWindow', 'ownerDocument']);
+
+// Properties whose assignment navigates the page, on the objects where it does
+const URL_PROPERTIES = new Set(['src', 'srcset', 'href', 'action', 'location']);
+const URL_OBJECTS = new Set([...GLOBAL_OBJECTS, 'document', 'location']);
+
+// Timers evaluate string arguments like eval
+const STRING_TIMERS = new Set(['setTimeout', 'setInterval']);
+
+const LOOP_TYPES = new Set([
+  'WhileStatement',
+  'DoWhileStatement',
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement'
+]);
+
+const PARSE_OPTIONS = {
+  ecmaVersion: 'latest',
+  locations: true,
+  allowHashBang: false
+};
+
+/**
+ * Create a diagnostic for a node or position. Lines are 1-based and
+ * columns are 1-based, as shown in editors.
+ * @param {string} rule - Rule identifier
+ * @param {string} message - Human-readable message
+ * @param {Object} [loc] - Acorn `{ start, end }` location
+ * @returns {Object} Diagnostic
+ */
+const createDiagnostic = (rule, message, loc) => ({
+  rule,
+  severity: 'error',
+  message,
+  line: loc ? loc.start.line : 1,
+  column: loc ? loc.start.column + 1 : 1,
+  endLine: loc && loc.end ? loc.end.line : undefined,
+  endColumn: loc && loc.end ? loc.end.column + 1 : undefined
+});
+
+/**
+ * Value of an expression built only from string literals, template literals
+ * and `+`
+ * @param {Object} node - Expression
+ * @returns {string|null} The string, or null if it isn't known statically
+ */
+const getStaticString = (node) => {
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    return node.value;
+  }
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    const left = getStaticString(node.left);
+    const right = getStaticString(node.right);
+    return left !== null && right !== null ? left + right : null;
+  }
+  return null;
+};
+
+/**
+ * Whether an expression evaluates to a string
+ * @param {Object} node - Expression
+ * @returns {boolean}
+ */
+const isStringExpression = (node) => {
+  if (node.type === 'Literal') return typeof node.value === 'string';
+  if (node.type === 'TemplateLiteral') return true;
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return isStringExpression(node.left) || isStringExpression(node.right);
+  }
+  return false;
+};
+
+/**
+ * Name of a member expression's property when it is known statically
+ * @param {Object} node - MemberExpression
+ * @returns {string|null} Property name
+ */
+const getPropertyName = (node) => {
+  if (!node.computed && node.property.type === 'Identifier') {
+    return node.property.name;
+  }
+  return node.computed ? getStaticString(node.property) : null;
+};
+
+/**
+ * Names a destructuring pattern reads from its source object
+ * @param {Object} pattern - ObjectPattern
+ * @returns {Array<string|null>} Property names; null for computed keys
+ */
+const getPatternKeys = (pattern) => pattern.properties
+  .filter(property => property.type === 'Property')
+  .map(property => (property.computed ? getStaticString(property.key) : property.key.name ?? String(property.key.value)));
+
+/**
+ * Names of variables that are ever assigned a string built at runtime, so
+ * using them as a computed property name could spell any property
+ * @param {Object} ast - Program
+ * @returns {Set<string>}
+ */
+const getDynamicStringNames = (ast) => {
+  const names = new Set();
+  const check = (target, value) => {
+    if (target.type === 'Identifier' && value && isStringExpression(value)) {
+      const known = getStaticString(value);
+      if (known === null || FORBIDDEN_PROPERTIES.has(known)) {
+        names.add(target.name);
+      }
+    }
+  };
+  walk.simple(ast, {
+    VariableDeclarator(node) {
+      check(node.id, node.init);
+    },
+    AssignmentExpression(node) {
+      check(node.left, node.right);
+    }
+  });
+  return names;
+};
+
+// Nodes that hold let, const and class declarations
+const BLOCK_SCOPE_TYPES = new Set([
+  'Program',
+  'BlockStatement',
+  'StaticBlock',
+  'SwitchStatement',
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement'
+]);
+
+const isFunctionNode = (node) => (
+  ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'].includes(node.type)
+);
+
+/**
+ * Names a binding pattern declares
+ * @param {Object} pattern - Identifier or destructuring pattern
+ * @returns {string[]}
+ */
+const getBindingNames = (pattern) => {
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern.name];
+    case 'ObjectPattern':
+      return pattern.properties.flatMap(property => getBindingNames(property.type === 'RestElement' ? property : property.value));
+    case 'ArrayPattern':
+      return pattern.elements.filter(Boolean).flatMap(getBindingNames);
+    case 'RestElement':
+      return getBindingNames(pattern.argument);
+    case 'AssignmentPattern':
+      return getBindingNames(pattern.left);
+    default:
+      return [];
+  }
+};
+
+/**
+ * Names declared by each scope of a program, keyed by the node that holds
+ * the scope (a function, block, loop, switch or catch clause)
+ *
+ * Top-level `var` and function declarations are left out: in a classic
+ * script they are properties of the window, so `var location = url` still
+ * navigates and shadows nothing.
+ * @param {Object} ast - Program
+ * @returns {Map<Object, Set<string>>}
+ */
+const getScopes = (ast) => {
+  const scopes = new Map();
+  const declare = (scope, names) => {
+    if (!scopes.has(scope)) scopes.set(scope, new Set());
+    names.forEach(name => scopes.get(scope).add(name));
+  };
+  // Closest enclosing node, excluding the declaration itself, that matches
+  const enclosing = (ancestors, matches) => {
+    for (let i = ancestors.length - 2; i >= 0; i--) {
+      if (matches(ancestors[i])) return ancestors[i];
+    }
+    return ast;
+  };
+  const declareIn = (scope, names) => {
+    if (scope !== ast) declare(scope, names);
+  };
+
+  walk.ancestor(ast, {
+    VariableDeclaration(node, ancestors) {
+      const names = node.declarations.flatMap(declarator => getBindingNames(declarator.id));
+      if (node.kind === 'var') {
+        declareIn(enclosing(ancestors, isFunctionNode), names);
+      } else {
+        declare(enclosing(ancestors, ancestor => BLOCK_SCOPE_TYPES.has(ancestor.type)), names);
+      }
+    },
+    Function(node, ancestors) {
+      declare(node, node.params.flatMap(getBindingNames));
+      if (node.type === 'FunctionExpression' && node.id) {
+        declare(node, [node.id.name]);
+      } else if (node.type === 'FunctionDeclaration') {
+        declareIn(enclosing(ancestors, ancestor => isFunctionNode(ancestor) || BLOCK_SCOPE_TYPES.has(ancestor.type)), [node.id.name]);
+      }
+    },
+    ClassDeclaration(node, ancestors) {
+      declare(enclosing(ancestors, ancestor => BLOCK_SCOPE_TYPES.has(ancestor.type)), [node.id.name]);
+    },
+    ClassExpression(node) {
+      if (node.id) declare(node, [node.id.name]);
+    },
+    CatchClause(node) {
+      if (node.param) declare(node, getBindingNames(node.param));
+    }
+  });
+
+  return scopes;
+};
+
+/**
+ * Identifiers referenced anywhere in an expression
+ * @param {Object} node - Expression
+ * @returns {Set<string>}
+ */
+const getReferencedNames = (node) => {
+  const names = new Set();
+  walk.simple(node, {
+    Identifier(identifier) {
+      names.add(identifier.name);
+    }
+  });
+  return names;
+};
+
+/**
+ * Root identifier of an assignment target such as `a`, `a.b` or `a[0].c`
+ * @param {Object} node - Assignment target
+ * @returns {string|null}
+ */
+const getTargetName = (node) => {
+  while (node.type === 'MemberExpression') {
+    node = node.object;
+  }
+  return node.type === 'Identifier' ? node.name : null;
+};
+
+/**
+ * Whether a loop condition is always true (`true`, `1`, `!0`, or missing)
+ * @param {Object|null} test - Loop test expression
+ * @returns {boolean}
+ */
+const isConstantTruthy = (test) => {
+  if (!test) return true;
+  if (test.type === 'Literal') return Boolean(test.value);
+  if (test.type === 'UnaryExpression' && test.operator === '!' && test.argument.type === 'Literal') {
+    return !test.argument.value;
+  }
+  return false;
+};
+
+/**
+ * Whether a loop's condition can change while the loop runs: something in
+ * the loop assigns a variable the condition reads, or calls a function that
+ * might, or the condition itself has side effects. Conditions of other
+ * loops are assumed to be able to end them.
+ * @param {Object} node - Loop statement with a non-constant test
+ * @returns {boolean}
+ */
+const canConditionChange = (node) => {
+  let changes = false;
+  const sideEffects = {
+    CallExpression() { changes = true; },
+    NewExpression() { changes = true; },
+    TaggedTemplateExpression() { changes = true; },
+    AwaitExpression() { changes = true; },
+    YieldExpression() { changes = true; },
+    AssignmentExpression() { changes = true; },
+    UpdateExpression() { changes = true; },
+    ThisExpression() { changes = true; }
+  };
+  walk.simple(node.test, sideEffects);
+  if (changes) return true;
+
+  const conditionNames = getReferencedNames(node.test);
+  const writes = (target) => {
+    const name = getTargetName(target);
+    if (name === null || conditionNames.has(name)) changes = true;
+  };
+
+  [node.body, node.update].filter(Boolean).forEach((part) => {
+    walk.simple(part, {
+      CallExpression() { changes = true; },
+      NewExpression() { changes = true; },
+      TaggedTemplateExpression() { changes = true; },
+      AwaitExpression() { changes = true; },
+      YieldExpression() { changes = true; },
+      AssignmentExpression(assignment) {
+        if (assignment.left.type === 'Identifier' || assignment.left.type === 'MemberExpression') {
+          writes(assignment.left);
+        } else {
+          // Destructuring assignment
+          changes = true;
+        }
+      },
+      UpdateExpression(update) {
+        writes(update.argument);
+      },
+      UnaryExpression(unary) {
+        if (unary.operator === 'delete') writes(unary.argument);
+      },
+      ForInStatement(loop) {
+        writes(loop.left.type === 'VariableDeclaration' ? loop.left.declarations[0].id : loop.left);
+      },
+      ForOfStatement(loop) {
+        writes(loop.left.type === 'VariableDeclaration' ? loop.left.declarations[0].id : loop.left);
+      }
+    });
+  });
+  return changes;
+};
+
+/**
+ * Whether anything in a loop body can leave the loop: a break targeting it
+ * or a label outside it, a return or throw, or an await/yield that hands
+ * control back
+ * @param {Object} body - Loop body
+ * @returns {boolean}
+ */
+const canExitLoop = (body) => {
+  let exits = false;
+
+  // Breaking to a label defined inside the body stays inside the loop
+  const innerLabels = new Set();
+  walk.simple(body, {
+    LabeledStatement(node) {
+      innerLabels.add(node.label.name);
+    }
+  });
+
+  const enterNested = (node, state, c) => {
+    // Unlabeled breaks inside inner loops and switches target those instead
+    walk.base[node.type](node, { nested: true }, c);
+  };
+
+  const visitors = {
+    // Returns inside nested functions don't leave this loop
+    Function() {},
+    BreakStatement(node, state) {
+      if (node.label ? !innerLabels.has(node.label.name) : !state.nested) {
+        exits = true;
+      }
+    },
+    ReturnStatement() { exits = true; },
+    ThrowStatement() { exits = true; },
+    AwaitExpression() { exits = true; },
+    YieldExpression() { exits = true; },
+    SwitchStatement: enterNested
+  };
+  LOOP_TYPES.forEach((type) => {
+    visitors[type] = enterNested;
+  });
+
+  walk.recursive(body, { nested: false }, visitors);
+  return exits;
+};
+
+/**
+ * Validator for p5.js sketch code, both AI-generated and user-supplied
+ *
+ * Parses the code into an AST and reports, with line/column positions,
+ * syntax errors, forbidden browser APIs, loops that can never end and
+ * oversized code.
+ */
+class CodeValidator {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Validate sketch code
+   * @param {string} code - Sketch source
+   * @returns {Object} `{ isValid, diagnostics, stats }`
+   */
+  validate(code) {
+    const stats = {
+      bytes: Buffer.byteLength(code || '', 'utf8'),
+      lines: (code || '').split('\n').length
+    };
+
+    const diagnostics = this.checkSize(stats);
+    // Don't spend time parsing code that is rejected anyway
+    if (diagnostics.length > 0) {
+      return { isValid: false, diagnostics, stats };
+    }
+
+    const { ast, diagnostics: parseDiagnostics } = this.parse(code);
+    diagnostics.push(...parseDiagnostics);
+
+    if (ast) {
+      diagnostics.push(...this.checkForbiddenApis(ast));
+      diagnostics.push(...this.checkUnboundedLoops(ast));
+      diagnostics.push(...this.checkEntryPoints(ast));
+    }
+
+    diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+
+    return {
+      isValid: diagnostics.length === 0,
+      diagnostics,
+      stats
+    };
+  }
+
+  /**
+   * Summarize diagnostics in one message
+   * @param {Object[]} diagnostics - Diagnostics from validate()
+   * @param {string} [subject] - What was validated
+   * @returns {string} Message
+   */
+  static formatSummary(diagnostics, subject = 'Generated code') {
+    const [first] = diagnostics;
+    const more = diagnostics.length > 1 ? ` (and ${diagnostics.length - 1} more)` : '';
+    return `${subject} failed validation: ${first.message} at line ${first.line}, column ${first.column}${more}`;
+  }
+
+  checkSize(stats) {
+    const diagnostics = [];
+    if (stats.bytes > this.config.maxSizeBytes) {
+      diagnostics.push(createDiagnostic(
+        'max-size',
+        `Code is ${stats.bytes} bytes; the limit is ${this.config.maxSizeBytes}`
+      ));
+    }
+    if (stats.lines > this.config.maxLines) {
+      diagnostics.push(createDiagnostic(
+        'max-lines',
+        `Code has ${stats.lines} lines; the limit is ${this.config.maxLines}`
+      ));
+    }
+    return diagnostics;
+  }
+
+  /**
+   * Parse code as a classic script. Code that only parses as a module is
+   * reported for its import/export statements rather than as a syntax error.
+   * @param {string} code - Sketch source
+   * @returns {Object} `{ ast, diagnostics }`
+   */
+  parse(code) {
+    try {
+      return { ast: acorn.parse(code, { ...PARSE_OPTIONS, sourceType: 'script' }), diagnostics: [] };
+    } catch (scriptError) {
+      let ast;
+      try {
+        ast = acorn.parse(code, { ...PARSE_OPTIONS, sourceType: 'module' });
+      } catch (moduleError) {
+        const message = scriptError.message.replace(/\s*\(\d+:\d+\)$/, '');
+        const loc = scriptError.loc ? { start: scriptError.loc } : undefined;
+        return { ast: null, diagnostics: [createDiagnostic('syntax-error', message, loc)] };
+      }
+
+      const diagnostics = [];
+      ast.body.forEach((node) => {
+        if (node.type === 'ImportDeclaration') {
+          diagnostics.push(createDiagnostic('forbidden-api', 'import statements are not allowed', node.loc));
+        } else if (node.type.startsWith('Export')) {
+          diagnostics.push(createDiagnostic('syntax-error', 'export statements are not allowed', node.loc));
+        }
+      });
+      return { ast, diagnostics };
+    }
+  }
+
+  checkForbiddenApis(ast) {
+    const diagnostics = [];
+    const report = (message, node) => {
+      diagnostics.push(createDiagnostic('forbidden-api', message, node.loc));
+    };
+    const dynamicStringNames = getDynamicStringNames(ast);
+    const scopes = getScopes(ast);
+
+    // Whether an identifier names the sketch's own variable rather than a
+    // browser global; `ancestors` ends with the identifier's parent or itself
+    const isBound = (name, ancestors) => ancestors.some(ancestor => scopes.has(ancestor) && scopes.get(ancestor).has(name));
+    // An unshadowed browser global
+    const isGlobal = (node, names, ancestors) => (
+      node.type === 'Identifier' && names.has(node.name) && !isBound(node.name, ancestors)
+    );
+
+    const checkPattern = (pattern, source, node, ancestors) => {
+      if (pattern.type !== 'ObjectPattern') return;
+      const keys = getPatternKeys(pattern);
+      if (source && isGlobal(source, GUARDED_OBJECTS, ancestors)) {
+        report(`Destructuring ${source.name} is not allowed`, node);
+      } else if (keys.some(key => key === null || FORBIDDEN_PROPERTIES.has(key))) {
+        report('Destructuring this property is not allowed', node);
+      }
+    };
+
+    walk.ancestor(ast, {
+      // Only references reach this visitor; declarations, property keys and
+      // non-computed member properties are walked as other node types
+      Identifier(node, ancestors) {
+        if (isBound(node.name, ancestors)) return;
+
+        if (FORBIDDEN_GLOBALS.has(node.name)) {
+          report(`${node.name} is not allowed`, node);
+          return;
+        }
+
+        // Guarded objects may only be read from (`window.innerWidth`) or
+        // tested (`typeof window`), never passed around or aliased
+        if (GUARDED_OBJECTS.has(node.name)) {
+          const parent = ancestors[ancestors.length - 2];
+          const isMemberObject = parent.type === 'MemberExpression' && parent.object === node;
+          const isTypeof = parent.type === 'UnaryExpression' && parent.operator === 'typeof';
+          // Reported as destructuring instead
+          const isDestructured =
+            (parent.type === 'VariableDeclarator' && parent.init === node && parent.id.type === 'ObjectPattern') ||
+            (parent.type === 'AssignmentExpression' && parent.right === node && parent.left.type === 'ObjectPattern');
+          if (!isMemberObject && !isTypeof && !isDestructured) {
+            report(`${node.name} can only be used to read its properties`, node);
+          }
+        }
+      },
+      MemberExpression(node, ancestors) {
+        const propertyName = getPropertyName(node);
+
+        if (propertyName !== null && FORBIDDEN_PROPERTIES.has(propertyName)) {
+          report(`Reading ${propertyName} is not allowed`, node);
+          return;
+        }
+        if (node.computed && propertyName === null) {
+          if (isStringExpression(node.property)) {
+            report('Computed property names built from strings are not allowed', node);
+            return;
+          }
+          if (node.property.type === 'Identifier' && dynamicStringNames.has(node.property.name)) {
+            report(`${node.property.name} can't be used as a property name: it holds a string built at runtime`, node);
+            return;
+          }
+        }
+
+        if (node.object.type !== 'Identifier' || isBound(node.object.name, ancestors)) return;
+        const objectName = node.object.name;
+
+        if (GUARDED_OBJECTS.has(objectName) && propertyName === null) {
+          report(`Dynamic property access on ${objectName} is not allowed`, node);
+          return;
+        }
+        if (GLOBAL_OBJECTS.has(objectName) && FORBIDDEN_GLOBALS.has(propertyName)) {
+          report(`${objectName}.${propertyName} is not allowed`, node);
+          return;
+        }
+
+        const forbidden = FORBIDDEN_MEMBERS[objectName];
+        if (forbidden && forbidden.includes(propertyName)) {
+          report(`${objectName}.${propertyName} is not allowed`, node);
+        }
+      },
+      VariableDeclaration(node, ancestors) {
+        // A top-level var sets the window property of the same name
+        if (node.kind !== 'var' || ancestors.some(isFunctionNode)) return;
+        node.declarations.flatMap(declarator => getBindingNames(declarator.id))
+          .filter(name => FORBIDDEN_GLOBALS.has(name))
+          .forEach(name => report(`${name} is not allowed`, node));
+      },
+      VariableDeclarator(node, ancestors) {
+        checkPattern(node.id, node.init, node, ancestors);
+      },
+      AssignmentExpression(node, ancestors) {
+        checkPattern(node.left, node.right, node, ancestors);
+        // Assignment targets are walked as patterns, not references
+        if (isGlobal(node.left, FORBIDDEN_GLOBALS, ancestors)) {
+          report(`${node.left.name} is not allowed`, node.left);
+        }
+        if (
+          node.left.type === 'MemberExpression' &&
+          URL_PROPERTIES.has(getPropertyName(node.left)) &&
+          isGlobal(node.left.object, URL_OBJECTS, ancestors)
+        ) {
+          report(`Setting ${node.left.object.name}.${getPropertyName(node.left)} is not allowed`, node);
+        }
+      },
+      CallExpression(node, ancestors) {
+        const [firstArgument] = node.arguments;
+        if (
+          isGlobal(node.callee, STRING_TIMERS, ancestors) &&
+          firstArgument &&
+          (
+            (firstArgument.type === 'Literal' && typeof firstArgument.value === 'string') ||
+            firstArgument.type === 'TemplateLiteral'
+          )
+        ) {
+          report(`${node.callee.name} with a string argument is not allowed`, node);
+        }
+      },
+      ImportExpression(node) {
+        report('import() is not allowed', node);
+      },
+      MetaProperty(node) {
+        if (node.meta.name === 'import') {
+          report('import.meta is not allowed', node);
+        }
+      }
+    });
+
+    return diagnostics;
+  }
+
+  checkUnboundedLoops(ast) {
+    const diagnostics = [];
+
+    const checkLoop = (node) => {
+      const alwaysTrue = isConstantTruthy(node.test);
+      if (!alwaysTrue && canConditionChange(node)) return;
+      if (canExitLoop(node.body)) return;
+
+      const keyword = node.type === 'ForStatement' ? 'for' : node.type === 'DoWhileStatement' ? 'do...while' : 'while';
+      const reason = alwaysTrue ? 'its condition is always true' : 'nothing in it changes its condition';
+      diagnostics.push(createDiagnostic(
+        'unbounded-loop',
+        `${keyword} loop never ends: ${reason} and it has no break, return or throw`,
+        node.loc
+      ));
+    };
+
+    walk.simple(ast, {
+      WhileStatement: checkLoop,
+      DoWhileStatement: checkLoop,
+      ForStatement: checkLoop
+    });
+
+    return diagnostics;
+  }
+
+  /**
+   * p5 global mode needs a top-level setup() to start the sketch
+   */
+  checkEntryPoints(ast) {
+    const definesSetup = ast.body.some((node) => {
+      if (node.type === 'FunctionDeclaration') {
+        return node.id.name === 'setup';
+      }
+      if (node.type === 'VariableDeclaration') {
+        return node.declarations.some(declaration => (
+          declaration.id.type === 'Identifier' &&
+          declaration.id.name === 'setup' &&
+          declaration.init &&
+          ['FunctionExpression', 'ArrowFunctionExpression'].includes(declaration.init.type)
+        ));
+      }
+      return false;
+    });
+
+    return definesSetup ? [] : [createDiagnostic('missing-setup', 'Sketch must define a setup() function')];
+  }
+}
+
+module.exports = CodeValidator;
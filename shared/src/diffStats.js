@@ -0,0 +1,23 @@
+const { structuredPatch } = require('diff');
+
+/**
+ * Count the lines a change to sketch code adds and removes, as a unified
+ * diff of the two would show them
+ * @param {string|null} oldCode - Code before the change (null for none)
+ * @param {string} newCode - Code after the change
+ * @returns {Object} `{ additions, deletions }`
+ */
+const countLineChanges = (oldCode, newCode) => {
+  const { hunks } = structuredPatch('', '', oldCode || '', newCode || '', '', '', { context: 0 });
+
+  const stats = { additions: 0, deletions: 0 };
+  hunks.forEach(hunk => hunk.lines.forEach((line) => {
+    if (line[0] === '+') stats.additions++;
+    if (line[0] === '-') stats.deletions++;
+  }));
+  return stats;
+};
+
+module.exports = {
+  countLineChanges
+};
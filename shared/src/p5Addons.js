@@ -0,0 +1,14 @@
+/**
+ * Add-on libraries a sketch can opt into with `settings.libraries`, by name.
+ * Files are relative to the root of the p5 package the sketch runs on.
+ */
+const P5_ADDONS = {
+  'p5.sound': {
+    file: 'lib/addons/p5.sound.min.js',
+    description: 'Audio playback, synthesis and analysis'
+  }
+};
+
+module.exports = {
+  P5_ADDONS
+};
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+/**
+ * Signed session tokens
+ *
+ * The backend issues tokens of the form `<sessionId>.<expiresAt>.<signature>`,
+ * where the signature is an HMAC of the first two parts, and the backend and
+ * websocket server both verify them with the same SESSION_SECRET.
+ */
+
+// Only ever used outside production, where forged tokens don't matter
+const DEVELOPMENT_SECRET = 'development-session-secret';
+
+/**
+ * Read the session secret from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {string} Secret
+ * @throws {Error} In production when SESSION_SECRET is not set
+ */
+const getSessionSecret = (env = process.env) => {
+  if (env.SESSION_SECRET) {
+    return env.SESSION_SECRET;
+  }
+  if (env.NODE_ENV === 'production') {
+    throw new Error('SESSION_SECRET must be set in production');
+  }
+  return DEVELOPMENT_SECRET;
+};
+
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Sign a session ID and expiry into a token
+ * @param {string} secret - Session secret
+ * @param {string} sessionId - Session ID
+ * @param {number} expiresAt - Expiry as a Unix timestamp in seconds
+ * @returns {string} Session token
+ */
+const signToken = (secret, sessionId, expiresAt) => {
+  const payload = `${sessionId}.${expiresAt}`;
+  return `${payload}.${sign(secret, payload)}`;
+};
+
+/**
+ * Verify a session token's signature and expiry
+ * @param {string} secret - Session secret
+ * @param {string} token - Session token
+ * @returns {Object|null} `{ sessionId, expiresAt }`, or null if invalid or expired
+ */
+const verifyToken = (secret, token) => {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [sessionId, expiresAtRaw, signature] = parts;
+  const expiresAt = parseInt(expiresAtRaw, 10);
+  const expected = Buffer.from(sign(secret, `${sessionId}.${expiresAtRaw}`));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  if (!Number.isFinite(expiresAt) || expiresAt * 1000 <= Date.now()) {
+    return null;
+  }
+
+  return { sessionId, expiresAt };
+};
+
+module.exports = {
+  getSessionSecret,
+  signToken,
+  verifyToken
+};
@@ -0,0 +1,136 @@
+/* eslint-env jest */
+const CodeValidator = require('../src/codeValidator');
+
+const validator = new CodeValidator({ maxSizeBytes: 100 * 1024, maxLines: 2000 });
+
+// Wrap a snippet in a minimal sketch so only the snippet can fail
+const sketch = (body) => `function setup() {\n  createCanvas(400, 400);\n}\n\nfunction draw() {\n${body}\n}\n`;
+
+const messagesFor = (code) => validator.validate(code).diagnostics.map(diagnostic => diagnostic.message);
+
+describe('CodeValidator', () => {
+  describe('parsing', () => {
+    it('accepts a minimal sketch', () => {
+      expect(validator.validate(sketch('  background(220);'))).toMatchObject({ isValid: true, diagnostics: [] });
+    });
+
+    it('reports syntax errors with their position', () => {
+      const [diagnostic] = validator.validate('function setup() {\n  let x = ;\n}').diagnostics;
+
+      expect(diagnostic).toMatchObject({ rule: 'syntax-error', line: 2, column: 11 });
+      expect(diagnostic.message).not.toMatch(/\(\d+:\d+\)$/);
+    });
+
+    it('reports import and export statements instead of a syntax error', () => {
+      const messages = messagesFor(`import x from "y";\nexport const size = 10;\n${sketch('')}`);
+
+      expect(messages).toEqual(['import statements are not allowed', 'export statements are not allowed']);
+    });
+
+    it('requires a top-level setup()', () => {
+      expect(messagesFor('function draw() {}')).toEqual(['Sketch must define a setup() function']);
+      expect(validator.validate('const setup = () => createCanvas(100, 100);').isValid).toBe(true);
+    });
+
+    it('rejects oversized code without parsing it', () => {
+      const small = new CodeValidator({ maxSizeBytes: 10, maxLines: 2000 });
+
+      expect(small.validate('function setup() {').diagnostics.map(diagnostic => diagnostic.rule)).toEqual(['max-size']);
+    });
+  });
+
+  describe('forbidden APIs', () => {
+    it.each([
+      ['fetch("https://example.com")', 'fetch is not allowed'],
+      ['parent.postMessage(1, "*")', 'parent is not allowed'],
+      ['top.location = "x"', 'top is not allowed'],
+      ['opener.x = 1', 'opener is not allowed'],
+      ['location.href = "x"', 'location is not allowed'],
+      ['location = "x"', 'location is not allowed'],
+      ['new Image().src = "x"', 'Image is not allowed'],
+      ['const w = window; w.fetch("x")', 'window can only be used to read its properties'],
+      ['Reflect.get(window, "fetch")', 'window can only be used to read its properties'],
+      ['document["coo" + "kie"]', 'document.cookie is not allowed'],
+      ['const { cookie } = document', 'Destructuring document is not allowed'],
+      ['window.location = "x"', 'window.location is not allowed'],
+      ['document.location.href = "x"', 'document.location is not allowed'],
+      ['const C = performance.now.constructor; C("return process")()', 'Reading constructor is not allowed'],
+      ['x["constr" + "uctor"]', 'Reading constructor is not allowed'],
+      ['setTimeout("alert(1)", 10)', 'setTimeout with a string argument is not allowed']
+    ])('rejects %s', (snippet, message) => {
+      expect(messagesFor(sketch(snippet))).toContain(message);
+    });
+
+    it('rejects a top-level var named like a navigation global', () => {
+      expect(messagesFor(`var location = "x";\n${sketch('')}`)).toContain('location is not allowed');
+    });
+  });
+
+  describe('sketch variables named like browser globals', () => {
+    it('allows the usual Mover pattern', () => {
+      const code = `${sketch('  mover.update();')}
+class Mover {
+  constructor() {
+    this.location = createVector(width / 2, height / 2);
+    this.velocity = createVector(0, 0);
+  }
+  update() {
+    this.location.add(this.velocity);
+  }
+}
+let mover;
+`;
+      expect(validator.validate(code)).toMatchObject({ isValid: true, diagnostics: [] });
+    });
+
+    it.each([
+      ['parameters', 'function place(top, parent, location) {\n  return top + parent + location;\n}'],
+      ['local variables', 'function edges() {\n  let top = 0;\n  const location = createVector(0, top);\n  return location;\n}'],
+      ['a self alias of this', 'function Walker() {\n  const self = this;\n  self.x = 0;\n  self.step = () => { self.x++; };\n}'],
+      ['destructured parameters', 'const bounds = ({ top, left }) => top + left;'],
+      ['a catch parameter', 'function safe() {\n  try { return 1; } catch (location) { return location; }\n}'],
+      ['a class named Image', 'class Image {\n  constructor(src) { this.src = src; }\n}\nconst img = new Image("a");'],
+      ['a loop variable', 'function f(list) {\n  for (const parent of list) { parent.x = 1; }\n}']
+    ])('allows %s', (description, snippet) => {
+      expect(validator.validate(`${snippet}\n${sketch('')}`)).toMatchObject({ isValid: true, diagnostics: [] });
+    });
+
+    it('still rejects the global once the sketch variable is out of scope', () => {
+      const code = `function f(location) {\n  return location;\n}\n${sketch('  location.reload();')}`;
+
+      expect(messagesFor(code)).toEqual(['location is not allowed']);
+    });
+
+    it('only blocks URL assignments on the page objects', () => {
+      expect(validator.validate(sketch('  const img = createImg("a.png", "a");\n  img.src = "b.png";\n  this.href = "x";')).isValid).toBe(true);
+      expect(messagesFor(sketch('  document.src = "x";'))).toEqual(['Setting document.src is not allowed']);
+    });
+  });
+
+  describe('loops', () => {
+    it.each([
+      'while (true) { x++; }',
+      'for (;;) {}',
+      'let r = true;\nwhile (r) { x++; }'
+    ])('rejects %s', (snippet) => {
+      expect(validator.validate(sketch(snippet)).diagnostics.map(diagnostic => diagnostic.rule)).toContain('unbounded-loop');
+    });
+
+    it.each([
+      'while (true) { if (x++ > 10) break; }',
+      'for (let i = 0; i < 10; i++) { point(i, i); }',
+      'let r = true;\nwhile (r) { r = random() > 0.5; }',
+      'while (balls.length) { balls.pop(); }'
+    ])('allows %s', (snippet) => {
+      expect(validator.validate(sketch(snippet)).isValid).toBe(true);
+    });
+  });
+
+  it('summarizes diagnostics in one message', () => {
+    const { diagnostics } = validator.validate(sketch('  fetch("a");\n  fetch("b");'));
+
+    expect(CodeValidator.formatSummary(diagnostics, 'Template')).toBe(
+      'Template failed validation: fetch is not allowed at line 6, column 3 (and 1 more)'
+    );
+  });
+});
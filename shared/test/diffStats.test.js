@@ -0,0 +1,20 @@
+/* eslint-env jest */
+const { countLineChanges } = require('../src/diffStats');
+
+describe('countLineChanges', () => {
+  it('counts every line of new code as added', () => {
+    expect(countLineChanges(null, 'a\nb\nc\n')).toEqual({ additions: 3, deletions: 0 });
+  });
+
+  it('counts changed lines as one deletion and one addition each', () => {
+    expect(countLineChanges('a\nb\nc\n', 'a\nB\nc\nd\n')).toEqual({ additions: 2, deletions: 1 });
+  });
+
+  it('counts nothing for identical code', () => {
+    expect(countLineChanges('a\nb\n', 'a\nb\n')).toEqual({ additions: 0, deletions: 0 });
+  });
+
+  it('ignores the missing newline marker', () => {
+    expect(countLineChanges('a\nb', 'a\nb\n')).toEqual({ additions: 1, deletions: 1 });
+  });
+});
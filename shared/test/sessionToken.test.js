@@ -0,0 +1,52 @@
+/* eslint-env jest */
+const { getSessionSecret, signToken, verifyToken } = require('../src/sessionToken');
+
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+describe('session tokens', () => {
+  it('verify when signed with the same secret', () => {
+    const expiresAt = inAnHour();
+    const token = signToken('secret', 'session-1', expiresAt);
+
+    expect(token.startsWith(`session-1.${expiresAt}.`)).toBe(true);
+    expect(verifyToken('secret', token)).toEqual({ sessionId: 'session-1', expiresAt });
+  });
+
+  it('are rejected with another secret', () => {
+    expect(verifyToken('other', signToken('secret', 'session-1', inAnHour()))).toBeNull();
+  });
+
+  it('are rejected when any part is changed', () => {
+    const [sessionId, expiresAt, signature] = signToken('secret', 'session-1', inAnHour()).split('.');
+
+    expect(verifyToken('secret', `session-2.${expiresAt}.${signature}`)).toBeNull();
+    expect(verifyToken('secret', `${sessionId}.${Number(expiresAt) + 1}.${signature}`)).toBeNull();
+    expect(verifyToken('secret', `${sessionId}.${expiresAt}.${signature.slice(1)}`)).toBeNull();
+  });
+
+  it('are rejected once expired', () => {
+    const expiresAt = Math.floor(Date.now() / 1000) - 1;
+
+    expect(verifyToken('secret', signToken('secret', 'session-1', expiresAt))).toBeNull();
+  });
+
+  it('are rejected when malformed', () => {
+    expect(verifyToken('secret', undefined)).toBeNull();
+    expect(verifyToken('secret', 'a.b')).toBeNull();
+    expect(verifyToken('secret', signToken('secret', 'session-1', 'never'))).toBeNull();
+  });
+});
+
+describe('getSessionSecret', () => {
+  it('uses SESSION_SECRET when set', () => {
+    expect(getSessionSecret({ SESSION_SECRET: 's', NODE_ENV: 'production' })).toBe('s');
+  });
+
+  it('falls back to a development secret outside production', () => {
+    expect(getSessionSecret({ NODE_ENV: 'development' })).toEqual(expect.any(String));
+  });
+
+  it('refuses to run production without a secret', () => {
+    expect(() => getSessionSecret({ NODE_ENV: 'production' })).toThrow('SESSION_SECRET must be set in production');
+  });
+});
@@ -5,6 +5,8 @@ const { createAdapter } = require('@socket.io/redis-adapter');
 const { createClient } = require('redis');
 const morgan = require('morgan');
 const express = require('express');
+const { getSessionForToken } = require('./sessionAuth');
+const { appendRoomEvent, getRoomEventsSince, consumeRoomEvents } = require('./roomEvents');
 
 // Configuration
 const PORT = process.env.PORT || 4001;
@@ -35,20 +37,43 @@ const io = new Server(server, {
   pingTimeout: 20000
 });
 
+// Redis client for regular commands (session lookups, room event logs)
+let redisClient = null;
+
+// Resolves with redisClient once it has connected, so handshakes that arrive
+// first wait for it rather than being turned away
+let resolveRedisReady;
+const redisReady = new Promise((resolve) => {
+  resolveRedisReady = resolve;
+});
+
+// Stamp a queued room event, log it for replay and send it to the room
+const handleRoomEvent = async ({ room, type, data }) => {
+  const event = await appendRoomEvent(redisClient, room, type, data);
+  io.to(room).emit(event.type, event.data);
+};
+
 // Setup Redis adapter for horizontal scaling
 const setupRedisAdapter = async () => {
   try {
     // Create Redis clients
     const pubClient = createClient({ url: REDIS_URI });
     const subClient = pubClient.duplicate();
+    // Blocking pops would hold up other commands, so the event queue gets its own client
+    const queueClient = pubClient.duplicate();
     
     // Connect clients
     await pubClient.connect();
     await subClient.connect();
+    await queueClient.connect();
     
     // Create adapter
     io.adapter(createAdapter(pubClient, subClient));
     
+    // The publisher client is not in subscriber mode, so it can run commands too
+    redisClient = pubClient;
+    resolveRedisReady(redisClient);
+    
     console.log('Redis adapter configured');
     
     // Handle Redis errors
@@ -60,7 +85,14 @@ const setupRedisAdapter = async () => {
       console.error('Redis Sub Client Error:', err);
     });
     
-    return { pubClient, subClient };
+    queueClient.on('error', (err) => {
+      console.error('Redis Queue Client Error:', err);
+    });
+    
+    // Deliver events queued by other services
+    consumeRoomEvents(queueClient, handleRoomEvent);
+    
+    return { pubClient, subClient, queueClient };
   } catch (error) {
     console.error('Failed to set up Redis adapter:', error);
     throw error;
@@ -70,24 +102,51 @@ const setupRedisAdapter = async () => {
 // Room management
 const rooms = new Map();
 
+// Authenticate the handshake with the session token issued by the backend.
+// Clients without a token may still watch sketches as guests.
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth?.token || socket.handshake.query.token;
+  socket.data.session = null;
+  
+  if (!token) {
+    return next();
+  }
+  
+  try {
+    const session = await getSessionForToken(await redisReady, token);
+    if (!session) {
+      const error = new Error('unauthorized');
+      error.data = { code: 'unauthorized', message: 'Invalid or expired session token' };
+      return next(error);
+    }
+    socket.data.session = session;
+    next();
+  } catch (error) {
+    console.error('Error verifying session token:', error);
+    next(new Error('server_error'));
+  }
+});
+
 // Socket event handlers
 io.on('connection', (socket) => {
   console.log(`Client connected: ${socket.id}`);
   let currentRoom = null;
   
-  // Extract session info from query parameters
-  const sessionId = socket.handshake.query.sessionId || 'anonymous';
+  // Session identity comes from the verified token, never from the client
+  const { session } = socket.data;
+  const sessionId = session ? session.sessionId : `guest-${socket.id}`;
   let userData = {
     sessionId,
-    nickname: null,
+    nickname: session ? session.nickname : null,
     activity: 'viewing'
   };
   
   // Store user data in socket
   socket.data.userData = userData;
   
-  // Handle room subscriptions
-  socket.on('subscribe', ({ room }) => {
+  // Handle room subscriptions. `epoch` and `lastSequence` are the client's
+  // room cursor; events it missed are replayed before `room:sync`.
+  socket.on('subscribe', async ({ room, epoch, lastSequence }) => {
     if (!room) return;
     
     console.log(`User ${sessionId} joining room: ${room}`);
@@ -129,6 +188,29 @@ io.on('connection', (socket) => {
       timestamp: new Date(),
       activeUsers: Array.from(roomData.values())
     });
+    
+    // Replay missed events; the socket has already joined, so the client
+    // drops any event that also arrives live by its sequence
+    const since = Number.isInteger(lastSequence) && lastSequence >= 0 && (typeof epoch === 'string' || epoch === null)
+      ? { epoch, sequence: lastSequence }
+      : undefined;
+    try {
+      if (!redisClient) {
+        throw new Error('Redis is not connected');
+      }
+      const result = await getRoomEventsSince(redisClient, room, since);
+      result.events.forEach(event => socket.emit(event.type, event.data));
+      socket.emit('room:sync', {
+        room,
+        epoch: result.epoch,
+        latestSequence: result.latestSequence,
+        resyncRequired: result.resyncRequired
+      });
+    } catch (error) {
+      console.error(`Error replaying events for room ${room}:`, error);
+      // Without the log the client can't know what it missed
+      socket.emit('room:sync', { room, epoch: null, latestSequence: null, resyncRequired: since !== undefined });
+    }
   });
   
   // Handle room unsubscriptions
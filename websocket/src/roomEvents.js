@@ -0,0 +1,182 @@
+/**
+ * Sequenced room events with replay
+ *
+ * Other services queue events for a room by pushing `{ room, type, data }`
+ * JSON onto the `room-events` list in Redis. One server instance takes each
+ * event, stamps it with the room's next sequence number (`roomSequence`),
+ * appends it to the room's bounded event log and emits it; the Redis adapter
+ * delivers it to clients on every instance. A client that resubscribes with
+ * the last sequence it saw is sent the events it missed from the log.
+ *
+ * Sequences are counted within an epoch (`roomEpoch`), a random ID the room
+ * gets with its first event. When an idle room's keys expire, its next event
+ * starts a new epoch at sequence 1, so a client still holding a cursor from
+ * the old epoch is told to resync rather than replayed the wrong events.
+ *
+ * Redis keys per room: `room:<room>:cursor` (hash of the current `epoch` and
+ * latest `sequence`, which expire together) and `room:<room>:events:<epoch>`
+ * (sorted set of the epoch's events scored by sequence).
+ */
+
+const crypto = require('crypto');
+
+const EVENT_QUEUE_KEY = process.env.ROOM_EVENT_QUEUE || 'room-events';
+// Events kept per room for replay
+const EVENT_LOG_SIZE = parseInt(process.env.ROOM_EVENT_LOG_SIZE || '200', 10);
+// Idle rooms drop their log and sequence; their clients are asked to resync
+const EVENT_LOG_TTL_SECONDS = parseInt(process.env.ROOM_EVENT_LOG_TTL_SECONDS || '86400', 10);
+// Seconds each blocking pop waits, so the consumer notices shutdown
+const QUEUE_POLL_SECONDS = 5;
+
+// Event types other services may send to rooms
+const ROOM_EVENT_TYPES = ['prompt:submitted', 'prompt:status_update', 'sketch:updated'];
+
+const cursorKey = (room) => `room:${room}:cursor`;
+const logKey = (room, epoch) => `room:${room}:events:${epoch}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a queued room event
+ * @param {string} raw - JSON pushed onto the queue
+ * @returns {Object|null} `{ room, type, data }`, or null if malformed
+ */
+const parseQueuedEvent = (raw) => {
+  let event;
+  try {
+    event = JSON.parse(raw);
+  } catch (error) {
+    return null;
+  }
+  if (!event || typeof event.room !== 'string' || !ROOM_EVENT_TYPES.includes(event.type)) {
+    return null;
+  }
+  return { room: event.room, type: event.type, data: event.data || {} };
+};
+
+/**
+ * Stamp an event with the room's epoch and next sequence number and log it
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} room - Room name, e.g. `sketch:<id>`
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ * @returns {Promise<Object>} `{ type, data }` with `data.roomEpoch` and
+ *   `data.roomSequence` set
+ */
+const appendRoomEvent = async (redisClient, room, type, data) => {
+  // Starts a new epoch when the cursor has expired (or never existed)
+  const [, roomSequence, roomEpoch] = await redisClient.multi()
+    .hSetNX(cursorKey(room), 'epoch', crypto.randomUUID())
+    .hIncrBy(cursorKey(room), 'sequence', 1)
+    .hGet(cursorKey(room), 'epoch')
+    .expire(cursorKey(room), EVENT_LOG_TTL_SECONDS)
+    .exec();
+  const event = { type, data: { ...data, roomEpoch, roomSequence } };
+
+  await redisClient.multi()
+    .zAdd(logKey(room, roomEpoch), { score: roomSequence, value: JSON.stringify(event) })
+    // Keep only the newest EVENT_LOG_SIZE events
+    .zRemRangeByRank(logKey(room, roomEpoch), 0, -(EVENT_LOG_SIZE + 1))
+    .expire(logKey(room, roomEpoch), EVENT_LOG_TTL_SECONDS)
+    .exec();
+
+  return event;
+};
+
+/**
+ * Events a client missed since the last one it saw
+ *
+ * Instances take queued events concurrently, so a sequence may be logged
+ * after higher ones. Everything logged after the client's cursor is returned
+ * and the client drops what it has already seen; a sequence still being
+ * logged reaches the client live, as it has already joined the room.
+ *
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} room - Room name
+ * @param {Object} [since] - Client cursor; omit on a first subscribe
+ * @param {?string} since.epoch - Epoch of the client's events; null if the
+ *   room had none when the client subscribed
+ * @param {number} since.sequence - Sequence up to which the client has seen
+ *   every event in that epoch
+ * @returns {Promise<Object>} `{ epoch, latestSequence, events, resyncRequired }`;
+ *   `epoch` is null while the room has no events, `latestSequence` is the
+ *   newest logged event and `resyncRequired` is set when the gap is no longer
+ *   in the log
+ */
+const getRoomEventsSince = async (redisClient, room, since) => {
+  const epoch = await redisClient.hGet(cursorKey(room), 'epoch');
+  const [newest] = epoch ? await redisClient.zRangeWithScores(logKey(room, epoch), -1, -1) : [];
+  const latestSequence = newest ? newest.score : 0;
+
+  if (since === undefined) {
+    return { epoch, latestSequence, events: [], resyncRequired: false };
+  }
+
+  // A client that saw the room empty can be replayed whatever epoch started
+  // since; any other epoch change means the log it was reading has expired
+  const fromStart = since.epoch === null && since.sequence === 0;
+  if (since.epoch !== epoch && !fromStart) {
+    return { epoch, latestSequence, events: [], resyncRequired: true };
+  }
+
+  if (since.sequence === latestSequence) {
+    return { epoch, latestSequence, events: [], resyncRequired: false };
+  }
+
+  // Every event a client has seen was logged first, so within an epoch the
+  // log never falls behind the client
+  if (since.sequence > latestSequence) {
+    return { epoch, latestSequence, events: [], resyncRequired: true };
+  }
+
+  const entries = await redisClient.zRangeByScore(logKey(room, epoch), `(${since.sequence}`, '+inf');
+  const events = entries.map(entry => JSON.parse(entry));
+
+  // The log has rolled past the first missed event
+  if (events.length === 0 || events[0].data.roomSequence !== since.sequence + 1) {
+    return { epoch, latestSequence, events: [], resyncRequired: true };
+  }
+
+  return {
+    epoch,
+    latestSequence: Math.max(latestSequence, events[events.length - 1].data.roomSequence),
+    events,
+    resyncRequired: false
+  };
+};
+
+/**
+ * Take queued room events one at a time until the client is closed
+ * @param {Object} queueClient - Connected Redis client used only for blocking pops
+ * @param {Function} onEvent - Called with each valid `{ room, type, data }`
+ * @returns {Promise<void>} Resolves once the client is closed
+ */
+const consumeRoomEvents = async (queueClient, onEvent) => {
+  while (queueClient.isOpen) {
+    try {
+      const item = await queueClient.blPop(EVENT_QUEUE_KEY, QUEUE_POLL_SECONDS);
+      if (!item) continue;
+
+      const event = parseQueuedEvent(item.element);
+      if (!event) {
+        console.warn('Dropping invalid room event:', item.element);
+        continue;
+      }
+
+      await onEvent(event);
+    } catch (error) {
+      if (!queueClient.isOpen) break;
+      console.error('Error handling room event:', error);
+      // Back off so a Redis outage doesn't spin
+      await sleep(1000);
+    }
+  }
+};
+
+module.exports = {
+  EVENT_QUEUE_KEY,
+  ROOM_EVENT_TYPES,
+  appendRoomEvent,
+  getRoomEventsSince,
+  consumeRoomEvents
+};
@@ -0,0 +1,29 @@
+const { getSessionSecret, verifyToken } = require('shared/sessionToken');
+
+/**
+ * Verification of session tokens issued by the backend
+ *
+ * Tokens are signed with the SESSION_SECRET shared with the backend, which
+ * must be set in production. Session details live in Redis under
+ * `session:<sessionId>`.
+ */
+
+const SESSION_SECRET = getSessionSecret();
+
+/**
+ * Resolve a token to its stored session
+ * @param {Object} redisClient - Connected Redis client
+ * @param {string} token - Session token
+ * @returns {Promise<Object|null>} Session data, or null if the token is invalid
+ */
+const getSessionForToken = async (redisClient, token) => {
+  const verified = verifyToken(SESSION_SECRET, token);
+  if (!verified) return null;
+
+  const stored = await redisClient.get(`session:${verified.sessionId}`);
+  return stored ? JSON.parse(stored) : null;
+};
+
+module.exports = {
+  getSessionForToken
+};
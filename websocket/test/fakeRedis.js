@@ -0,0 +1,104 @@
+/**
+ * In-memory stand-in for the node-redis commands roomEvents uses
+ *
+ * Transactions run their commands in order when `exec` is called. Keys never
+ * expire on their own; tests call `expireKeys` to simulate a TTL running out.
+ */
+class FakeRedis {
+  constructor() {
+    this.hashes = new Map();
+    this.sortedSets = new Map();
+  }
+
+  /** Drop every key starting with `prefix`, as if its TTL had run out */
+  expireKeys(prefix) {
+    [this.hashes, this.sortedSets].forEach(store => {
+      [...store.keys()].filter(key => key.startsWith(prefix)).forEach(key => store.delete(key));
+    });
+  }
+
+  hash(key) {
+    if (!this.hashes.has(key)) this.hashes.set(key, new Map());
+    return this.hashes.get(key);
+  }
+
+  sortedSet(key) {
+    if (!this.sortedSets.has(key)) this.sortedSets.set(key, []);
+    return this.sortedSets.get(key);
+  }
+
+  async hGet(key, field) {
+    return this.hashes.get(key)?.get(field) ?? null;
+  }
+
+  async zRangeWithScores(key, start, stop) {
+    const entries = this.sortedSets.get(key) || [];
+    const from = start < 0 ? entries.length + start : start;
+    const to = stop < 0 ? entries.length + stop : stop;
+    return entries.slice(Math.max(0, from), to + 1).map(({ score, value }) => ({ score, value }));
+  }
+
+  async zRangeByScore(key, min, max) {
+    const exclusive = min.startsWith('(');
+    const low = parseFloat(exclusive ? min.slice(1) : min);
+    const high = max === '+inf' ? Infinity : parseFloat(max);
+    return (this.sortedSets.get(key) || [])
+      .filter(({ score }) => (exclusive ? score > low : score >= low) && score <= high)
+      .map(({ value }) => value);
+  }
+
+  multi() {
+    const commands = [];
+    const chain = {
+      hSetNX: (key, field, value) => {
+        commands.push(() => {
+          const hash = this.hash(key);
+          if (hash.has(field)) return false;
+          hash.set(field, value);
+          return true;
+        });
+        return chain;
+      },
+      hIncrBy: (key, field, increment) => {
+        commands.push(() => {
+          const hash = this.hash(key);
+          const value = parseInt(hash.get(field) || '0', 10) + increment;
+          hash.set(field, String(value));
+          return value;
+        });
+        return chain;
+      },
+      hGet: (key, field) => {
+        commands.push(() => this.hashes.get(key)?.get(field) ?? null);
+        return chain;
+      },
+      zAdd: (key, { score, value }) => {
+        commands.push(() => {
+          const entries = this.sortedSet(key);
+          entries.push({ score, value });
+          entries.sort((a, b) => a.score - b.score);
+          return 1;
+        });
+        return chain;
+      },
+      zRemRangeByRank: (key, start, stop) => {
+        commands.push(() => {
+          const entries = this.sortedSet(key);
+          const to = stop < 0 ? entries.length + stop : stop;
+          const removed = Math.max(0, to - start + 1);
+          entries.splice(start, removed);
+          return removed;
+        });
+        return chain;
+      },
+      expire: () => {
+        commands.push(() => true);
+        return chain;
+      },
+      exec: async () => commands.map(command => command())
+    };
+    return chain;
+  }
+}
+
+module.exports = FakeRedis;
@@ -0,0 +1,171 @@
+/* eslint-env jest */
+process.env.ROOM_EVENT_LOG_SIZE = '3';
+
+const FakeRedis = require('./fakeRedis');
+const { appendRoomEvent, getRoomEventsSince } = require('../src/roomEvents');
+
+const ROOM = 'sketch:abc';
+
+const appendEvents = async (redis, count) => {
+  const events = [];
+  for (let i = 0; i < count; i += 1) {
+    events.push(await appendRoomEvent(redis, ROOM, 'prompt:status_update', { index: i }));
+  }
+  return events;
+};
+
+const sequencesOf = (events) => events.map(event => event.data.roomSequence);
+
+describe('appendRoomEvent', () => {
+  it('stamps events with one epoch and consecutive sequences', async () => {
+    const redis = new FakeRedis();
+    const events = await appendEvents(redis, 3);
+
+    expect(sequencesOf(events)).toEqual([1, 2, 3]);
+    expect(typeof events[0].data.roomEpoch).toBe('string');
+    expect(new Set(events.map(event => event.data.roomEpoch)).size).toBe(1);
+    expect(events[1].data.index).toBe(1);
+  });
+});
+
+describe('getRoomEventsSince', () => {
+  it('reports the current epoch and newest sequence on a first subscribe', async () => {
+    const redis = new FakeRedis();
+    const [first] = await appendEvents(redis, 2);
+
+    const result = await getRoomEventsSince(redis, ROOM);
+
+    expect(result).toEqual({
+      epoch: first.data.roomEpoch,
+      latestSequence: 2,
+      events: [],
+      resyncRequired: false
+    });
+  });
+
+  it('reports an empty room with a null epoch', async () => {
+    const result = await getRoomEventsSince(new FakeRedis(), ROOM);
+
+    expect(result).toEqual({ epoch: null, latestSequence: 0, events: [], resyncRequired: false });
+  });
+
+  describe('gaps', () => {
+    it('replays the events after the cursor', async () => {
+      const redis = new FakeRedis();
+      const [first] = await appendEvents(redis, 3);
+
+      const result = await getRoomEventsSince(redis, ROOM, { epoch: first.data.roomEpoch, sequence: 1 });
+
+      expect(sequencesOf(result.events)).toEqual([2, 3]);
+      expect(result.latestSequence).toBe(3);
+      expect(result.resyncRequired).toBe(false);
+    });
+
+    it('replays nothing when the client is up to date', async () => {
+      const redis = new FakeRedis();
+      const [first] = await appendEvents(redis, 2);
+
+      const result = await getRoomEventsSince(redis, ROOM, { epoch: first.data.roomEpoch, sequence: 2 });
+
+      expect(result.events).toEqual([]);
+      expect(result.resyncRequired).toBe(false);
+    });
+
+    it('replays past a sequence that is still being logged', async () => {
+      const redis = new FakeRedis();
+      const [first] = await appendEvents(redis, 3);
+      // Another instance has taken sequence 3 but not logged it yet
+      const log = redis.sortedSets.get(`room:${ROOM}:events:${first.data.roomEpoch}`);
+      log.splice(2, 1);
+      await appendEvents(redis, 1);
+
+      const result = await getRoomEventsSince(redis, ROOM, { epoch: first.data.roomEpoch, sequence: 1 });
+
+      expect(sequencesOf(result.events)).toEqual([2, 4]);
+      expect(result.resyncRequired).toBe(false);
+    });
+
+    it('requires a resync when the next missed event is not logged', async () => {
+      const redis = new FakeRedis();
+      const [first] = await appendEvents(redis, 3);
+      const log = redis.sortedSets.get(`room:${ROOM}:events:${first.data.roomEpoch}`);
+      log.splice(1, 1);
+
+      const result = await getRoomEventsSince(redis, ROOM, { epoch: first.data.roomEpoch, sequence: 1 });
+
+      expect(result.events).toEqual([]);
+      expect(result.resyncRequired).toBe(true);
+    });
+  });
+
+  describe('rollover', () => {
+    it('keeps only the newest events in the log', async () => {
+      const redis = new FakeRedis();
+      const [first] = await appendEvents(redis, 5);
+
+      const result = await getRoomEventsSince(redis, ROOM, { epoch: first.data.roomEpoch, sequence: 2 });
+
+      expect(sequencesOf(result.events)).toEqual([3, 4, 5]);
+      expect(result.resyncRequired).toBe(false);
+    });
+
+    it('requires a resync once the first missed event has rolled out', async () => {
+      const redis = new FakeRedis();
+      const [first] = await appendEvents(redis, 5);
+
+      const result = await getRoomEventsSince(redis, ROOM, { epoch: first.data.roomEpoch, sequence: 1 });
+
+      expect(result.events).toEqual([]);
+      expect(result.latestSequence).toBe(5);
+      expect(result.resyncRequired).toBe(true);
+    });
+  });
+
+  describe('expiry', () => {
+    it('starts a new epoch at sequence 1 once the room has expired', async () => {
+      const redis = new FakeRedis();
+      const [first] = await appendEvents(redis, 2);
+      redis.expireKeys(`room:${ROOM}:`);
+
+      const [next] = await appendEvents(redis, 1);
+
+      expect(next.data.roomSequence).toBe(1);
+      expect(next.data.roomEpoch).not.toBe(first.data.roomEpoch);
+    });
+
+    it('requires a resync for a cursor from an expired epoch', async () => {
+      const redis = new FakeRedis();
+      const [first] = await appendEvents(redis, 2);
+      redis.expireKeys(`room:${ROOM}:`);
+      // The new epoch has passed the old cursor's sequence
+      const [next] = await appendEvents(redis, 3);
+
+      const result = await getRoomEventsSince(redis, ROOM, { epoch: first.data.roomEpoch, sequence: 2 });
+
+      expect(result.events).toEqual([]);
+      expect(result.epoch).toBe(next.data.roomEpoch);
+      expect(result.resyncRequired).toBe(true);
+    });
+
+    it('requires a resync when the room expired without new events', async () => {
+      const redis = new FakeRedis();
+      const [first] = await appendEvents(redis, 2);
+      redis.expireKeys(`room:${ROOM}:`);
+
+      const result = await getRoomEventsSince(redis, ROOM, { epoch: first.data.roomEpoch, sequence: 2 });
+
+      expect(result.epoch).toBeNull();
+      expect(result.resyncRequired).toBe(true);
+    });
+
+    it('replays a new epoch from the start to a client that saw the room empty', async () => {
+      const redis = new FakeRedis();
+      await appendEvents(redis, 2);
+
+      const result = await getRoomEventsSince(redis, ROOM, { epoch: null, sequence: 0 });
+
+      expect(sequencesOf(result.events)).toEqual([1, 2]);
+      expect(result.resyncRequired).toBe(false);
+    });
+  });
+});